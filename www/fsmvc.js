@@ -45,7 +45,14 @@
  And when defining the canvas element in Html don't set 'width' and 'height'
  from CSS code; otherwise you might not be able to interact with the canvas.
  Instead set those properties directly in the Html <canvas> tag or later from
- JavaScript code.
+ JavaScript code. They are then taken as the size of the canvas in CSS pixels,
+ and the canvas is rendered at the resolution of the screen (see the 'hidpi'
+ property in config.canvas): the controller itself scales the 'width' and
+ 'height' properties by the device pixel ratio and sets the CSS width and
+ height of the canvas to its size in CSS pixels, which it also remembers in
+ the 'data-fsmvc-css-width' and 'data-fsmvc-css-height' attributes (so that
+ other controllers attached to the canvas don't scale it again). Use
+ setCanvasSize() to resize the canvas afterwards.
 
  This controller features import/export in custom JSON format. But in case you
  prefer to use your own model or data structure (for instance when you have a
@@ -57,13 +64,16 @@
 
  When this script is executed an object named Fsmvc (Finite State Machine View
  Controller) is created. It hosts several properties to customize what and how
- to render. For detailed information please take a look at the return-statement
- at the end of this file.
+ to render. For detailed information please take a look at the object returned
+ by createController() near the end of this file. Several independent
+ controllers (e.g. one per canvas element in the same page) can be created
+ using Fsmvc.create(), the Fsmvc object itself being the default controller.
+ Controllers that don't need any canvas or DOM at all (e.g. to process content
+ in Node.js using require()) can be created using Fsmvc.createHeadless().
 
  Side notes: the thickness properties ('borderWidth' for nodes and 'lineWidth'
- for links) are not introduced because otherwise one will need to update the
- algorithms used to find the selected object from given mouse position, the
- drawing functions and probably more.
+ for links) are in CSS pixels. Hit testing takes them into account so thick
+ lines are as easy to select as thin ones, and arrow-heads grow with them.
 */
 
 // Custom string formatting.
@@ -86,2342 +96,6101 @@ if(!Array.isArray) {
 }
 
 var Fsmvc = (function() {
-    var config = { // This config object is setup for use with finite state machines.
-                   // But its properties can be altered to support other types of data structures.
-        'global': {
-            'autoBackup': true, // tells whether a local backup must be saved automatically,
-                                // in which case it is also restored automatically
-            'autoBackupId': 'fsmvc_autoBackup_id', // the id used for auto-backup when enabled
-                                                   // you might want to set this property to distinguish between backups
+    var quickTestCanvasId = 'fsmvc_quickTest_canvasId';
+    var quickTestOutputId = 'fsmvc_quickTest_outputId';
+
+    var controllersCount = 0; // number of controllers created so far
+    var activeController = null; // the controller that last received a mouse click
+                                 // only this one reads keystrokes when several controllers share the same page
+    var nodeShapes = ['circle', 'rectangle', 'roundedBox', 'ellipse', 'diamond']; // values accepted for the shape of a node
+    var linkRoutings = ['arc', 'polyline', 'orthogonal']; // values accepted for the routing of a link
+    var arrowHeadStyles = ['triangle', 'openTriangle', 'vee', 'diamond', 'openDiamond', 'circle', 'openCircle', 'bar', 'none']; // values accepted for the style of an arrow-head
+
+    // Colors of the themes, which are shared by all controllers (see setTheme()).
+    // Each theme has the same sections as the config object, holding the
+    // properties listed in themeColorProps. The light theme matches the default
+    // config, and is used for the properties missing from registered themes.
+    var themes = {
+        'light': {
+            'canvas': { 'bgColor': 'transparent', 'selectionColor': '#1E90FF', 'gridColor': '#E0E0E0', 'handleColor': 'white' },
+            'links': { 'lineColor': 'black', 'arrowColor': 'black', 'textColor': 'black' },
+            'nodes': { 'borderColor': 'black', 'bgColor': 'transparent', 'textColor': 'black' },
         },
-        'canvas': {
-            'acceptLinks': true, // tells whether instances of Link can be pushed into the canvas (not just from the user interface)
-                                 // useful in case one wants to use this controller to display data models other than networks (arrays for instance)
-            'acceptSelfLinks': true, // same here but for instances of SelfLink
-            'acceptStartLinks': true, // same here but for instances of StartLink
-            'font': '20px "Times New Roman", serif', // fixed font for canvas elements
-                                                     // there is no need to set a specific font for each element
-            'fontTextVerticalPadding': 5, // used to give the impression that the text displayed for nodes is vertically centered
-                                          // it is font-dependant and also affects text positioning for links
-                                          // so the value must be choosen accordingly
-                                          // when testing consider trying different letter shapes (a, b and p should be enough)
-            'lineDashSegments': [5, 3], // defines the line dash pattern to use for canvas items with dashes enabled
-                                        // [5, 3] means that each dash will be 5px, followed by a space of 3px
-                                        // see Html canvas setLineDash() method for detailed information
-            'opacity': 1, // inherited by all canvas elements
+        'dark': {
+            'canvas': { 'bgColor': '#1E1E1E', 'selectionColor': '#4FC3F7', 'gridColor': '#383838', 'handleColor': '#1E1E1E' },
+            'links': { 'lineColor': '#E0E0E0', 'arrowColor': '#E0E0E0', 'textColor': '#E0E0E0' },
+            'nodes': { 'borderColor': '#E0E0E0', 'bgColor': 'transparent', 'textColor': '#E0E0E0' },
         },
-        'links': {
-            'arrowHeadAtSrc': false, // inherited by all instances of Link
-            'arrowHeadAtSrcOverridable': false, // tells whether this property can be overridden from the outside (when importing JSON content)
-            'arrowHeadAtDst': true,  // inherited by all instances of Link and SelfLink
-            'arrowHeadAtDstOverridable': false, // tells whether this property can be overridden from the outside (when importing JSON content)
-            'lineColor': 'black', // inherited by all links
-            'arrowColor': 'black', // inherited by all links
-            'textColor': 'black', // inherited by all links
+        'highContrast': {
+            'canvas': { 'bgColor': 'black', 'selectionColor': '#FFFF00', 'gridColor': '#808080', 'handleColor': 'black' },
+            'links': { 'lineColor': 'white', 'arrowColor': 'white', 'textColor': 'white' },
+            'nodes': { 'borderColor': 'white', 'bgColor': 'transparent', 'textColor': 'white' },
         },
-        'nodes': {
-            'radius': 25, // inherited by all nodes
-            'canBeAcceptStates': true, // tells whether nodes are states (in a finite state machine) and thus can become accepting
-            'distanceToInnerCircle': 5, // fixed distance between the border of a node and the inner ircle that indicates that node is a accepting state
-            'borderColor': 'black', // inherited by all nodes
-            'bgColor': 'transparent', // inherited by all nodes
-            'textColor': 'black', // inherited by all nodes
+        'print': { // opaque, so that exported images don't depend on the background of the page
+            'canvas': { 'bgColor': 'white', 'selectionColor': '#1E90FF', 'gridColor': '#C0C0C0', 'handleColor': 'white' },
+            'links': { 'lineColor': 'black', 'arrowColor': 'black', 'textColor': 'black' },
+            'nodes': { 'borderColor': 'black', 'bgColor': 'white', 'textColor': 'black' },
         },
     };
+    var builtInThemeNames = ['light', 'dark', 'highContrast', 'print']; // themes that can't be replaced using registerTheme()
+    var themeColorProps = {
+        'canvas': ['bgColor', 'selectionColor', 'gridColor', 'handleColor'],
+        'links': ['lineColor', 'arrowColor', 'textColor'],
+        'nodes': ['borderColor', 'bgColor', 'textColor'],
+    };
+
+    // Returns all the colors of the given existing theme in an object with the
+    // same sections as the config object (see applyConfigOverrides()).
+    function getThemeColors(name) {
+        var colors = {};
+        for(var section in themeColorProps) {
+            var sectionColors = themes[name][section] || {};
+            colors[section] = {};
+            for(var i = 0; i < themeColorProps[section].length; i++) {
+                var prop = themeColorProps[section][i];
+                colors[section][prop] = sectionColors.hasOwnProperty(prop) ? sectionColors[prop] : themes.light[section][prop];
+            }
+        }
+        return colors;
+    }
+
+    // Registers a theme under the given name and returns whether it has been
+    // registered, built-in themes being left unchanged. The theme is an object
+    // like those of the themes variable, possibly missing some properties,
+    // e.g. { 'canvas': { 'bgColor': 'ivory' }, 'links': { 'lineColor': 'navy' } }.
+    // Only string properties are read.
+    function registerTheme(name, theme) {
+        if(typeof name !== 'string' || name === '' || builtInThemeNames.indexOf(name) !== -1 || !theme || typeof theme !== 'object') {
+            return false;
+        }
+        var copy = {};
+        for(var section in themeColorProps) {
+            copy[section] = {};
+            for(var i = 0; i < themeColorProps[section].length; i++) {
+                var prop = themeColorProps[section][i];
+                if(theme[section] && typeof theme[section][prop] === 'string') {
+                    copy[section][prop] = theme[section][prop];
+                }
+            }
+        }
+        themes[name] = copy;
+        return true;
+    }
 
-    function Node(x, y) {
-        this.x = x;
-        this.y = y;
-        this.text = '';
-        this.isInitialState = false;
-        this.isAcceptState = false;
-        this.radius = config.nodes.radius;
-        this.opacity = config.canvas.opacity;
-        this.dashesEnabled = false;
-        readColorPropsNoCheckings(['borderColor', 'bgColor', 'textColor'], config.nodes, this);
-
-        this.mouseOffsetX = 0;
-        this.mouseOffsetY = 0;
+    // Copies the properties of configOverrides (an object with the same
+    // sections as the config object, e.g. { 'nodes': { 'radius': 30 } }) into
+    // config. Unknown sections are ignored.
+    function applyConfigOverrides(config, configOverrides) {
+        if(!configOverrides) return;
+        for(var section in configOverrides) {
+            if(configOverrides.hasOwnProperty(section) && config.hasOwnProperty(section)) {
+                var props = configOverrides[section];
+                for(var prop in props) {
+                    if(props.hasOwnProperty(prop)) {
+                        config[section][prop] = props[prop];
+                    }
+                }
+            }
+        }
     }
 
-    Node.prototype.toJson = function() {
-        return {
-            'x': this.x,
-            'y': this.y,
-            'text': this.text,
-            'isAcceptState': this.isAcceptState,
-            'radius': this.radius,
-            'opacity': this.opacity,
-            'dashesEnabled': this.dashesEnabled,
-            'borderColor': this.borderColor,
-            'bgColor': this.bgColor,
-            'textColor': this.textColor,
-            'readonly.isInitialState': this.isInitialState,
+    // Creates and returns an independent controller: it has its own config,
+    // content (nodes and links), selection, listeners and backup id. See the
+    // create() function at the end of this script for the parameters.
+    function createController(canvasOrId, configOverrides, initOptions) {
+        var controllerIndex = controllersCount++;
+        var config = { // This config object is setup for use with finite state machines.
+                       // But its properties can be altered to support other types of data structures.
+            'global': {
+                'autoBackup': true, // tells whether a local backup must be saved automatically,
+                                    // in which case it is also restored automatically
+                'autoBackupId': 'fsmvc_autoBackup_id', // the id used for auto-backup when enabled
+                                                       // you might want to set this property to distinguish between backups
+                'historyMaxSize': 100, // maximum number of edits that can be undone (0 disables undo/redo)
+                'viewportAutoBackup': false, // tells whether the viewport (see getViewport()) must also be saved and restored automatically
+                                             // it is saved separately from content, only when auto-backup is enabled
+            },
+            'canvas': {
+                'acceptLinks': true, // tells whether instances of Link can be pushed into the canvas (not just from the user interface)
+                                     // useful in case one wants to use this controller to display data models other than networks (arrays for instance)
+                'acceptSelfLinks': true, // same here but for instances of SelfLink
+                'acceptStartLinks': true, // same here but for instances of StartLink
+                'font': '20px "Times New Roman", serif', // fixed font for canvas elements
+                                                         // there is no need to set a specific font for each element
+                'fontTextVerticalPadding': 5, // used to give the impression that the text displayed for nodes is vertically centered
+                                              // it is font-dependant and also affects text positioning for links
+                                              // so the value must be choosen accordingly
+                                              // when testing consider trying different letter shapes (a, b and p should be enough)
+                'lineDashSegments': [5, 3], // defines the line dash pattern to use for canvas items with dashes enabled
+                                            // [5, 3] means that each dash will be 5px, followed by a space of 3px
+                                            // see Html canvas setLineDash() method for detailed information
+                'opacity': 1, // inherited by all canvas elements
+                'theme': 'light', // name of the theme whose colors are used (see setTheme() to switch themes at runtime)
+                                  // a theme given in the config overrides of a controller applies unless its colors are overridden too
+                'bgColor': 'transparent', // color of the background of the canvas, also used for exported PNG and SVG images
+                'selectionColor': '#1E90FF', // color used to highlight selected elements when several of them are selected
+                                             // and to draw the selection rectangle
+                'handleColor': 'white', // color inside the handles used to resize nodes and to move bend points
+                'zoomMin': 0.1, // minimum zoom factor of the viewport
+                'zoomMax': 10, // maximum zoom factor of the viewport
+                'zoomWheelFactor': 1.1, // factor by which the zoom is multiplied (or divided) at each mouse wheel step
+                'multilineText': true, // tells whether the Enter key starts a new line in the text of nodes and links
+                                       // otherwise line breaks (e.g. in pasted text) are replaced with spaces
+                'hidpi': true, // tells whether the canvas is rendered at the resolution of the screen (see window.devicePixelRatio)
+                               // otherwise it is rendered at CSS pixel resolution and might look blurry on high density screens
+                'pngExportScale': null, // number of image pixels per canvas pixel when exporting PNG images
+                                        // null means the resolution at which the canvas is rendered
+                'gridVisible': false, // tells whether a grid is drawn in the background of the canvas
+                'gridSpacing': 20, // distance between grid lines (in pixels at zoom 1), also used by snapToGrid
+                'gridColor': '#E0E0E0', // color of grid lines
+                'gridExported': false, // tells whether the grid (when visible) is also drawn in exported content (PNG, SVG and LaTeX)
+                'snapToGrid': false, // tells whether nodes and link anchor points are snapped to the grid when placed by the user
+                                     // the grid doesn't need to be visible for that
+            },
+            'links': {
+                'arrowHeadAtSrc': false, // inherited by all instances of Link
+                'arrowHeadAtSrcOverridable': false, // tells whether this property can be overridden from the outside (when importing JSON content)
+                'arrowHeadAtDst': true,  // inherited by all instances of Link and SelfLink
+                'arrowHeadAtDstOverridable': false, // tells whether this property can be overridden from the outside (when importing JSON content)
+                'lineColor': 'black', // inherited by all links whose own color is null (see setTheme())
+                'arrowColor': 'black', // inherited by all links whose own color is null
+                'textColor': 'black', // inherited by all links whose own color is null
+                'routing': 'arc', // inherited by all instances of Link: 'arc' (a straight line or a circular arc), 'polyline' or 'orthogonal' (Manhattan)
+                'lineWidth': 1, // inherited by all links
+                'arrowHeadStyle': 'triangle', // inherited by all arrow-heads, one of 'triangle', 'openTriangle', 'vee', 'diamond', 'openDiamond', 'circle', 'openCircle', 'bar' or 'none'
+                'arrowHeadSize': 8, // inherited by all links: length of their arrow-heads (for 1px-wide lines)
+                'separateParallelLinks': true, // tells whether straight links joining the same nodes are curved apart when they are added, pasted or loaded from documents of format version 1
+                'parallelLinksSpacing': 30, // pixels between the middles of separated links
+            },
+            'nodes': {
+                'radius': 25, // inherited by all nodes
+                'shape': 'circle', // inherited by all nodes, one of 'circle', 'rectangle', 'roundedBox', 'ellipse' or 'diamond'
+                'width': 50, // inherited by all nodes, used by all shapes but circles
+                'height': 50, // inherited by all nodes, used by all shapes but circles
+                'borderWidth': 1, // inherited by all nodes
+                'canBeAcceptStates': true, // tells whether nodes are states (in a finite state machine) and thus can become accepting
+                'distanceToInnerCircle': 5, // fixed distance between the border of a node and the inner ircle that indicates that node is a accepting state
+                'autoFitRadius': false, // tells whether nodes grow to fit their text when it is edited (they never shrink automatically)
+                'borderColor': 'black', // inherited by all nodes whose own color is null (see setTheme())
+                'bgColor': 'transparent', // inherited by all nodes whose own color is null
+                'textColor': 'black', // inherited by all nodes whose own color is null
+            },
         };
-    };
+        var canvasIdForBackup = valueIsString(canvasOrId) ? canvasOrId : (canvasOrId && canvasOrId.id) ? canvasOrId.id : '';
+        if(controllerIndex !== 0) { // the default controller keeps the historical backup id
+            config.global.autoBackupId += '_' + canvasIdForBackup;
+        }
+        if(configOverrides && configOverrides.canvas && themes.hasOwnProperty(configOverrides.canvas.theme)) {
+            applyConfigOverrides(config, getThemeColors(configOverrides.canvas.theme));
+        }
+        applyConfigOverrides(config, configOverrides);
+        if(controllerIndex !== 0 && canvasIdForBackup === '' &&
+           !(configOverrides && configOverrides.global && valueIsString(configOverrides.global.autoBackupId))) {
+            config.global.autoBackup = false; // the backup of a canvas without id could be restored into another canvas
+        }
 
-    Node.fromJson = function(obj) {
-        try {
-            var nodeX = valueIsNumber(obj.x) ? obj.x : canvas.width/4;
-            var nodeY = valueIsNumber(obj.y) ? obj.y : canvas.height/4;
-            var node = new Node(nodeX, nodeY);
-            node.text = valueIsString(obj.text) ? obj.text : '';
-            node.isAcceptState = config.nodes.canBeAcceptStates && valueIsBoolean(obj.isAcceptState) && obj.isAcceptState;
-            node.radius = valueIsNumber(obj.radius) ? obj.radius : node.radius;
-            if(node.radius <= config.nodes.distanceToInnerCircle) {
-                node.radius = config.nodes.distanceToInnerCircle;
-            }
-            node.opacity = valueIsNumberInRange(obj.opacity, 0, 1) ? obj.opacity : node.opacity;
-            node.dashesEnabled = valueIsBoolean(obj.dashesEnabled) && obj.dashesEnabled;
-            readColorProps(['borderColor', 'bgColor', 'textColor'], obj, node);
-            return node;
-        } catch(e) {}
-        return null;
-    };
+        function Node(x, y) {
+            this.id = generateId('n');
+            this.x = x;
+            this.y = y;
+            this.text = '';
+            this.isInitialState = false;
+            this.isAcceptState = false;
+            this.radius = config.nodes.radius;
+            this.shape = config.nodes.shape;
+            this.width = config.nodes.width;
+            this.height = config.nodes.height;
+            this.borderWidth = config.nodes.borderWidth;
+            this.opacity = config.canvas.opacity;
+            this.dashesEnabled = false;
+            setInheritedColorProps(['borderColor', 'bgColor', 'textColor'], this);
+
+            this.mouseOffsetX = 0;
+            this.mouseOffsetY = 0;
+        }
 
-    Node.prototype.setMouseStart = function(x, y) {
-        this.mouseOffsetX = this.x - x;
-        this.mouseOffsetY = this.y - y;
-    };
+        Node.prototype.toJson = function() {
+            return {
+                'id': this.id,
+                'x': this.x,
+                'y': this.y,
+                'text': this.text,
+                'isAcceptState': this.isAcceptState,
+                'radius': this.radius,
+                'shape': this.shape,
+                'width': this.width,
+                'height': this.height,
+                'borderWidth': this.borderWidth,
+                'opacity': this.opacity,
+                'dashesEnabled': this.dashesEnabled,
+                'borderColor': this.borderColor,
+                'bgColor': this.bgColor,
+                'textColor': this.textColor,
+                'readonly.isInitialState': this.isInitialState,
+            };
+        };
 
-    Node.prototype.setAnchorPoint = function(x, y) {
-        this.x = x + this.mouseOffsetX;
-        this.y = y + this.mouseOffsetY;
-    };
+        Node.fromJson = function(obj) {
+            try {
+                var nodeX = valueIsNumber(obj.x) ? obj.x : getCanvasSize().width/4;
+                var nodeY = valueIsNumber(obj.y) ? obj.y : getCanvasSize().height/4;
+                var node = new Node(nodeX, nodeY);
+                readId(obj, node);
+                node.text = valueIsString(obj.text) ? obj.text : '';
+                node.isAcceptState = config.nodes.canBeAcceptStates && valueIsBoolean(obj.isAcceptState) && obj.isAcceptState;
+                node.radius = valueIsNumber(obj.radius) ? obj.radius : node.radius;
+                if(node.radius <= config.nodes.distanceToInnerCircle) {
+                    node.radius = config.nodes.distanceToInnerCircle;
+                }
+                node.shape = nodeShapes.indexOf(obj.shape) !== -1 ? obj.shape : node.shape;
+                node.width = valueIsNumber(obj.width) ? Math.max(obj.width, 2 * config.nodes.distanceToInnerCircle) : node.width;
+                node.height = valueIsNumber(obj.height) ? Math.max(obj.height, 2 * config.nodes.distanceToInnerCircle) : node.height;
+                node.borderWidth = valueIsStrokeWidth(obj.borderWidth) ? obj.borderWidth : node.borderWidth;
+                node.opacity = valueIsNumberInRange(obj.opacity, 0, 1) ? obj.opacity : node.opacity;
+                node.dashesEnabled = valueIsBoolean(obj.dashesEnabled) && obj.dashesEnabled;
+                readColorProps(['borderColor', 'bgColor', 'textColor'], obj, node);
+                return node;
+            } catch(e) {}
+            return null;
+        };
+
+        Node.prototype.setMouseStart = function(x, y) {
+            this.mouseOffsetX = this.x - x;
+            this.mouseOffsetY = this.y - y;
+        };
 
-    Node.prototype.draw = function(c, isSelected) {
-        c.globalAlpha = this.opacity;
-        c.fillStyle = this.bgColor;
-        c.strokeStyle = this.borderColor;
-        c.setLineDash(this.dashesEnabled ? config.canvas.lineDashSegments : []);
+        Node.prototype.setAnchorPoint = function(x, y) {
+            this.x = x + this.mouseOffsetX;
+            this.y = y + this.mouseOffsetY;
+        };
 
-        // draw the circle
-        c.beginPath();
-        c.arc(this.x, this.y, this.radius, 0, 2 * Math.PI, false);
-        c.fill();
-        c.stroke();
+        Node.prototype.draw = function(c, isSelected) {
+            c.globalAlpha = this.opacity;
+            c.fillStyle = getColor(this, 'bgColor');
+            c.strokeStyle = getColor(this, 'borderColor');
+            c.lineWidth = this.borderWidth;
+            c.setLineDash(this.dashesEnabled ? config.canvas.lineDashSegments : []);
 
-        // draw a double circle for an accept state (must be drawn before text)
-        if(this.isAcceptState) {
+            // draw the shape (the LaTeX output has no backgrounds, and would fill polygons with the border color)
+            var canFill = !(c instanceof ExportAsLaTeX);
             c.beginPath();
-            c.arc(this.x, this.y, this.radius - config.nodes.distanceToInnerCircle, 0, 2 * Math.PI, false);
-            c.fill();
+            this.tracePath(c, 0);
+            if(canFill) c.fill();
             c.stroke();
-        }
 
-        c.setLineDash([]);
+            // draw a double outline for an accept state (must be drawn before text)
+            if(this.isAcceptState) {
+                c.beginPath();
+                this.tracePath(c, -config.nodes.distanceToInnerCircle);
+                if(canFill) c.fill();
+                c.stroke();
+            }
 
-        // draw the text
-        c.fillStyle = this.textColor;
-        c.strokeStyle = this.textColor;
-        drawText(c, this.text, this.x, this.y, null, isSelected);
-    };
+            c.setLineDash([]);
+            c.lineWidth = 1;
 
-    Node.prototype.closestPointOnCircle = function(x, y) {
-        var dx = x - this.x;
-        var dy = y - this.y;
-        var scale = Math.sqrt(dx * dx + dy * dy);
-        return {
-            'x': this.x + dx * this.radius / scale,
-            'y': this.y + dy * this.radius / scale,
+            // draw the text
+            c.fillStyle = getColor(this, 'textColor');
+            c.strokeStyle = getColor(this, 'textColor');
+            drawText(c, this.text, this.x, this.y, null, isSelected);
         };
-    };
 
-    Node.prototype.containsPoint = function(x, y) {
-        return (x - this.x)*(x - this.x) + (y - this.y)*(y - this.y) < this.radius*this.radius;
-    };
+        // Half of the width and height of the node, whatever its shape.
+        Node.prototype.getHalfSize = function() {
+            if(this.shape === 'circle') {
+                return { 'width': this.radius, 'height': this.radius };
+            }
+            return { 'width': this.width / 2, 'height': this.height / 2 };
+        };
 
-    // Link between two distinct nodes.
-    function Link(a, b) {
-        this.nodeA = a;
-        this.nodeAHasArrow = config.links.arrowHeadAtSrc;
-        this.nodeB = b;
-        this.nodeBHasArrow = config.links.arrowHeadAtDst;
-        this.text = '';
-        this.opacity = config.canvas.opacity;
-        this.dashesEnabled = false;
-        readColorPropsNoCheckings(['lineColor', 'arrowColor', 'textColor'], config.links, this);
-
-        this.lineAngleAdjust = 0; // value to add to textAngle when link is straight line
-        // make anchor point relative to the locations of nodeA and nodeB
-        this.parallelPart = 0.5; // percentage from nodeA to nodeB
-        this.perpendicularPart = 0; // pixels from line between nodeA and nodeB
-    };
+        // Outline of a node that is not a circle, as a convex polygon around its center.
+        // A positive offset grows the outline (selection), a negative one shrinks it (accept state).
+        Node.prototype.getShapePoints = function(offset) {
+            var halfSize = this.getHalfSize();
+            var hw = Math.max(halfSize.width + offset, 1);
+            var hh = Math.max(halfSize.height + offset, 1);
+            var points = [];
+            var i = 0, angle = 0;
+            switch(this.shape) {
+                case 'diamond':
+                    // keep the same distance between the edges of both outlines
+                    var scale = 1 + offset * Math.sqrt(halfSize.width * halfSize.width + halfSize.height * halfSize.height) / (halfSize.width * halfSize.height);
+                    hw = Math.max(halfSize.width * scale, 1);
+                    hh = Math.max(halfSize.height * scale, 1);
+                    points.push({ 'x': this.x, 'y': this.y - hh }, { 'x': this.x + hw, 'y': this.y },
+                                { 'x': this.x, 'y': this.y + hh }, { 'x': this.x - hw, 'y': this.y });
+                    break;
+                case 'ellipse':
+                    for(i = 0; i < 48; i++) {
+                        angle = i * Math.PI / 24;
+                        points.push({ 'x': this.x + hw * Math.cos(angle), 'y': this.y + hh * Math.sin(angle) });
+                    }
+                    break;
+                case 'roundedBox':
+                    var cornerRadius = Math.max(Math.min(10, halfSize.width, halfSize.height) + offset, 0);
+                    var corners = [[1, 1], [-1, 1], [-1, -1], [1, -1]]; // clockwise on the screen, starting from the bottom right
+                    for(var corner = 0; corner < corners.length; corner++) {
+                        var cx = this.x + corners[corner][0] * (hw - cornerRadius);
+                        var cy = this.y + corners[corner][1] * (hh - cornerRadius);
+                        for(i = 0; i <= 6; i++) {
+                            angle = (corner + i / 6) * Math.PI / 2;
+                            points.push({ 'x': cx + cornerRadius * Math.cos(angle), 'y': cy + cornerRadius * Math.sin(angle) });
+                        }
+                    }
+                    break;
+                default: // rectangle
+                    points.push({ 'x': this.x + hw, 'y': this.y + hh }, { 'x': this.x - hw, 'y': this.y + hh },
+                                { 'x': this.x - hw, 'y': this.y - hh }, { 'x': this.x + hw, 'y': this.y - hh });
+                    break;
+            }
+            return points;
+        };
 
-    Link.prototype.getTwoExtremityNodes = function() {
-        return [this.nodeA, this.nodeB];
-    }
+        // Adds the outline of the node to the current path, only with arc(), moveTo() and lineTo() so that exports work.
+        Node.prototype.tracePath = function(c, offset) {
+            if(this.shape === 'circle') {
+                c.arc(this.x, this.y, Math.max(this.radius + offset, 1), 0, 2 * Math.PI, false);
+                return;
+            }
+            var points = this.getShapePoints(offset);
+            c.moveTo(points[0].x, points[0].y);
+            for(var i = 1; i < points.length; i++) {
+                c.lineTo(points[i].x, points[i].y);
+            }
+            c.closePath();
+        };
 
-    Link.prototype.toJson = function(nodes) {
-        return {
-            'type': 'Link',
-            'nodeAIndex': nodes.indexOf(this.nodeA),
-            'nodeAHasArrow': this.nodeAHasArrow,
-            'nodeBIndex': nodes.indexOf(this.nodeB),
-            'nodeBHasArrow': this.nodeBHasArrow,
-            'text': this.text,
-            'opacity': this.opacity,
-            'dashesEnabled': this.dashesEnabled,
-            'lineColor': this.lineColor,
-            'arrowColor': this.arrowColor,
-            'textColor': this.textColor,
-            'lineAngleAdjust': this.lineAngleAdjust,
-            'parallelPart': this.parallelPart,
-            'perpendicularPart': this.perpendicularPart,
+        // Returns t such that (x + t*dx, y + t*dy) is on the border of the node, (x, y) being its center.
+        Node.prototype.getBorderScale = function(dx, dy) {
+            if(this.shape === 'circle') {
+                return this.radius / Math.sqrt(dx * dx + dy * dy);
+            }
+            var points = this.getShapePoints(0);
+            var scale = Infinity;
+            for(var i = 0; i < points.length; i++) {
+                var p = points[i];
+                var q = points[(i + 1) % points.length];
+                var ex = q.x - p.x, ey = q.y - p.y;
+                var wx = p.x - this.x, wy = p.y - this.y;
+                var det = dx * ey - dy * ex;
+                if(det === 0) continue; // the ray is parallel to this edge
+                var t = (wx * ey - wy * ex) / det;
+                var u = (wx * dy - wy * dx) / det;
+                if(t > 0 && u >= 0 && u <= 1 && t < scale) scale = t;
+            }
+            return scale;
         };
-    };
 
-    Link.fromJson = function(obj, nodes) {
-        try {
-            if(obj.type === 'Link' && obj.nodeAIndex !== obj.nodeBIndex) { // see (1) below
-                var link = new Link(getNodeElt(nodes, obj.nodeAIndex), getNodeElt(nodes, obj.nodeBIndex));
-                link.nodeAHasArrow = config.links.arrowHeadAtSrcOverridable ? valueIsBoolean(obj.nodeAHasArrow) && obj.nodeAHasArrow : link.nodeAHasArrow;
-                link.nodeBHasArrow = config.links.arrowHeadAtDstOverridable ? valueIsBoolean(obj.nodeBHasArrow) && obj.nodeBHasArrow : link.nodeBHasArrow;
-                link.text = valueIsString(obj.text) ? obj.text : '';
-                link.opacity = valueIsNumberInRange(obj.opacity, 0, 1) ? obj.opacity : link.opacity;
-                link.dashesEnabled = valueIsBoolean(obj.dashesEnabled) && obj.dashesEnabled;
-                readColorProps(['lineColor', 'arrowColor', 'textColor'], obj, link);
-                link.lineAngleAdjust = valueIsNumber(obj.lineAngleAdjust) ? obj.lineAngleAdjust : link.lineAngleAdjust;
-                link.parallelPart = valueIsNumber(obj.parallelPart) ? obj.parallelPart : link.parallelPart;
-                link.perpendicularPart = valueIsNumber(obj.perpendicularPart) ? obj.perpendicularPart : link.perpendicularPart;
-                return link;
-            }
-        } catch(e) {}
-        return null;
-
-        // (1) We don't actually need to check that nodes are different because
-        //     in case they are not the observed behaviour is similar to the
-        //     case where nodes are different but at the exact same position:
-        //     the link is there but not visible on screen. However we prefer to
-        //     ignore instances of Link between two identical nodes because we
-        //     already have the SelfLink class.
-    };
+        // Distance between the center of the node and its border, in the direction of (x, y).
+        Node.prototype.getRadiusTowards = function(x, y) {
+            var dx = x - this.x;
+            var dy = y - this.y;
+            if(dx === 0 && dy === 0) return this.getHalfSize().width;
+            return this.getBorderScale(dx, dy) * Math.sqrt(dx * dx + dy * dy);
+        };
 
-    Link.prototype.prepareInsertionToCanvas = function() {
-        return config.canvas.acceptLinks;
-    };
+        // Point of the border of the node in the direction of (x, y), whatever its shape.
+        Node.prototype.closestPointOnCircle = function(x, y) {
+            var dx = x - this.x;
+            var dy = y - this.y;
+            if(dx === 0 && dy === 0) dx = 1;
+            var scale = this.getBorderScale(dx, dy);
+            return {
+                'x': this.x + dx * scale,
+                'y': this.y + dy * scale,
+            };
+        };
 
-    Link.prototype.prepareRemovalFromCanvas = function() {
-        // nothing to do
-    };
+        Node.prototype.containsPoint = function(x, y) {
+            var dx = x - this.x;
+            var dy = y - this.y;
+            var outerBorder = Math.max(0, this.borderWidth - 1) / 2; // the outer half of thick borders
+            if(this.shape === 'circle') {
+                var radius = this.radius + outerBorder;
+                return dx*dx + dy*dy < radius*radius;
+            }
+            var distance = Math.sqrt(dx*dx + dy*dy);
+            return distance === 0 || this.getBorderScale(dx, dy) * distance + outerBorder > distance;
+        };
 
-    Link.prototype.getAnchorPoint = function() {
-        var dx = this.nodeB.x - this.nodeA.x;
-        var dy = this.nodeB.y - this.nodeA.y;
-        var scale = Math.sqrt(dx * dx + dy * dy);
-        return {
-            'x': this.nodeA.x + dx * this.parallelPart - dy * this.perpendicularPart / scale,
-            'y': this.nodeA.y + dy * this.parallelPart + dx * this.perpendicularPart / scale
+        // Link between two distinct nodes.
+        function Link(a, b) {
+            this.id = generateId('l');
+            this.nodeA = a;
+            this.nodeAHasArrow = config.links.arrowHeadAtSrc;
+            this.nodeAArrowStyle = config.links.arrowHeadStyle;
+            this.nodeB = b;
+            this.nodeBHasArrow = config.links.arrowHeadAtDst;
+            this.nodeBArrowStyle = config.links.arrowHeadStyle;
+            this.text = '';
+            this.opacity = config.canvas.opacity;
+            this.dashesEnabled = false;
+            setInheritedColorProps(['lineColor', 'arrowColor', 'textColor'], this);
+            this.lineWidth = config.links.lineWidth;
+            this.textOffsetAlong = 0; // pixels from the default position of the text, along the link
+            this.textOffsetAway = 0; // pixels from the default position of the text, away from the link
+            this.arrowSize = config.links.arrowHeadSize;
+
+            this.lineAngleAdjust = 0; // value to add to textAngle when link is straight line
+            // make anchor point relative to the locations of nodeA and nodeB
+            this.parallelPart = 0.5; // percentage from nodeA to nodeB
+            this.perpendicularPart = 0; // pixels from line between nodeA and nodeB
+
+            this.routing = config.links.routing;
+            this.waypoints = []; // bend points ({ 'x': ..., 'y': ... }) of polyline and orthogonal links
+            this.draggedWaypoint = null; // the waypoint being dragged by the mouse (if any)
         };
-    };
 
-    Link.prototype.setAnchorPoint = function(x, y) {
-        var dx = this.nodeB.x - this.nodeA.x;
-        var dy = this.nodeB.y - this.nodeA.y;
-        var scale = Math.sqrt(dx * dx + dy * dy);
-        this.parallelPart = (dx * (x - this.nodeA.x) + dy * (y - this.nodeA.y)) / (scale * scale);
-        this.perpendicularPart = (dx * (y - this.nodeA.y) - dy * (x - this.nodeA.x)) / scale;
-        // snap to a straight line
-        if(this.parallelPart > 0 && this.parallelPart < 1 && Math.abs(this.perpendicularPart) < snapToPadding) {
-            this.lineAngleAdjust = (this.perpendicularPart < 0) * Math.PI;
-            this.perpendicularPart = 0;
+        Link.prototype.getTwoExtremityNodes = function() {
+            return [this.nodeA, this.nodeB];
         }
-    };
 
-    Link.prototype.getEndPointsAndCircle = function() {
-        if(this.perpendicularPart === 0) {
-            var midX = (this.nodeA.x + this.nodeB.x) / 2;
-            var midY = (this.nodeA.y + this.nodeB.y) / 2;
-            var start = this.nodeA.closestPointOnCircle(midX, midY);
-            var end = this.nodeB.closestPointOnCircle(midX, midY);
+        Link.prototype.toJson = function(nodes) {
+            return {
+                'type': 'Link',
+                'id': this.id,
+                'nodeAIndex': nodes.indexOf(this.nodeA),
+                'nodeAId': this.nodeA.id,
+                'nodeAHasArrow': this.nodeAHasArrow,
+                'nodeAArrowStyle': this.nodeAArrowStyle,
+                'nodeBIndex': nodes.indexOf(this.nodeB),
+                'nodeBId': this.nodeB.id,
+                'nodeBHasArrow': this.nodeBHasArrow,
+                'nodeBArrowStyle': this.nodeBArrowStyle,
+                'text': this.text,
+                'opacity': this.opacity,
+                'dashesEnabled': this.dashesEnabled,
+                'lineColor': this.lineColor,
+                'arrowColor': this.arrowColor,
+                'textColor': this.textColor,
+                'lineWidth': this.lineWidth,
+                'arrowSize': this.arrowSize,
+                'textOffsetAlong': this.textOffsetAlong,
+                'textOffsetAway': this.textOffsetAway,
+                'lineAngleAdjust': this.lineAngleAdjust,
+                'parallelPart': this.parallelPart,
+                'perpendicularPart': this.perpendicularPart,
+                'routing': this.routing,
+                'waypoints': this.waypoints.map(function(point) { return { 'x': point.x, 'y': point.y }; }),
+            };
+        };
+
+        Link.fromJson = function(obj, nodes) {
+            try {
+                if(obj.type === 'Link') {
+                    var nodeA = getNodeElt(nodes, obj.nodeAIndex, obj.nodeAId);
+                    var nodeB = getNodeElt(nodes, obj.nodeBIndex, obj.nodeBId);
+                    if(nodeA === nodeB) return null; // see (1) below
+                    var link = new Link(nodeA, nodeB);
+                    readId(obj, link);
+                    link.nodeAHasArrow = config.links.arrowHeadAtSrcOverridable ? valueIsBoolean(obj.nodeAHasArrow) && obj.nodeAHasArrow : link.nodeAHasArrow;
+                    link.nodeBHasArrow = config.links.arrowHeadAtDstOverridable ? valueIsBoolean(obj.nodeBHasArrow) && obj.nodeBHasArrow : link.nodeBHasArrow;
+                    link.text = valueIsString(obj.text) ? obj.text : '';
+                    link.opacity = valueIsNumberInRange(obj.opacity, 0, 1) ? obj.opacity : link.opacity;
+                    link.dashesEnabled = valueIsBoolean(obj.dashesEnabled) && obj.dashesEnabled;
+                    readColorProps(['lineColor', 'arrowColor', 'textColor'], obj, link);
+                    link.lineWidth = valueIsStrokeWidth(obj.lineWidth) ? obj.lineWidth : link.lineWidth;
+                    link.arrowSize = valueIsNumberInRange(obj.arrowSize, 1, 100) ? obj.arrowSize : link.arrowSize;
+                    readArrowStyleProps(obj, link);
+                    link.textOffsetAlong = valueIsNumber(obj.textOffsetAlong) ? obj.textOffsetAlong : link.textOffsetAlong;
+                    link.textOffsetAway = valueIsNumber(obj.textOffsetAway) ? obj.textOffsetAway : link.textOffsetAway;
+                    link.lineAngleAdjust = valueIsNumber(obj.lineAngleAdjust) ? obj.lineAngleAdjust : link.lineAngleAdjust;
+                    link.parallelPart = valueIsNumber(obj.parallelPart) ? obj.parallelPart : link.parallelPart;
+                    link.perpendicularPart = valueIsNumber(obj.perpendicularPart) ? obj.perpendicularPart : link.perpendicularPart;
+                    link.routing = linkRoutings.indexOf(obj.routing) !== -1 ? obj.routing : link.routing;
+                    if(valueIsArray(obj.waypoints)) {
+                        for(var i = 0; i < obj.waypoints.length; i++) {
+                            var point = obj.waypoints[i];
+                            if(point && valueIsNumber(point.x) && valueIsNumber(point.y)) {
+                                link.waypoints.push({ 'x': point.x, 'y': point.y });
+                            }
+                        }
+                    }
+                    return link;
+                }
+            } catch(e) {}
+            return null;
+
+            // (1) We don't actually need to check that nodes are different because
+            //     in case they are not the observed behaviour is similar to the
+            //     case where nodes are different but at the exact same position:
+            //     the link is there but not visible on screen. However we prefer to
+            //     ignore instances of Link between two identical nodes because we
+            //     already have the SelfLink class.
+        };
+
+        Link.prototype.prepareInsertionToCanvas = function() {
+            return config.canvas.acceptLinks;
+        };
+
+        Link.prototype.prepareRemovalFromCanvas = function() {
+            // nothing to do
+        };
+
+        Link.prototype.getAnchorPoint = function() {
+            var dx = this.nodeB.x - this.nodeA.x;
+            var dy = this.nodeB.y - this.nodeA.y;
+            var scale = Math.sqrt(dx * dx + dy * dy);
+            return {
+                'x': this.nodeA.x + dx * this.parallelPart - dy * this.perpendicularPart / scale,
+                'y': this.nodeA.y + dy * this.parallelPart + dx * this.perpendicularPart / scale
+            };
+        };
+
+        // Chooses the waypoint dragged by the mouse when the link is not an arc:
+        // the one under the mouse, or a new one inserted on the closest leg as
+        // soon as the mouse moves.
+        Link.prototype.setMouseStart = function(x, y) {
+            this.draggedWaypoint = null;
+            if(this.routing === 'arc') return;
+            var tolerance = Math.max(resizeHandleSize / 2, hitTargetPadding) / viewport.zoom;
+            var i = 0;
+            for(i = 0; i < this.waypoints.length; i++) {
+                if(Math.abs(x - this.waypoints[i].x) <= tolerance && Math.abs(y - this.waypoints[i].y) <= tolerance) {
+                    this.draggedWaypoint = { 'index': i, 'isInserted': true };
+                    return;
+                }
+            }
+            var points = [this.nodeA].concat(this.waypoints, [this.nodeB]);
+            var closestLeg = 0;
+            for(i = 1; i < points.length - 1; i++) {
+                if(distanceToSegment(x, y, points[i], points[i + 1]) < distanceToSegment(x, y, points[closestLeg], points[closestLeg + 1])) {
+                    closestLeg = i;
+                }
+            }
+            this.draggedWaypoint = { 'index': closestLeg, 'isInserted': false };
+        };
+
+        Link.prototype.setAnchorPoint = function(x, y) {
+            if(this.routing !== 'arc') {
+                var dragged = this.draggedWaypoint;
+                if(dragged === null) return;
+                if(!dragged.isInserted) {
+                    this.waypoints.splice(dragged.index, 0, { 'x': x, 'y': y });
+                    dragged.isInserted = true;
+                }
+                this.waypoints[dragged.index].x = x;
+                this.waypoints[dragged.index].y = y;
+                // remove a waypoint aligned with its neighbours (it comes back if the mouse moves away)
+                var previous = dragged.index > 0 ? this.waypoints[dragged.index - 1] : this.nodeA;
+                var next = dragged.index < this.waypoints.length - 1 ? this.waypoints[dragged.index + 1] : this.nodeB;
+                if(distanceToSegment(x, y, previous, next) < snapToPadding) {
+                    this.waypoints.splice(dragged.index, 1);
+                    dragged.isInserted = false;
+                }
+                return;
+            }
+            var dx = this.nodeB.x - this.nodeA.x;
+            var dy = this.nodeB.y - this.nodeA.y;
+            var scale = Math.sqrt(dx * dx + dy * dy);
+            this.parallelPart = (dx * (x - this.nodeA.x) + dy * (y - this.nodeA.y)) / (scale * scale);
+            this.perpendicularPart = (dx * (y - this.nodeA.y) - dy * (x - this.nodeA.x)) / scale;
+            // snap to a straight line
+            if(this.parallelPart > 0 && this.parallelPart < 1 && Math.abs(this.perpendicularPart) < snapToPadding) {
+                this.lineAngleAdjust = (this.perpendicularPart < 0) * Math.PI;
+                this.perpendicularPart = 0;
+            }
+        };
+
+        // Returns the points of the link when it is not an arc, from the border of
+        // nodeA to the border of nodeB.
+        Link.prototype.getRoutePoints = function() {
+            var points = [this.nodeA].concat(this.waypoints, [this.nodeB]);
+            if(this.routing === 'orthogonal') {
+                points = getOrthogonalRoute(points);
+            }
+            var route = [];
+            for(var i = 1; i < points.length - 1; i++) {
+                var point = points[i];
+                var previous = route.length > 0 ? route[route.length - 1] : null;
+                // bend points hidden by the nodes, or repeated, are useless
+                if(!this.nodeA.containsPoint(point.x, point.y) && !this.nodeB.containsPoint(point.x, point.y) &&
+                   (previous === null || previous.x !== point.x || previous.y !== point.y)) {
+                    route.push({ 'x': point.x, 'y': point.y });
+                }
+            }
+            var first = route.length > 0 ? route[0] : this.nodeB;
+            var last = route.length > 0 ? route[route.length - 1] : this.nodeA;
+            route.unshift(this.nodeA.closestPointOnCircle(first.x, first.y));
+            route.push(this.nodeB.closestPointOnCircle(last.x, last.y));
+            return route;
+        };
+
+        Link.prototype.getEndPointsAndCircle = function() {
+            if(this.routing !== 'arc' || this.perpendicularPart === 0) {
+                var points = this.routing !== 'arc' ? this.getRoutePoints() : [
+                    this.nodeA.closestPointOnCircle((this.nodeA.x + this.nodeB.x) / 2, (this.nodeA.y + this.nodeB.y) / 2),
+                    this.nodeB.closestPointOnCircle((this.nodeA.x + this.nodeB.x) / 2, (this.nodeA.y + this.nodeB.y) / 2),
+                ];
+                var start = points[0];
+                var end = points[points.length - 1];
+                return {
+                    'hasCircle': false,
+                    'startX': start.x,
+                    'startY': start.y,
+                    'startArrowRequested': this.nodeAHasArrow,
+                    'endX': end.x,
+                    'endY': end.y,
+                    'endArrowRequested': this.nodeBHasArrow,
+                    'points': points, // the straight line or the polyline
+                };
+            }
+            var anchor = this.getAnchorPoint();
+            var circle = circleFromThreePoints(this.nodeA.x, this.nodeA.y, this.nodeB.x, this.nodeB.y, anchor.x, anchor.y);
+            var isReversed = (this.perpendicularPart > 0);
+            var reverseScale = isReversed ? 1 : -1;
+            var startAngle = Math.atan2(this.nodeA.y - circle.y, this.nodeA.x - circle.x) - reverseScale * this.nodeA.getRadiusTowards(anchor.x, anchor.y) / circle.radius;
+            var endAngle = Math.atan2(this.nodeB.y - circle.y, this.nodeB.x - circle.x) + reverseScale * this.nodeB.getRadiusTowards(anchor.x, anchor.y) / circle.radius;
+            var startX = circle.x + circle.radius * Math.cos(startAngle);
+            var startY = circle.y + circle.radius * Math.sin(startAngle);
+            var endX = circle.x + circle.radius * Math.cos(endAngle);
+            var endY = circle.y + circle.radius * Math.sin(endAngle);
             return {
-                'hasCircle': false,
-                'startX': start.x,
-                'startY': start.y,
+                'hasCircle': true,
+                'startX': startX,
+                'startY': startY,
                 'startArrowRequested': this.nodeAHasArrow,
-                'endX': end.x,
-                'endY': end.y,
+                'endX': endX,
+                'endY': endY,
                 'endArrowRequested': this.nodeBHasArrow,
+                'startAngle': startAngle,
+                'endAngle': endAngle,
+                'circleX': circle.x,
+                'circleY': circle.y,
+                'circleRadius': circle.radius,
+                'reverseScale': reverseScale,
+                'isReversed': isReversed,
             };
-        }
-        var anchor = this.getAnchorPoint();
-        var circle = circleFromThreePoints(this.nodeA.x, this.nodeA.y, this.nodeB.x, this.nodeB.y, anchor.x, anchor.y);
-        var isReversed = (this.perpendicularPart > 0);
-        var reverseScale = isReversed ? 1 : -1;
-        var startAngle = Math.atan2(this.nodeA.y - circle.y, this.nodeA.x - circle.x) - reverseScale * this.nodeA.radius / circle.radius;
-        var endAngle = Math.atan2(this.nodeB.y - circle.y, this.nodeB.x - circle.x) + reverseScale * this.nodeB.radius / circle.radius;
-        var startX = circle.x + circle.radius * Math.cos(startAngle);
-        var startY = circle.y + circle.radius * Math.sin(startAngle);
-        var endX = circle.x + circle.radius * Math.cos(endAngle);
-        var endY = circle.y + circle.radius * Math.sin(endAngle);
-        return {
-            'hasCircle': true,
-            'startX': startX,
-            'startY': startY,
-            'startArrowRequested': this.nodeAHasArrow,
-            'endX': endX,
-            'endY': endY,
-            'endArrowRequested': this.nodeBHasArrow,
-            'startAngle': startAngle,
-            'endAngle': endAngle,
-            'circleX': circle.x,
-            'circleY': circle.y,
-            'circleRadius': circle.radius,
-            'reverseScale': reverseScale,
-            'isReversed': isReversed,
         };
-    };
 
-    Link.prototype.draw = function(c, isSelected) {
-        var stuff = this.getEndPointsAndCircle();
-        c.globalAlpha = this.opacity;
-
-        // draw the arc
-        c.fillStyle = 'transparent'; // not important for canvas because we don't c.fill() but important for SVG export which uses this property when arc()ing
-        c.strokeStyle = this.lineColor;
-        c.setLineDash(this.dashesEnabled ? config.canvas.lineDashSegments : []);
-        c.beginPath();
-        if(stuff.hasCircle) {
-            c.arc(stuff.circleX, stuff.circleY, stuff.circleRadius, stuff.startAngle, stuff.endAngle, stuff.isReversed);
-        } else {
-            c.moveTo(stuff.startX, stuff.startY);
-            c.lineTo(stuff.endX, stuff.endY);
-        }
-        c.stroke();
-        c.setLineDash([]);
-
-        // draw the heads of the arrow
-        c.fillStyle = this.arrowColor;
-        if(stuff.hasCircle) {
-            if(stuff.startArrowRequested) {
-                drawArrow(c, stuff.startX, stuff.startY, stuff.startAngle + stuff.reverseScale * (Math.PI / 2));
-            }
-            if(stuff.endArrowRequested) {
-                drawArrow(c, stuff.endX, stuff.endY, stuff.endAngle - stuff.reverseScale * (Math.PI / 2));
-            }
-        } else {
-            if(stuff.startArrowRequested) {
-                drawArrow(c, stuff.startX, stuff.startY, Math.atan2(stuff.startY - stuff.endY, stuff.startX - stuff.endX));
-            }
-            if(stuff.endArrowRequested) {
-                drawArrow(c, stuff.endX, stuff.endY, Math.atan2(stuff.endY - stuff.startY, stuff.endX - stuff.startX));
-            }
-        }
-
-        // draw the text
-        c.fillStyle = this.textColor;
-        if(stuff.hasCircle) {
-            var startAngle = stuff.startAngle;
-            var endAngle = stuff.endAngle;
-            if(endAngle < startAngle) {
-                endAngle += Math.PI * 2;
-            }
-            var textAngle = (startAngle + endAngle) / 2 + stuff.isReversed * Math.PI;
-            var textX = stuff.circleX + stuff.circleRadius * Math.cos(textAngle);
-            var textY = stuff.circleY + stuff.circleRadius * Math.sin(textAngle);
-            drawText(c, this.text, textX, textY, textAngle, isSelected);
-        } else {
-            var textX = (stuff.startX + stuff.endX) / 2;
-            var textY = (stuff.startY + stuff.endY) / 2;
-            var textAngle = Math.atan2(stuff.endX - stuff.startX, stuff.startY - stuff.endY);
-            drawText(c, this.text, textX, textY, textAngle + this.lineAngleAdjust, isSelected);
-        }
-    };
+        Link.prototype.draw = function(c, isSelected) {
+            var stuff = this.getEndPointsAndCircle();
+            c.globalAlpha = this.opacity;
 
-    Link.prototype.containsPoint = function(x, y) {
-        var stuff = this.getEndPointsAndCircle();
-        if(stuff.hasCircle) {
-            var dx = x - stuff.circleX;
-            var dy = y - stuff.circleY;
-            var distance = Math.sqrt(dx*dx + dy*dy) - stuff.circleRadius;
-            if(Math.abs(distance) < hitTargetPadding) {
-                var angle = Math.atan2(dy, dx);
+            // the line stops inside (or before, if they are open) the heads of the arrow
+            var startCut = stuff.startArrowRequested ? getArrowHead(this.lineWidth, this.nodeAArrowStyle, this.arrowSize).cut : 0;
+            var endCut = stuff.endArrowRequested ? getArrowHead(this.lineWidth, this.nodeBArrowStyle, this.arrowSize).cut : 0;
+
+            // draw the arc
+            c.fillStyle = 'transparent'; // not important for canvas because we don't c.fill() but important for SVG export which uses this property when arc()ing
+            c.strokeStyle = getColor(this, 'lineColor');
+            c.lineWidth = this.lineWidth;
+            c.setLineDash(this.dashesEnabled ? config.canvas.lineDashSegments : []);
+            c.beginPath();
+            if(stuff.hasCircle) {
+                c.arc(stuff.circleX, stuff.circleY, stuff.circleRadius,
+                      stuff.startAngle - stuff.reverseScale * startCut / stuff.circleRadius,
+                      stuff.endAngle + stuff.reverseScale * endCut / stuff.circleRadius, stuff.isReversed);
+            } else {
+                var points = shortenPolyline(stuff.points, startCut, endCut);
+                c.moveTo(points[0].x, points[0].y);
+                for(var i = 1; i < points.length; i++) {
+                    c.lineTo(points[i].x, points[i].y);
+                }
+            }
+            c.stroke();
+            c.setLineDash([]);
+
+            // draw the heads of the arrow
+            c.fillStyle = getColor(this, 'arrowColor');
+            if(stuff.hasCircle) {
+                if(stuff.startArrowRequested) {
+                    drawArrow(c, stuff.startX, stuff.startY, stuff.startAngle + stuff.reverseScale * (Math.PI / 2), this.lineWidth, this.nodeAArrowStyle, this.arrowSize);
+                }
+                if(stuff.endArrowRequested) {
+                    drawArrow(c, stuff.endX, stuff.endY, stuff.endAngle - stuff.reverseScale * (Math.PI / 2), this.lineWidth, this.nodeBArrowStyle, this.arrowSize);
+                }
+            } else {
+                var second = stuff.points[1];
+                var secondToLast = stuff.points[stuff.points.length - 2];
+                if(stuff.startArrowRequested) {
+                    drawArrow(c, stuff.startX, stuff.startY, Math.atan2(stuff.startY - second.y, stuff.startX - second.x), this.lineWidth, this.nodeAArrowStyle, this.arrowSize);
+                }
+                if(stuff.endArrowRequested) {
+                    drawArrow(c, stuff.endX, stuff.endY, Math.atan2(stuff.endY - secondToLast.y, stuff.endX - secondToLast.x), this.lineWidth, this.nodeBArrowStyle, this.arrowSize);
+                }
+            }
+            c.lineWidth = 1;
+
+            // draw the text
+            c.fillStyle = getColor(this, 'textColor');
+            var textPosition = getTextPosition(this);
+            drawText(c, this.text, textPosition.x, textPosition.y, textPosition.angle, isSelected);
+        };
+
+        // Returns where the text is displayed by default (see getTextPosition()).
+        Link.prototype.getDefaultTextPosition = function() {
+            var stuff = this.getEndPointsAndCircle();
+            if(stuff.hasCircle) {
                 var startAngle = stuff.startAngle;
                 var endAngle = stuff.endAngle;
-                if(stuff.isReversed) {
-                    var temp = startAngle;
-                    startAngle = endAngle;
-                    endAngle = temp;
-                }
                 if(endAngle < startAngle) {
                     endAngle += Math.PI * 2;
                 }
-                if(angle < startAngle) {
-                    angle += Math.PI * 2;
-                } else if(angle > endAngle) {
-                    angle -= Math.PI * 2;
+                var textAngle = (startAngle + endAngle) / 2 + stuff.isReversed * Math.PI;
+                return {
+                    'x': stuff.circleX + stuff.circleRadius * Math.cos(textAngle),
+                    'y': stuff.circleY + stuff.circleRadius * Math.sin(textAngle),
+                    'angle': textAngle,
+                };
+            }
+            var middle = getPolylineMiddle(stuff.points); // i.e. the middle of a straight line
+            return { 'x': middle.x, 'y': middle.y, 'angle': Math.atan2(middle.dx, -middle.dy) + this.lineAngleAdjust };
+        };
+
+        Link.prototype.containsPoint = function(x, y) {
+            var stuff = this.getEndPointsAndCircle();
+            if(stuff.hasCircle) {
+                var dx = x - stuff.circleX;
+                var dy = y - stuff.circleY;
+                var distance = Math.sqrt(dx*dx + dy*dy) - stuff.circleRadius;
+                if(Math.abs(distance) < getHitTargetPadding(this.lineWidth)) {
+                    var angle = Math.atan2(dy, dx);
+                    var startAngle = stuff.startAngle;
+                    var endAngle = stuff.endAngle;
+                    if(stuff.isReversed) {
+                        var temp = startAngle;
+                        startAngle = endAngle;
+                        endAngle = temp;
+                    }
+                    if(endAngle < startAngle) {
+                        endAngle += Math.PI * 2;
+                    }
+                    if(angle < startAngle) {
+                        angle += Math.PI * 2;
+                    } else if(angle > endAngle) {
+                        angle -= Math.PI * 2;
+                    }
+                    return (angle > startAngle && angle < endAngle);
+                }
+            } else {
+                for(var i = 1; i < stuff.points.length; i++) {
+                    var start = stuff.points[i - 1];
+                    var dx = stuff.points[i].x - start.x;
+                    var dy = stuff.points[i].y - start.y;
+                    var length = Math.sqrt(dx*dx + dy*dy);
+                    var percent = (dx * (x - start.x) + dy * (y - start.y)) / (length * length);
+                    var distance = (dx * (y - start.y) - dy * (x - start.x)) / length;
+                    if(percent > 0 && percent < 1 && Math.abs(distance) < getHitTargetPadding(this.lineWidth)) return true;
+                    if(i > 1 && distanceToSegment(x, y, start, start) < getHitTargetPadding(this.lineWidth)) return true; // bend point
                 }
-                return (angle > startAngle && angle < endAngle);
             }
-        } else {
-            var dx = stuff.endX - stuff.startX;
-            var dy = stuff.endY - stuff.startY;
-            var length = Math.sqrt(dx*dx + dy*dy);
-            var percent = (dx * (x - stuff.startX) + dy * (y - stuff.startY)) / (length * length);
-            var distance = (dx * (y - stuff.startY) - dy * (x - stuff.startX)) / length;
-            return (percent > 0 && percent < 1 && Math.abs(distance) < hitTargetPadding);
+            return false;
+        };
+
+        // Link from one node to itself (i.e. loop).
+        function SelfLink(node, mouse) {
+            this.id = generateId('l');
+            this.node = node;
+            this.nodeHasArrow = config.links.arrowHeadAtDst;
+            this.nodeArrowStyle = config.links.arrowHeadStyle;
+            this.text = '';
+            this.opacity = config.canvas.opacity;
+            this.dashesEnabled = false;
+            setInheritedColorProps(['lineColor', 'arrowColor', 'textColor'], this);
+            this.lineWidth = config.links.lineWidth;
+            this.textOffsetAlong = 0; // pixels from the default position of the text, along the link
+            this.textOffsetAway = 0; // pixels from the default position of the text, away from the link
+            this.arrowSize = config.links.arrowHeadSize;
+
+            this.anchorAngle = 0;
+            this.mouseOffsetAngle = 0;
+
+            if(mouse) {
+                this.setAnchorPoint(mouse.x, mouse.y);
+            }
         }
-        return false;
-    };
 
-    // Link from one node to itself (i.e. loop).
-    function SelfLink(node, mouse) {
-        this.node = node;
-        this.nodeHasArrow = config.links.arrowHeadAtDst;
-        this.text = '';
-        this.opacity = config.canvas.opacity;
-        this.dashesEnabled = false;
-        readColorPropsNoCheckings(['lineColor', 'arrowColor', 'textColor'], config.links, this);
+        SelfLink.prototype.getTwoExtremityNodes = function() {
+            return [this.node, this.node];
+        }
 
-        this.anchorAngle = 0;
-        this.mouseOffsetAngle = 0;
+        SelfLink.prototype.toJson = function(nodes) {
+            return {
+                'type': 'SelfLink',
+                'id': this.id,
+                'nodeIndex': nodes.indexOf(this.node),
+                'nodeId': this.node.id,
+                'nodeHasArrow': this.nodeHasArrow,
+                'nodeArrowStyle': this.nodeArrowStyle,
+                'text': this.text,
+                'opacity': this.opacity,
+                'dashesEnabled': this.dashesEnabled,
+                'lineColor': this.lineColor,
+                'arrowColor': this.arrowColor,
+                'textColor': this.textColor,
+                'lineWidth': this.lineWidth,
+                'arrowSize': this.arrowSize,
+                'textOffsetAlong': this.textOffsetAlong,
+                'textOffsetAway': this.textOffsetAway,
+                'anchorAngle': this.anchorAngle,
+            };
+        };
 
-        if(mouse) {
-            this.setAnchorPoint(mouse.x, mouse.y);
-        }
-    }
+        SelfLink.fromJson = function(obj, nodes) {
+            try {
+                if(obj.type === 'SelfLink') {
+                    var link = new SelfLink(getNodeElt(nodes, obj.nodeIndex, obj.nodeId));
+                    readId(obj, link);
+                    link.nodeHasArrow = config.links.arrowHeadAtDstOverridable ? valueIsBoolean(obj.nodeHasArrow) && obj.nodeHasArrow : link.nodeHasArrow;
+                    link.text = valueIsString(obj.text) ? obj.text : '';
+                    link.opacity = valueIsNumberInRange(obj.opacity, 0, 1) ? obj.opacity : link.opacity;
+                    link.dashesEnabled = valueIsBoolean(obj.dashesEnabled) && obj.dashesEnabled;
+                    readColorProps(['lineColor', 'arrowColor', 'textColor'], obj, link);
+                    link.lineWidth = valueIsStrokeWidth(obj.lineWidth) ? obj.lineWidth : link.lineWidth;
+                    link.arrowSize = valueIsNumberInRange(obj.arrowSize, 1, 100) ? obj.arrowSize : link.arrowSize;
+                    readArrowStyleProps(obj, link);
+                    link.textOffsetAlong = valueIsNumber(obj.textOffsetAlong) ? obj.textOffsetAlong : link.textOffsetAlong;
+                    link.textOffsetAway = valueIsNumber(obj.textOffsetAway) ? obj.textOffsetAway : link.textOffsetAway;
+                    link.anchorAngle = valueIsNumber(obj.anchorAngle) ? obj.anchorAngle : link.anchorAngle;
+                    return link;
+                }
+            } catch(e) {}
+            return null;
+        };
 
-    SelfLink.prototype.getTwoExtremityNodes = function() {
-        return [this.node, this.node];
-    }
+        SelfLink.prototype.prepareInsertionToCanvas = function() {
+            return config.canvas.acceptSelfLinks;
+        };
 
-    SelfLink.prototype.toJson = function(nodes) {
-        return {
-            'type': 'SelfLink',
-            'nodeIndex': nodes.indexOf(this.node),
-            'nodeHasArrow': this.nodeHasArrow,
-            'text': this.text,
-            'opacity': this.opacity,
-            'dashesEnabled': this.dashesEnabled,
-            'lineColor': this.lineColor,
-            'arrowColor': this.arrowColor,
-            'textColor': this.textColor,
-            'anchorAngle': this.anchorAngle,
+        SelfLink.prototype.prepareRemovalFromCanvas = function() {
+            // nothing to do
         };
-    };
 
-    SelfLink.fromJson = function(obj, nodes) {
-        try {
-            if(obj.type === 'SelfLink') {
-                var link = new SelfLink(getNodeElt(nodes, obj.nodeIndex));
-                link.nodeHasArrow = config.links.arrowHeadAtDstOverridable ? valueIsBoolean(obj.nodeHasArrow) && obj.nodeHasArrow : link.nodeHasArrow;
-                link.text = valueIsString(obj.text) ? obj.text : '';
-                link.opacity = valueIsNumberInRange(obj.opacity, 0, 1) ? obj.opacity : link.opacity;
-                link.dashesEnabled = valueIsBoolean(obj.dashesEnabled) && obj.dashesEnabled;
-                readColorProps(['lineColor', 'arrowColor', 'textColor'], obj, link);
-                link.anchorAngle = valueIsNumber(obj.anchorAngle) ? obj.anchorAngle : link.anchorAngle;
-                return link;
-            }
-        } catch(e) {}
-        return null;
-    };
+        SelfLink.prototype.setMouseStart = function(x, y) {
+            this.mouseOffsetAngle = this.anchorAngle - Math.atan2(y - this.node.y, x - this.node.x);
+        };
 
-    SelfLink.prototype.prepareInsertionToCanvas = function() {
-        return config.canvas.acceptSelfLinks;
-    };
+        SelfLink.prototype.setAnchorPoint = function(x, y) {
+            this.anchorAngle = Math.atan2(y - this.node.y, x - this.node.x) + this.mouseOffsetAngle;
+            // snap to 90 degrees
+            var snap = Math.round(this.anchorAngle / (Math.PI / 2)) * (Math.PI / 2);
+            if(Math.abs(this.anchorAngle - snap) < 0.1) this.anchorAngle = snap;
+            // keep in the range -pi to pi so our containsPoint() function always works
+            if(this.anchorAngle < -Math.PI) this.anchorAngle += 2 * Math.PI;
+            if(this.anchorAngle > Math.PI) this.anchorAngle -= 2 * Math.PI;
+        };
 
-    SelfLink.prototype.prepareRemovalFromCanvas = function() {
-        // nothing to do
-    };
+        SelfLink.prototype.getEndPointsAndCircle = function() {
+            var nodeRadius = this.node.getRadiusTowards(this.node.x + Math.cos(this.anchorAngle), this.node.y + Math.sin(this.anchorAngle));
+            var circleX = this.node.x + 1.5 * nodeRadius * Math.cos(this.anchorAngle);
+            var circleY = this.node.y + 1.5 * nodeRadius * Math.sin(this.anchorAngle);
+            var circleRadius = 0.75 * nodeRadius;
+            var startAngle = this.anchorAngle - Math.PI * 0.8;
+            var endAngle = this.anchorAngle + Math.PI * 0.8;
+            var startX = circleX + circleRadius * Math.cos(startAngle);
+            var startY = circleY + circleRadius * Math.sin(startAngle);
+            var endX = circleX + circleRadius * Math.cos(endAngle);
+            var endY = circleY + circleRadius * Math.sin(endAngle);
+            return {
+                'hasCircle': true,
+                'startX': startX,
+                'startY': startY,
+                'endX': endX,
+                'endY': endY,
+                'startAngle': startAngle,
+                'endAngle': endAngle,
+                'circleX': circleX,
+                'circleY': circleY,
+                'circleRadius': circleRadius,
+                'arrowRequested': this.nodeHasArrow,
+            };
+        };
 
-    SelfLink.prototype.setMouseStart = function(x, y) {
-        this.mouseOffsetAngle = this.anchorAngle - Math.atan2(y - this.node.y, x - this.node.x);
-    };
+        SelfLink.prototype.draw = function(c, isSelected) {
+            var stuff = this.getEndPointsAndCircle();
+            c.globalAlpha = this.opacity;
 
-    SelfLink.prototype.setAnchorPoint = function(x, y) {
-        this.anchorAngle = Math.atan2(y - this.node.y, x - this.node.x) + this.mouseOffsetAngle;
-        // snap to 90 degrees
-        var snap = Math.round(this.anchorAngle / (Math.PI / 2)) * (Math.PI / 2);
-        if(Math.abs(this.anchorAngle - snap) < 0.1) this.anchorAngle = snap;
-        // keep in the range -pi to pi so our containsPoint() function always works
-        if(this.anchorAngle < -Math.PI) this.anchorAngle += 2 * Math.PI;
-        if(this.anchorAngle > Math.PI) this.anchorAngle -= 2 * Math.PI;
-    };
+            // draw the arc
+            c.fillStyle = 'transparent'; // not important for canvas because we don't c.fill() but important for SVG export which uses this property when arc()ing
+            c.strokeStyle = getColor(this, 'lineColor');
+            c.lineWidth = this.lineWidth;
+            c.setLineDash(this.dashesEnabled ? config.canvas.lineDashSegments : []);
+            var endCut = stuff.arrowRequested ? getArrowHead(this.lineWidth, this.nodeArrowStyle, this.arrowSize).cut : 0;
+            c.beginPath();
+            c.arc(stuff.circleX, stuff.circleY, stuff.circleRadius, stuff.startAngle, stuff.endAngle - endCut / stuff.circleRadius, false);
+            c.stroke();
+            c.setLineDash([]);
+
+            // draw the head of the arrow
+            c.fillStyle = getColor(this, 'arrowColor');
+            if(stuff.arrowRequested) {
+                drawArrow(c, stuff.endX, stuff.endY, stuff.endAngle + Math.PI * 0.4, this.lineWidth, this.nodeArrowStyle, this.arrowSize);
+            }
+            c.lineWidth = 1;
 
-    SelfLink.prototype.getEndPointsAndCircle = function() {
-        var circleX = this.node.x + 1.5 * this.node.radius * Math.cos(this.anchorAngle);
-        var circleY = this.node.y + 1.5 * this.node.radius * Math.sin(this.anchorAngle);
-        var circleRadius = 0.75 * this.node.radius;
-        var startAngle = this.anchorAngle - Math.PI * 0.8;
-        var endAngle = this.anchorAngle + Math.PI * 0.8;
-        var startX = circleX + circleRadius * Math.cos(startAngle);
-        var startY = circleY + circleRadius * Math.sin(startAngle);
-        var endX = circleX + circleRadius * Math.cos(endAngle);
-        var endY = circleY + circleRadius * Math.sin(endAngle);
-        return {
-            'hasCircle': true,
-            'startX': startX,
-            'startY': startY,
-            'endX': endX,
-            'endY': endY,
-            'startAngle': startAngle,
-            'endAngle': endAngle,
-            'circleX': circleX,
-            'circleY': circleY,
-            'circleRadius': circleRadius,
-            'arrowRequested': this.nodeHasArrow,
+            // draw the text
+            c.fillStyle = getColor(this, 'textColor');
+            var textPosition = getTextPosition(this);
+            drawText(c, this.text, textPosition.x, textPosition.y, textPosition.angle, isSelected);
         };
-    };
 
-    SelfLink.prototype.draw = function(c, isSelected) {
-        var stuff = this.getEndPointsAndCircle();
-        c.globalAlpha = this.opacity;
-
-        // draw the arc
-        c.fillStyle = 'transparent'; // not important for canvas because we don't c.fill() but important for SVG export which uses this property when arc()ing
-        c.strokeStyle = this.lineColor;
-        c.setLineDash(this.dashesEnabled ? config.canvas.lineDashSegments : []);
-        c.beginPath();
-        c.arc(stuff.circleX, stuff.circleY, stuff.circleRadius, stuff.startAngle, stuff.endAngle, false);
-        c.stroke();
-        c.setLineDash([]);
-
-        // draw the head of the arrow
-        c.fillStyle = this.arrowColor;
-        if(stuff.arrowRequested) {
-            drawArrow(c, stuff.endX, stuff.endY, stuff.endAngle + Math.PI * 0.4);
-        }
-
-        // draw the text on the loop farthest from the node
-        c.fillStyle = this.textColor;
-        var textX = stuff.circleX + stuff.circleRadius * Math.cos(this.anchorAngle);
-        var textY = stuff.circleY + stuff.circleRadius * Math.sin(this.anchorAngle);
-        drawText(c, this.text, textX, textY, this.anchorAngle, isSelected);
-    };
+        // The text is on the loop farthest from the node by default.
+        SelfLink.prototype.getDefaultTextPosition = function() {
+            var stuff = this.getEndPointsAndCircle();
+            return {
+                'x': stuff.circleX + stuff.circleRadius * Math.cos(this.anchorAngle),
+                'y': stuff.circleY + stuff.circleRadius * Math.sin(this.anchorAngle),
+                'angle': this.anchorAngle,
+            };
+        };
 
-    SelfLink.prototype.containsPoint = function(x, y) {
-        var stuff = this.getEndPointsAndCircle();
-        var dx = x - stuff.circleX;
-        var dy = y - stuff.circleY;
-        var distance = Math.sqrt(dx*dx + dy*dy) - stuff.circleRadius;
-        return (Math.abs(distance) < hitTargetPadding);
-    };
+        SelfLink.prototype.containsPoint = function(x, y) {
+            var stuff = this.getEndPointsAndCircle();
+            var dx = x - stuff.circleX;
+            var dy = y - stuff.circleY;
+            var distance = Math.sqrt(dx*dx + dy*dy) - stuff.circleRadius;
+            return (Math.abs(distance) < getHitTargetPadding(this.lineWidth));
+        };
 
-    // Link to represent initial states in finite state machines.
-    function StartLink(node, start) {
-        this.node = node;
-        this.text = '';
-        this.opacity = config.canvas.opacity;
-        this.dashesEnabled = false;
-        readColorPropsNoCheckings(['lineColor', 'arrowColor', 'textColor'], config.links, this);
-        this.sychronizeVisualWithNode = true;
+        // Link to represent initial states in finite state machines.
+        function StartLink(node, start) {
+            this.id = generateId('l');
+            this.node = node;
+            this.nodeArrowStyle = config.links.arrowHeadStyle;
+            this.text = '';
+            this.opacity = config.canvas.opacity;
+            this.dashesEnabled = false;
+            setInheritedColorProps(['lineColor', 'arrowColor', 'textColor'], this);
+            this.lineWidth = config.links.lineWidth;
+            this.textOffsetAlong = 0; // pixels from the default position of the text, along the link
+            this.textOffsetAway = 0; // pixels from the default position of the text, away from the link
+            this.arrowSize = config.links.arrowHeadSize;
+            this.sychronizeVisualWithNode = true;
 
-        this.deltaX = 0;
-        this.deltaY = 0;
+            this.deltaX = 0;
+            this.deltaY = 0;
 
-        if(start) {
-            this.setAnchorPoint(start.x, start.y);
+            if(start) {
+                this.setAnchorPoint(start.x, start.y);
+            }
         }
-    }
 
-    StartLink.prototype.toJson = function(nodes) {
-        return {
-            'type': 'StartLink',
-            'nodeIndex': nodes.indexOf(this.node),
-            'text': this.text,
-            'opacity': this.opacity,
-            'dashesEnabled': this.dashesEnabled,
-            'lineColor': this.lineColor,
-            'arrowColor': this.arrowColor,
-            'textColor': this.textColor,
-            'sychronizeVisualWithNode': this.sychronizeVisualWithNode,
-            'deltaX': this.deltaX,
-            'deltaY': this.deltaY,
+        StartLink.prototype.toJson = function(nodes) {
+            return {
+                'type': 'StartLink',
+                'id': this.id,
+                'nodeIndex': nodes.indexOf(this.node),
+                'nodeId': this.node.id,
+                'nodeArrowStyle': this.nodeArrowStyle,
+                'text': this.text,
+                'opacity': this.opacity,
+                'dashesEnabled': this.dashesEnabled,
+                'lineColor': this.lineColor,
+                'arrowColor': this.arrowColor,
+                'textColor': this.textColor,
+                'lineWidth': this.lineWidth,
+                'arrowSize': this.arrowSize,
+                'textOffsetAlong': this.textOffsetAlong,
+                'textOffsetAway': this.textOffsetAway,
+                'sychronizeVisualWithNode': this.sychronizeVisualWithNode,
+                'deltaX': this.deltaX,
+                'deltaY': this.deltaY,
+            };
         };
-    };
 
-    StartLink.fromJson = function(obj, nodes) {
-        try {
-            if(obj.type === 'StartLink') {
-                var link = new StartLink(getNodeElt(nodes, obj.nodeIndex));
-                link.text = valueIsString(obj.text) ? obj.text : '';
-                link.opacity = valueIsNumberInRange(obj.opacity, 0, 1) ? obj.opacity : link.opacity;
-                link.dashesEnabled = valueIsBoolean(obj.dashesEnabled) && obj.dashesEnabled;
-                readColorProps(['lineColor', 'arrowColor', 'textColor'], obj, link);
-                link.sychronizeVisualWithNode = valueIsBoolean(obj.sychronizeVisualWithNode) && obj.sychronizeVisualWithNode;
-                link.deltaX = valueIsNumber(obj.deltaX) ? obj.deltaX : link.deltaX;
-                link.deltaY = valueIsNumber(obj.deltaY) ? obj.deltaY : link.deltaY;
-                return link;
-            }
-        } catch(e) {}
-        return null;
-    };
+        StartLink.fromJson = function(obj, nodes) {
+            try {
+                if(obj.type === 'StartLink') {
+                    var link = new StartLink(getNodeElt(nodes, obj.nodeIndex, obj.nodeId));
+                    readId(obj, link);
+                    link.text = valueIsString(obj.text) ? obj.text : '';
+                    link.opacity = valueIsNumberInRange(obj.opacity, 0, 1) ? obj.opacity : link.opacity;
+                    link.dashesEnabled = valueIsBoolean(obj.dashesEnabled) && obj.dashesEnabled;
+                    readColorProps(['lineColor', 'arrowColor', 'textColor'], obj, link);
+                    link.lineWidth = valueIsStrokeWidth(obj.lineWidth) ? obj.lineWidth : link.lineWidth;
+                    link.arrowSize = valueIsNumberInRange(obj.arrowSize, 1, 100) ? obj.arrowSize : link.arrowSize;
+                    readArrowStyleProps(obj, link);
+                    link.textOffsetAlong = valueIsNumber(obj.textOffsetAlong) ? obj.textOffsetAlong : link.textOffsetAlong;
+                    link.textOffsetAway = valueIsNumber(obj.textOffsetAway) ? obj.textOffsetAway : link.textOffsetAway;
+                    link.sychronizeVisualWithNode = valueIsBoolean(obj.sychronizeVisualWithNode) && obj.sychronizeVisualWithNode;
+                    link.deltaX = valueIsNumber(obj.deltaX) ? obj.deltaX : link.deltaX;
+                    link.deltaY = valueIsNumber(obj.deltaY) ? obj.deltaY : link.deltaY;
+                    return link;
+                }
+            } catch(e) {}
+            return null;
+        };
 
-    StartLink.prototype.prepareInsertionToCanvas = function() {
-        if(config.canvas.acceptStartLinks && !this.node.isInitialState) {
-            this.node.isInitialState = true;
-            return true;
-        }
-        return false;
-    };
+        StartLink.prototype.prepareInsertionToCanvas = function() {
+            if(config.canvas.acceptStartLinks && !this.node.isInitialState) {
+                this.node.isInitialState = true;
+                return true;
+            }
+            return false;
+        };
 
-    StartLink.prototype.prepareRemovalFromCanvas = function() {
-        this.node.isInitialState = false;
-    };
+        StartLink.prototype.prepareRemovalFromCanvas = function() {
+            this.node.isInitialState = false;
+        };
 
-    StartLink.prototype.setAnchorPoint = function(x, y) {
-        this.deltaX = x - this.node.x;
-        this.deltaY = y - this.node.y;
+        StartLink.prototype.setAnchorPoint = function(x, y) {
+            this.deltaX = x - this.node.x;
+            this.deltaY = y - this.node.y;
 
-        if(Math.abs(this.deltaX) < snapToPadding) {
-            this.deltaX = 0;
-        }
+            if(Math.abs(this.deltaX) < snapToPadding) {
+                this.deltaX = 0;
+            }
 
-        if(Math.abs(this.deltaY) < snapToPadding) {
-            this.deltaY = 0;
-        }
-    };
+            if(Math.abs(this.deltaY) < snapToPadding) {
+                this.deltaY = 0;
+            }
+        };
 
-    StartLink.prototype.getEndPoints = function() {
-        var startX = this.node.x + this.deltaX;
-        var startY = this.node.y + this.deltaY;
-        var end = this.node.closestPointOnCircle(startX, startY);
-        return {
-            'startX': startX,
-            'startY': startY,
-            'endX': end.x,
-            'endY': end.y,
+        StartLink.prototype.getEndPoints = function() {
+            var startX = this.node.x + this.deltaX;
+            var startY = this.node.y + this.deltaY;
+            var end = this.node.closestPointOnCircle(startX, startY);
+            return {
+                'startX': startX,
+                'startY': startY,
+                'endX': end.x,
+                'endY': end.y,
+            };
         };
-    };
 
-    StartLink.prototype.draw = function(c, isSelected) {
-        var stuff = this.getEndPoints();
-        c.globalAlpha = this.sychronizeVisualWithNode ?
-                        this.node.opacity*0.9 : // make sure node and links look similar
-                        this.opacity;
-
-        // draw the line
-        c.strokeStyle = this.sychronizeVisualWithNode ? this.node.borderColor : this.lineColor;
-        c.setLineDash((this.sychronizeVisualWithNode ? this.node.dashesEnabled : this.dashesEnabled) ? config.canvas.lineDashSegments : []);
-        c.beginPath();
-        c.moveTo(stuff.startX, stuff.startY);
-        c.lineTo(stuff.endX, stuff.endY);
-        c.stroke();
-        c.setLineDash([]);
-
-        // draw the head of the arrow
-        c.fillStyle = this.sychronizeVisualWithNode ? this.node.borderColor : this.arrowColor;
-        if(config.links.arrowHeadAtDst) {
-            drawArrow(c, stuff.endX, stuff.endY, Math.atan2(-this.deltaY, -this.deltaX));
-        }
-
-        // draw the text at the end without the arrow
-        c.fillStyle = this.sychronizeVisualWithNode ? this.node.borderColor : this.textColor;
-        var textAngle = Math.atan2(stuff.startY - stuff.endY, stuff.startX - stuff.endX);
-        drawText(c, this.text, stuff.startX, stuff.startY, textAngle, isSelected);
-    };
+        StartLink.prototype.getLineWidth = function() {
+            return this.sychronizeVisualWithNode ? this.node.borderWidth : this.lineWidth;
+        };
 
-    StartLink.prototype.containsPoint = function(x, y) {
-        var stuff = this.getEndPoints();
-        var dx = stuff.endX - stuff.startX;
-        var dy = stuff.endY - stuff.startY;
-        var length = Math.sqrt(dx*dx + dy*dy);
-        var percent = (dx * (x - stuff.startX) + dy * (y - stuff.startY)) / (length * length);
-        var distance = (dx * (y - stuff.startY) - dy * (x - stuff.startX)) / length;
-        return (percent > 0 && percent < 1 && Math.abs(distance) < hitTargetPadding);
-    };
+        StartLink.prototype.draw = function(c, isSelected) {
+            var stuff = this.getEndPoints();
+            c.globalAlpha = this.sychronizeVisualWithNode ?
+                            this.node.opacity*0.9 : // make sure node and links look similar
+                            this.opacity;
+
+            // draw the line
+            var lineWidth = this.getLineWidth();
+            c.strokeStyle = this.sychronizeVisualWithNode ? getColor(this.node, 'borderColor') : getColor(this, 'lineColor');
+            c.lineWidth = lineWidth;
+            c.setLineDash((this.sychronizeVisualWithNode ? this.node.dashesEnabled : this.dashesEnabled) ? config.canvas.lineDashSegments : []);
+            var endCut = config.links.arrowHeadAtDst ? getArrowHead(lineWidth, this.nodeArrowStyle, this.arrowSize).cut : 0;
+            var points = shortenPolyline([{ 'x': stuff.startX, 'y': stuff.startY }, { 'x': stuff.endX, 'y': stuff.endY }], 0, endCut);
+            c.beginPath();
+            c.moveTo(points[0].x, points[0].y);
+            c.lineTo(points[1].x, points[1].y);
+            c.stroke();
+            c.setLineDash([]);
 
-    function TemporaryLink(from, to) {
-        this.from = from;
-        this.to = to;
-    }
+            // draw the head of the arrow
+            c.fillStyle = this.sychronizeVisualWithNode ? getColor(this.node, 'borderColor') : getColor(this, 'arrowColor');
+            if(config.links.arrowHeadAtDst) {
+                drawArrow(c, stuff.endX, stuff.endY, Math.atan2(-this.deltaY, -this.deltaX), lineWidth, this.nodeArrowStyle, this.arrowSize);
+            }
+            c.lineWidth = 1;
 
-    TemporaryLink.prototype.prepareInsertionToCanvas = function() {
-        return false;
-    };
+            // draw the text
+            c.fillStyle = this.sychronizeVisualWithNode ? getColor(this.node, 'borderColor') : getColor(this, 'textColor');
+            var textPosition = getTextPosition(this);
+            drawText(c, this.text, textPosition.x, textPosition.y, textPosition.angle, isSelected);
+        };
 
-    TemporaryLink.prototype.draw = function(c, isSelected) {
-        c.globalAlpha = config.canvas.opacity;
-        c.fillStyle = config.links.arrowColor;
-        c.strokeStyle = config.links.lineColor;
+        // The text is at the end without the arrow by default.
+        StartLink.prototype.getDefaultTextPosition = function() {
+            var stuff = this.getEndPoints();
+            return { 'x': stuff.startX, 'y': stuff.startY, 'angle': Math.atan2(stuff.startY - stuff.endY, stuff.startX - stuff.endX) };
+        };
 
-        // draw the line
-        c.beginPath();
-        c.moveTo(this.to.x, this.to.y);
-        c.lineTo(this.from.x, this.from.y);
-        c.stroke();
+        StartLink.prototype.containsPoint = function(x, y) {
+            var stuff = this.getEndPoints();
+            var dx = stuff.endX - stuff.startX;
+            var dy = stuff.endY - stuff.startY;
+            var length = Math.sqrt(dx*dx + dy*dy);
+            var percent = (dx * (x - stuff.startX) + dy * (y - stuff.startY)) / (length * length);
+            var distance = (dx * (y - stuff.startY) - dy * (x - stuff.startX)) / length;
+            return (percent > 0 && percent < 1 && Math.abs(distance) < getHitTargetPadding(this.getLineWidth()));
+        };
 
-        // draw the heads of the arrow
-        if(config.links.arrowHeadAtSrc) {
-            drawArrow(c, this.from.x, this.from.y, Math.atan2(this.from.y - this.to.y, this.from.x - this.to.x));
+        function TemporaryLink(from, to) {
+            this.from = from;
+            this.to = to;
         }
-        if(config.links.arrowHeadAtDst) {
-            drawArrow(c, this.to.x, this.to.y, Math.atan2(this.to.y - this.from.y, this.to.x - this.from.x));
-        }
-    };
 
-    // Draw using this instead of a canvas and call toLaTeX() afterward.
-    // Very few visual attributes are exported.
-    function ExportAsLaTeX() {
-        this.strokeStyle = 'black';
-        this._points = [];
-        this._texData = '';
-        this._scale = 0.1; // to convert pixels to document space (TikZ breaks if the numbers get too big, above 500?)
-
-        this.toLaTeX = function() {
-            return '\\documentclass[12pt]{article}\n' +
-                '\\usepackage{tikz}\n' +
-                '\n' +
-                '\\begin{document}\n' +
-                '\n' +
-                '\\begin{center}\n' +
-                '\\begin{tikzpicture}[scale=0.2]\n' +
-                '\\tikzstyle{every node}+=[inner sep=0pt]\n' +
-                this._texData +
-                '\\end{tikzpicture}\n' +
-                '\\end{center}\n' +
-                '\n' +
-                '\\end{document}\n';
+        TemporaryLink.prototype.prepareInsertionToCanvas = function() {
+            return false;
         };
 
-        this.beginPath = function() {
-            this._points = [];
-        };
-        this.arc = function(x, y, radius, startAngle, endAngle, isReversed) {
-            x *= this._scale;
-            y *= this._scale;
-            radius *= this._scale;
-            if(endAngle - startAngle == Math.PI * 2) {
-                this._texData += '\\draw [' + this.strokeStyle + '] (' + fixed(x, 3) + ',' + fixed(-y, 3) + ') circle (' + fixed(radius, 3) + ');\n';
-            } else {
-                if(isReversed) {
-                    var temp = startAngle;
-                    startAngle = endAngle;
-                    endAngle = temp;
-                }
-                if(endAngle < startAngle) {
-                    endAngle += Math.PI * 2;
-                }
-                // TikZ needs the angles to be in between -2pi and 2pi or it breaks
-                if(Math.min(startAngle, endAngle) < -2*Math.PI) {
-                    startAngle += 2*Math.PI;
-                    endAngle += 2*Math.PI;
-                } else if(Math.max(startAngle, endAngle) > 2*Math.PI) {
-                    startAngle -= 2*Math.PI;
-                    endAngle -= 2*Math.PI;
-                }
-                startAngle = -startAngle;
-                endAngle = -endAngle;
-                this._texData += '\\draw [' + this.strokeStyle + '] (' + fixed(x + radius * Math.cos(startAngle), 3) + ',' + fixed(-y + radius * Math.sin(startAngle), 3) + ') arc (' + fixed(startAngle * 180 / Math.PI, 5) + ':' + fixed(endAngle * 180 / Math.PI, 5) + ':' + fixed(radius, 3) + ');\n';
+        TemporaryLink.prototype.draw = function(c, isSelected) {
+            c.globalAlpha = config.canvas.opacity;
+            c.fillStyle = config.links.arrowColor;
+            c.strokeStyle = config.links.lineColor;
+            c.lineWidth = config.links.lineWidth;
+
+            // draw the line
+            c.beginPath();
+            c.moveTo(this.to.x, this.to.y);
+            c.lineTo(this.from.x, this.from.y);
+            c.stroke();
+
+            // draw the heads of the arrow
+            if(config.links.arrowHeadAtSrc) {
+                drawArrow(c, this.from.x, this.from.y, Math.atan2(this.from.y - this.to.y, this.from.x - this.to.x), config.links.lineWidth,
+                          config.links.arrowHeadStyle, config.links.arrowHeadSize);
             }
+            if(config.links.arrowHeadAtDst) {
+                drawArrow(c, this.to.x, this.to.y, Math.atan2(this.to.y - this.from.y, this.to.x - this.from.x), config.links.lineWidth,
+                          config.links.arrowHeadStyle, config.links.arrowHeadSize);
+            }
+            c.lineWidth = 1;
         };
-        this.moveTo = this.lineTo = function(x, y) {
-            x *= this._scale;
-            y *= this._scale;
-            this._points.push({ 'x': x, 'y': y });
-        };
-        this.stroke = function() {
-            if(this._points.length === 0) return;
-            this._texData += '\\draw [' + this.strokeStyle + ']';
-            for(var i = 0; i < this._points.length; i++) {
-                var p = this._points[i];
-                this._texData += (i > 0 ? ' --' : '') + ' (' + fixed(p.x, 2) + ',' + fixed(-p.y, 2) + ')';
-            }
-            this._texData += ';\n';
-        };
-        this.fill = function() {
-            if(this._points.length === 0) return;
-            this._texData += '\\fill [' + this.strokeStyle + ']';
-            for(var i = 0; i < this._points.length; i++) {
-                var p = this._points[i];
-                this._texData += (i > 0 ? ' --' : '') + ' (' + fixed(p.x, 2) + ',' + fixed(-p.y, 2) + ')';
-            }
-            this._texData += ';\n';
-        };
-        this.measureText = function(text) {
-            var c = canvas.getContext('2d');
-            c.font = '20px "Times New Romain", serif';
-            return c.measureText(text);
-        };
-        this.advancedFillText = function(text, originalText, x, y, angleOrNull) {
-            if(text.replace(' ', '').length > 0) {
-                var nodeParams = '';
-                // x and y start off as the center of the text, but will be moved to one side of the box when angleOrNull != null
-                if(angleOrNull !== null) {
-                    var width = this.measureText(text).width;
-                    var dx = Math.cos(angleOrNull);
-                    var dy = Math.sin(angleOrNull);
-                    if(Math.abs(dx) > Math.abs(dy)) {
-                        if(dx > 0) { nodeParams = '[right] '; x -= width / 2; }
-                        else { nodeParams = '[left] '; x += width / 2; }
-                    } else {
-                        if(dy > 0) { nodeParams = '[below] '; y -= 10; }
-                        else { nodeParams = '[above] '; y += 10; }
+
+        // Draw using this instead of a canvas and call toLaTeX() afterward.
+        // Very few visual attributes are exported.
+        function ExportAsLaTeX() {
+            this.strokeStyle = config.links.lineColor;
+            this.lineWidth = 1;
+            this._points = [];
+            this._texData = '';
+            this._scale = 0.1; // to convert pixels to document space (TikZ breaks if the numbers get too big, above 500?)
+
+            this.toLaTeX = function() {
+                return '\\documentclass[12pt]{article}\n' +
+                    '\\usepackage{tikz}\n' +
+                    '\n' +
+                    '\\begin{document}\n' +
+                    '\n' +
+                    '\\begin{center}\n' +
+                    '\\begin{tikzpicture}[scale=0.2]\n' +
+                    '\\tikzstyle{every node}+=[inner sep=0pt]\n' +
+                    this._texData +
+                    '\\end{tikzpicture}\n' +
+                    '\\end{center}\n' +
+                    '\n' +
+                    '\\end{document}\n';
+            };
+
+            // TikZ knows color names (like 'black' or 'red') but not CSS hexadecimal
+            // or rgb() colors, which are converted
+            this.color = function() {
+                var hex = this.strokeStyle.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+                var rgb = this.strokeStyle.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+                if(hex !== null) {
+                    var digits = hex[1].length === 3 ? hex[1].replace(/(.)/g, '$1$1') : hex[1];
+                    rgb = [null, parseInt(digits.substr(0, 2), 16), parseInt(digits.substr(2, 2), 16), parseInt(digits.substr(4, 2), 16)];
+                }
+                return rgb !== null ? 'color={rgb,255:red,' + rgb[1] + ';green,' + rgb[2] + ';blue,' + rgb[3] + '}' : this.strokeStyle;
+            };
+
+            // TikZ lines are 0.4pt wide by default, which is what 1px lines look like
+            this.drawOptions = function() {
+                return this.color() + (this.lineWidth !== 1 ? ', line width=' + fixed(0.4 * this.lineWidth, 2) + 'pt' : '');
+            };
+
+            this.beginPath = function() {
+                this._points = [];
+            };
+            this.closePath = function() {
+                if(this._points.length > 0) this._points.push(this._points[0]);
+            };
+            this.arc = function(x, y, radius, startAngle, endAngle, isReversed) {
+                x *= this._scale;
+                y *= this._scale;
+                radius *= this._scale;
+                if(endAngle - startAngle == Math.PI * 2) {
+                    this._texData += '\\draw [' + this.drawOptions() + '] (' + fixed(x, 3) + ',' + fixed(-y, 3) + ') circle (' + fixed(radius, 3) + ');\n';
+                } else {
+                    if(isReversed) {
+                        var temp = startAngle;
+                        startAngle = endAngle;
+                        endAngle = temp;
+                    }
+                    if(endAngle < startAngle) {
+                        endAngle += Math.PI * 2;
                     }
+                    // TikZ needs the angles to be in between -2pi and 2pi or it breaks
+                    if(Math.min(startAngle, endAngle) < -2*Math.PI) {
+                        startAngle += 2*Math.PI;
+                        endAngle += 2*Math.PI;
+                    } else if(Math.max(startAngle, endAngle) > 2*Math.PI) {
+                        startAngle -= 2*Math.PI;
+                        endAngle -= 2*Math.PI;
+                    }
+                    startAngle = -startAngle;
+                    endAngle = -endAngle;
+                    this._texData += '\\draw [' + this.drawOptions() + '] (' + fixed(x + radius * Math.cos(startAngle), 3) + ',' + fixed(-y + radius * Math.sin(startAngle), 3) + ') arc (' + fixed(startAngle * 180 / Math.PI, 5) + ':' + fixed(endAngle * 180 / Math.PI, 5) + ':' + fixed(radius, 3) + ');\n';
                 }
+            };
+            this.moveTo = this.lineTo = function(x, y) {
                 x *= this._scale;
                 y *= this._scale;
-                this._texData += '\\draw (' + fixed(x, 2) + ',' + fixed(-y, 2) + ') node ' + nodeParams + '{$' + originalText.replace(/ /g, '\\mbox{ }') + '$};\n';
+                this._points.push({ 'x': x, 'y': y });
+            };
+            this.stroke = function() {
+                if(this._points.length === 0) return;
+                this._texData += '\\draw [' + this.drawOptions() + ']';
+                for(var i = 0; i < this._points.length; i++) {
+                    var p = this._points[i];
+                    this._texData += (i > 0 ? ' --' : '') + ' (' + fixed(p.x, 2) + ',' + fixed(-p.y, 2) + ')';
+                }
+                this._texData += ';\n';
+            };
+            this.fill = function() {
+                if(this._points.length === 0) return;
+                this._texData += '\\fill [' + this.color() + ']';
+                for(var i = 0; i < this._points.length; i++) {
+                    var p = this._points[i];
+                    this._texData += (i > 0 ? ' --' : '') + ' (' + fixed(p.x, 2) + ',' + fixed(-p.y, 2) + ')';
+                }
+                this._texData += ';\n';
+            };
+            this.measureText = function(text) {
+                return measureText(text, '20px "Times New Romain", serif');
+            };
+            this.advancedFillText = function(text, originalText, x, y, angleOrNull) {
+                if(text.replace(' ', '').length > 0) {
+                    var nodeParams = '';
+                    // x and y start off as the center of the text, but will be moved to one side of the box when angleOrNull != null
+                    if(angleOrNull !== null) {
+                        var width = this.measureText(text).width;
+                        var dx = Math.cos(angleOrNull);
+                        var dy = Math.sin(angleOrNull);
+                        if(Math.abs(dx) > Math.abs(dy)) {
+                            if(dx > 0) { nodeParams = '[right] '; x -= width / 2; }
+                            else { nodeParams = '[left] '; x += width / 2; }
+                        } else {
+                            if(dy > 0) { nodeParams = '[below] '; y -= 10; }
+                            else { nodeParams = '[above] '; y += 10; }
+                        }
+                    }
+                    x *= this._scale;
+                    y *= this._scale;
+                    this._texData += '\\draw (' + fixed(x, 2) + ',' + fixed(-y, 2) + ') node ' + nodeParams + '{$' + originalText.replace(/ /g, '\\mbox{ }') + '$};\n';
+                }
+            };
+
+            this.setLineDash = this.translate = this.save = this.restore = this.clearRect = function(){};
+            this.fillRect = function(){}; // documents keep their own background
+        }
+
+        // Draw using this instead of a canvas and call toSVG() afterward.
+        // All visual attributes are exported.
+        function ExportAsSVG() {
+            this.globalAlpha = 1;
+            this.fillStyle = config.links.textColor;
+            this.strokeStyle = config.links.lineColor;
+            this.lineWidth = 1;
+            this.font = '12px Arial, sans-serif';
+            this._lineDashSegments = "";
+            this._points = [];
+            this._isClosed = false;
+            this._svgData = '';
+            this._transX = 0;
+            this._transY = 0;
+
+            this.style = function() {
+                return 'stroke="{0}" stroke-opacity="{1}" stroke-width="{2}" stroke-dasharray="{3}" fill="{4}" fill-opacity="{5}"'
+                      .format(this.strokeStyle, this.globalAlpha, this.lineWidth, this._lineDashSegments, this.fillStyle, this.globalAlpha);
+            }
+            this.styleForFill = function() {
+                return 'fill="{0}" fill-opacity="{1}" stroke-width="{2}" stroke-dasharray="{3}"'
+                      .format(this.fillStyle, this.globalAlpha, this.lineWidth, this._lineDashSegments);
+            }
+            this.styleForStroke = function() {
+                return 'stroke="{0}" stroke-opacity="{1}" stroke-width="{2}" stroke-dasharray="{3}"'
+                      .format(this.strokeStyle, this.globalAlpha, this.lineWidth, this._lineDashSegments);
             }
-        };
 
-        this.setLineDash = this.translate = this.save = this.restore = this.clearRect = function(){};
-    }
+            this.toSVG = function() {
+                return '<?xml version="1.0" standalone="no"?>\n<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">\n\n<svg width="{0}" height="{1}" version="1.1" xmlns="http://www.w3.org/2000/svg">\n'
+                      .format(getCanvasSize().width, getCanvasSize().height)
+                     + this._svgData
+                     + '</svg>\n';
+            };
 
-    // Draw using this instead of a canvas and call toSVG() afterward.
-    // All visual attributes are exported.
-    function ExportAsSVG() {
-        this.globalAlpha = 1;
-        this.fillStyle = 'black';
-        this.strokeStyle = 'black';
-        this.lineWidth = 1;
-        this.font = '12px Arial, sans-serif';
-        this._lineDashSegments = "";
-        this._points = [];
-        this._svgData = '';
-        this._transX = 0;
-        this._transY = 0;
-
-        this.style = function() {
-            return 'stroke="{0}" stroke-opacity="{1}" stroke-width="{2}" stroke-dasharray="{3}" fill="{4}" fill-opacity="{5}"'
-                  .format(this.strokeStyle, this.globalAlpha, this.lineWidth, this._lineDashSegments, this.fillStyle, this.globalAlpha);
-        }
-        this.styleForFill = function() {
-            return 'fill="{0}" fill-opacity="{1}" stroke-width="{2}" stroke-dasharray="{3}"'
-                  .format(this.fillStyle, this.globalAlpha, this.lineWidth, this._lineDashSegments);
-        }
-        this.styleForStroke = function() {
-            return 'stroke="{0}" stroke-opacity="{1}" stroke-width="{2}" stroke-dasharray="{3}"'
-                  .format(this.strokeStyle, this.globalAlpha, this.lineWidth, this._lineDashSegments);
-        }
-
-        this.toSVG = function() {
-            return '<?xml version="1.0" standalone="no"?>\n<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">\n\n<svg width="{0}" height="{1}" version="1.1" xmlns="http://www.w3.org/2000/svg">\n'
-                  .format(canvas.width, canvas.height)
-                 + this._svgData
-                 + '</svg>\n';
-        };
+            this.setLineDash = function(segments) {
+                this._lineDashSegments = segments.join(', ');
+            }
+            this.beginPath = function() {
+                this._points = [];
+                this._isClosed = false;
+            };
+            this.closePath = function() {
+                this._isClosed = true;
+            };
+            this.arc = function(x, y, radius, startAngle, endAngle, isReversed) {
+                x += this._transX;
+                y += this._transY;
+
+                if(endAngle - startAngle == Math.PI * 2) {
+                    this._svgData += '\t<ellipse ' + this.style() + ' cx="' + fixed(x, 3) + '" cy="' + fixed(y, 3) + '" rx="' + fixed(radius, 3) + '" ry="' + fixed(radius, 3) + '"/>\n';
+                } else {
+                    if(isReversed) {
+                        var temp = startAngle;
+                        startAngle = endAngle;
+                        endAngle = temp;
+                    }
+
+                    if(endAngle < startAngle) {
+                        endAngle += Math.PI * 2;
+                    }
+
+                    var startX = x + radius * Math.cos(startAngle);
+                    var startY = y + radius * Math.sin(startAngle);
+                    var endX = x + radius * Math.cos(endAngle);
+                    var endY = y + radius * Math.sin(endAngle);
+                    var useGreaterThan180 = (Math.abs(endAngle - startAngle) > Math.PI);
+                    var goInPositiveDirection = 1;
+
+                    this._svgData += '\t<path ' + this.style() + ' d="';
+                    this._svgData += 'M ' + fixed(startX, 3) + ',' + fixed(startY, 3) + ' '; // startPoint(startX, startY)
+                    this._svgData += 'A ' + fixed(radius, 3) + ',' + fixed(radius, 3) + ' '; // radii(radius, radius)
+                    this._svgData += '0 '; // value of 0 means perfect circle, others mean ellipse
+                    this._svgData += +useGreaterThan180 + ' ';
+                    this._svgData += +goInPositiveDirection + ' ';
+                    this._svgData += fixed(endX, 3) + ',' + fixed(endY, 3); // endPoint(endX, endY)
+                    this._svgData += '"/>\n';
+                }
+            };
+            this.moveTo = this.lineTo = function(x, y) {
+                x += this._transX;
+                y += this._transY;
+                this._points.push({ 'x': x, 'y': y });
+            };
+            this.stroke = function() {
+                if(this._points.length === 0) return;
+                this._svgData += '\t<' + (this._isClosed ? 'polygon' : 'polyline') + ' ' + this.styleForStroke() + ' fill="none" points="';
+                for(var i = 0; i < this._points.length; i++) {
+                    this._svgData += (i > 0 ? ' ' : '') + fixed(this._points[i].x, 3) + ',' + fixed(this._points[i].y, 3);
+                }
+                this._svgData += '"/>\n';
+            };
+            this.fill = function() {
+                if(this._points.length === 0) return;
+                this._svgData += '\t<polygon ' + this.styleForFill() + ' points="';
+                for(var i = 0; i < this._points.length; i++) {
+                    this._svgData += (i > 0 ? ' ' : '') + fixed(this._points[i].x, 3) + ',' + fixed(this._points[i].y, 3);
+                }
+                this._svgData += '"/>\n';
+            };
+            this.measureText = function(text) {
+                return measureText(text, this.font);
+            };
+            this.fontAttributes = function() {
+                var matches = this.font.match(/^(.*?)(\d+(?:\.\d+)?)px\s*(.*)$/) || [ '', '', '20', 'serif' ];
+                return 'font-family="{0}" font-size="{1}"{2}{3}'.format(matches[3].replace(/"/g, '\''), matches[2],
+                       /bold/.test(matches[1]) ? ' font-weight="bold"' : '', /italic/.test(matches[1]) ? ' font-style="italic"' : '');
+            };
+            this.fillText = function(text, x, y) {
+                x += this._transX;
+                y += this._transY;
+                if(text.replace(' ', '').length > 0) {
+                    this._svgData += '\t<text {0} x="'.format(this.styleForFill()) + fixed(x, 3) + '" y="' + fixed(y, 3) + '" ' + this.fontAttributes() + ' xml:space="preserve">' + textToXML(text) + '</text>\n';
+                }
+            };
+            this.fillRect = function(x, y, width, height) {
+                this._svgData += '\t<rect {0} x="'.format(this.styleForFill()) + fixed(x + this._transX, 3) + '" y="' + fixed(y + this._transY, 3)
+                               + '" width="' + fixed(width, 3) + '" height="' + fixed(height, 3) + '"/>\n';
+            };
+            this.translate = function(x, y) {
+                this._transX = x;
+                this._transY = y;
+            };
 
-        this.setLineDash = function(segments) {
-            this._lineDashSegments = segments.join(', ');
+            this.save = this.restore = this.clearRect = function(){};
         }
-        this.beginPath = function() {
-            this._points = [];
-        };
-        this.arc = function(x, y, radius, startAngle, endAngle, isReversed) {
-            x += this._transX;
-            y += this._transY;
 
-            if(endAngle - startAngle == Math.PI * 2) {
-                this._svgData += '\t<ellipse ' + this.style() + ' cx="' + fixed(x, 3) + '" cy="' + fixed(y, 3) + '" rx="' + fixed(radius, 3) + '" ry="' + fixed(radius, 3) + '"/>\n';
+        // Draws text (possibly made of several lines) centered on the given
+        // point, or next to it if given an angle. The caret and the selected
+        // part of the text are drawn when the text is that of the selected
+        // element (see isSelected).
+        // Computes where the lines of the given text are displayed, given a
+        // function which returns the width of a line of the original text
+        // (with its LaTeX notations, see layoutLatexText()). See drawText() for the
+        // other parameters. The text block spans from (x, y) to (x + width, y + height).
+        function layoutText(originalText, x, y, angleOrNull, measure) {
+            var lineHeight = getFontSize(config.canvas.font);
+            var rawLines = originalText.split('\n');
+            var lines = [];
+            var width = 0;
+            var i = 0;
+            for(i = 0; i < rawLines.length; i++) {
+                var text = convertLatexShortcuts(rawLines[i]);
+                var lineWidth = measure(rawLines[i]);
+                lines.push({ 'text': text, 'raw': rawLines[i], 'width': lineWidth });
+                width = Math.max(width, lineWidth);
+            }
+            var height = lineHeight * lines.length;
+
+            // center the text horizontally
+            x -= width / 2;
+
+            // position the text intelligently if given an angle
+            if(angleOrNull !== null) {
+                var cos = Math.cos(angleOrNull);
+                var sin = Math.sin(angleOrNull);
+                var cornerPointX = (width / 2 + 5) * (cos > 0 ? 1 : -1);
+                var cornerPointY = (height / 2 + 5) * (sin > 0 ? 1 : -1);
+                var slide = sin * Math.pow(Math.abs(sin), 40) * cornerPointX - cos * Math.pow(Math.abs(cos), 10) * cornerPointY;
+                x += cornerPointX - sin * slide;
+                y += cornerPointY + cos * slide;
+            }
+
+            // each line is centered horizontally in the text block
+            var lineStart = 0; // index of the first character of the line in the original text
+            for(i = 0; i < lines.length; i++) {
+                var line = lines[i];
+                line.x = x + (width - line.width) / 2;
+                line.y = y + (i - (lines.length - 1) / 2) * lineHeight;
+                line.start = lineStart;
+                lineStart += line.raw.length + 1;
+            }
+            return { 'lines': lines, 'lineHeight': lineHeight, 'x': x, 'y': y - height / 2, 'width': width, 'height': height };
+        }
+
+        function drawText(c, originalText, x, y, angleOrNull, isSelected) {
+            c.font = config.canvas.font;
+            var measure = function(text) { return layoutLatexText(text, config.canvas.font, getTextMeasure(c)).width; };
+            var layout = layoutText(originalText, x, y, angleOrNull, measure);
+            var lines = layout.lines;
+            var lineHeight = layout.lineHeight;
+            var i = 0, line = null;
+            if(isSelected) {
+                textLayout = { 'lines': lines, 'lineHeight': lineHeight };
+            }
+
+            // draw text and caret (round the coordinates so the caret falls on a pixel)
+            if('advancedFillText' in c) {
+                for(i = 0; i < lines.length; i++) {
+                    c.advancedFillText(lines[i].text, lines[i].raw, lines[i].x + lines[i].width / 2, lines[i].y, angleOrNull);
+                }
             } else {
-                if(isReversed) {
-                    var temp = startAngle;
-                    startAngle = endAngle;
-                    endAngle = temp;
+                var range = isSelected ? getTextRange() : null;
+                for(i = 0; i < lines.length; i++) {
+                    line = lines[i];
+                    var lineX = Math.round(line.x);
+                    var lineY = Math.round(line.y);
+                    if(range !== null && range.start !== range.end) { // highlight the selected part of the line
+                        var selStart = Math.max(range.start, line.start) - line.start;
+                        var selEnd = Math.min(range.end, line.start + line.raw.length) - line.start;
+                        if(selStart <= selEnd && range.end > line.start && range.start <= line.start + line.raw.length) {
+                            var x0 = lineX + measure(line.raw.substring(0, selStart));
+                            var x1 = lineX + measure(line.raw.substring(0, selEnd));
+                            var savedFillStyle = c.fillStyle;
+                            var savedAlpha = c.globalAlpha;
+                            c.fillStyle = config.canvas.selectionColor;
+                            c.globalAlpha = 0.3;
+                            c.fillRect(x0, lineY - lineHeight / 2, Math.max(x1 - x0, 2), lineHeight);
+                            c.fillStyle = savedFillStyle;
+                            c.globalAlpha = savedAlpha;
+                        }
+                    }
+                    drawLatexText(c, line.raw, lineX, lineY + config.canvas.fontTextVerticalPadding);
+                    if(range !== null && textCaret >= line.start && textCaret <= line.start + line.raw.length) {
+                        var caretX = lineX + measure(line.raw.substring(0, textCaret - line.start));
+                        textLayout.caret = { 'x': caretX, 'y': lineY - lineHeight / 2 };
+                        if(caretVisible && canvasHasFocus() && document.hasFocus()) {
+                            c.beginPath();
+                            c.moveTo(caretX, lineY - lineHeight / 2);
+                            c.lineTo(caretX, lineY + lineHeight / 2);
+                            c.stroke();
+                        }
+                    }
                 }
+            }
+        }
 
-                if(endAngle < startAngle) {
-                    endAngle += Math.PI * 2;
-                }
+        // Measures text using the canvas, or estimates its width from the font
+        // size when there is no canvas (i.e. in headless mode).
+        function measureText(text, font) {
+            if(canvas) {
+                var c = canvas.getContext('2d');
+                c.font = font;
+                return c.measureText(text);
+            }
+            return { 'width': text.length * getFontSize(font) * 0.5 }; // roughly the average width of a character
+        }
 
-                var startX = x + radius * Math.cos(startAngle);
-                var startY = y + radius * Math.sin(startAngle);
-                var endX = x + radius * Math.cos(endAngle);
-                var endY = y + radius * Math.sin(endAngle);
-                var useGreaterThan180 = (Math.abs(endAngle - startAngle) > Math.PI);
-                var goInPositiveDirection = 1;
-
-                this._svgData += '\t<path ' + this.style() + ' d="';
-                this._svgData += 'M ' + fixed(startX, 3) + ',' + fixed(startY, 3) + ' '; // startPoint(startX, startY)
-                this._svgData += 'A ' + fixed(radius, 3) + ',' + fixed(radius, 3) + ' '; // radii(radius, radius)
-                this._svgData += '0 '; // value of 0 means perfect circle, others mean ellipse
-                this._svgData += +useGreaterThan180 + ' ';
-                this._svgData += +goInPositiveDirection + ' ';
-                this._svgData += fixed(endX, 3) + ',' + fixed(endY, 3); // endPoint(endX, endY)
-                this._svgData += '"/>\n';
+        // Returns the size (in pixels) of the given CSS font.
+        function getFontSize(font) {
+            var fontSizeMatches = font.match(/(\d+(?:\.\d+)?)px/);
+            return fontSizeMatches !== null ? parseFloat(fontSizeMatches[1]) : 16;
+        }
+
+        // Returns the dimensions of an arrow-head given the width of the line it
+        // ends, its style and its size (the length of triangles for 1px-wide
+        // lines). The cut is the length of line hidden by the arrow-head, which
+        // is not drawn so that thick lines and open arrow-heads look right.
+        function getArrowHead(lineWidth, style, size) {
+            var scale = valueIsNumber(lineWidth) ? Math.max(1, (lineWidth + 1) / 2) : 1;
+            var length = (valueIsNumber(size) ? size : 8) * scale;
+            var halfWidth = length * 5 / 8;
+            style = arrowHeadStyles.indexOf(style) !== -1 ? style : 'triangle';
+            var cuts = {
+                'triangle': length / 2, 'openTriangle': length,
+                'diamond': length, 'openDiamond': 2 * length,
+                'circle': halfWidth, 'openCircle': 2 * halfWidth,
+            };
+            return { 'style': style, 'length': length, 'halfWidth': halfWidth, 'cut': cuts[style] || 0 };
+        }
+
+        // Draws an arrow-head whose tip is at (x, y) using the current fill style
+        // (even when it is open). See getArrowHead() for the other parameters.
+        function drawArrow(c, x, y, angle, lineWidth, style, size) {
+            var head = getArrowHead(lineWidth, style, size);
+            if(head.style === 'none') return;
+            var l = head.length, w = head.halfWidth;
+            var dx = Math.cos(angle);
+            var dy = Math.sin(angle);
+            var savedStrokeStyle = c.strokeStyle;
+            c.strokeStyle = c.fillStyle;
+            c.beginPath();
+            switch(head.style) {
+                case 'vee':
+                    c.moveTo(x - l * dx + w * dy, y - l * dy - w * dx);
+                    c.lineTo(x, y);
+                    c.lineTo(x - l * dx - w * dy, y - l * dy + w * dx);
+                    break;
+                case 'bar':
+                    c.moveTo(x + w * dy, y - w * dx);
+                    c.lineTo(x - w * dy, y + w * dx);
+                    break;
+                case 'diamond':
+                case 'openDiamond':
+                    c.moveTo(x, y);
+                    c.lineTo(x - l * dx + w * dy, y - l * dy - w * dx);
+                    c.lineTo(x - 2 * l * dx, y - 2 * l * dy);
+                    c.lineTo(x - l * dx - w * dy, y - l * dy + w * dx);
+                    break;
+                case 'circle':
+                case 'openCircle': // a polygon, so that LaTeX can fill it
+                    for(var i = 0; i < 24; i++) {
+                        var a = angle + i * Math.PI / 12;
+                        c[i === 0 ? 'moveTo' : 'lineTo'](x - w * dx + w * Math.cos(a), y - w * dy + w * Math.sin(a));
+                    }
+                    break;
+                default: // triangles
+                    c.moveTo(x, y);
+                    c.lineTo(x - l * dx + w * dy, y - l * dy - w * dx);
+                    c.lineTo(x - l * dx - w * dy, y - l * dy + w * dx);
+                    break;
             }
-        };
-        this.moveTo = this.lineTo = function(x, y) {
-            x += this._transX;
-            y += this._transY;
-            this._points.push({ 'x': x, 'y': y });
-        };
-        this.stroke = function() {
-            if(this._points.length === 0) return;
-            this._svgData += '\t<polygon ' + this.styleForStroke() + ' points="';
-            for(var i = 0; i < this._points.length; i++) {
-                this._svgData += (i > 0 ? ' ' : '') + fixed(this._points[i].x, 3) + ',' + fixed(this._points[i].y, 3);
+            if(head.style === 'triangle' || head.style === 'diamond' || head.style === 'circle') {
+                c.fill();
+            } else {
+                if(head.style !== 'vee' && head.style !== 'bar') c.closePath();
+                c.stroke();
             }
-            this._svgData += '"/>\n';
-        };
-        this.fill = function() {
-            if(this._points.length === 0) return;
-            this._svgData += '\t<polygon ' + this.styleForFill() + ' points="';
-            for(var i = 0; i < this._points.length; i++) {
-                this._svgData += (i > 0 ? ' ' : '') + fixed(this._points[i].x, 3) + ',' + fixed(this._points[i].y, 3);
+            c.strokeStyle = savedStrokeStyle;
+        }
+
+        // Returns a copy of the given polyline without the given lengths at
+        // its start and at its end (each of them staying on its first or last segment).
+        function shortenPolyline(points, startCut, endCut) {
+            var result = points.slice();
+            var shorten = function(index, towardsIndex, cut) {
+                var p = result[index], q = result[towardsIndex];
+                var length = Math.sqrt((q.x - p.x) * (q.x - p.x) + (q.y - p.y) * (q.y - p.y));
+                var percent = length === 0 ? 0 : Math.min(cut, length) / length;
+                result[index] = { 'x': p.x + (q.x - p.x) * percent, 'y': p.y + (q.y - p.y) * percent };
+            };
+            if(startCut > 0) shorten(0, 1, startCut);
+            if(endCut > 0) shorten(result.length - 1, result.length - 2, endCut);
+            return result;
+        }
+
+        function textToXML(text) {
+            text = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            var result = '';
+            for(var i = 0; i < text.length; i++) {
+                var c = text.charCodeAt(i);
+                if(c >= 0x20 && c <= 0x7E) {
+                    result += text[i];
+                } else {
+                    result += '&#' + c + ';';
+                }
             }
-            this._svgData += '"/>\n';
+            return result;
+        }
+
+        var greekLetterNames = [ 'Alpha', 'Beta', 'Gamma', 'Delta', 'Epsilon', 'Zeta', 'Eta', 'Theta', 'Iota', 'Kappa', 'Lambda', 'Mu', 'Nu', 'Xi', 'Omicron', 'Pi', 'Rho', 'Sigma', 'Tau', 'Upsilon', 'Phi', 'Chi', 'Psi', 'Omega' ];
+
+        // Characters displayed for LaTeX commands (the greek letters are added below).
+        var latexSymbols = {
+            'varepsilon': 'ε', 'vartheta': 'ϑ', 'varphi': 'φ', 'varrho': 'ϱ', 'varsigma': 'ς',
+            'emptyset': '∅', 'varnothing': '∅', 'infty': '∞',
+            'rightarrow': '→', 'to': '→', 'leftarrow': '←', 'gets': '←', 'leftrightarrow': '↔',
+            'Rightarrow': '⇒', 'Leftarrow': '⇐', 'Leftrightarrow': '⇔', 'mapsto': '↦',
+            'cdot': '·', 'times': '×', 'ast': '∗', 'star': '⋆', 'circ': '∘', 'ldots': '…', 'cdots': '⋯',
+            'cup': '∪', 'cap': '∩', 'sqcup': '⊔', 'sqcap': '⊓', 'setminus': '∖',
+            'in': '∈', 'notin': '∉', 'subset': '⊂', 'subseteq': '⊆', 'supset': '⊃', 'supseteq': '⊇',
+            'neq': '≠', 'ne': '≠', 'leq': '≤', 'le': '≤', 'geq': '≥', 'ge': '≥',
+            'neg': '¬', 'lnot': '¬', 'wedge': '∧', 'land': '∧', 'vee': '∨', 'lor': '∨',
+            'forall': '∀', 'exists': '∃', 'vdash': '⊢', 'models': '⊨', 'bot': '⊥', 'top': '⊤',
+            'sharp': '♯', 'flat': '♭', 'prime': '′', 'langle': '⟨', 'rangle': '⟩',
+            '{': '{', '}': '}', '_': '_', '^': '^', '#': '#', '$': '$', '%': '%', '&': '&', '\\': '\\', ' ': ' ', ',': ' ', ';': ' ',
         };
-        this.measureText = function(text) {
-            var c = canvas.getContext('2d');
-            c.font = '20px "Times New Romain", serif';
-            return c.measureText(text);
+        for(var greekIndex = 0; greekIndex < greekLetterNames.length; greekIndex++) {
+            latexSymbols[greekLetterNames[greekIndex]] = String.fromCharCode(913 + greekIndex + (greekIndex > 16));
+            latexSymbols[greekLetterNames[greekIndex].toLowerCase()] = String.fromCharCode(945 + greekIndex + (greekIndex > 16));
+        }
+
+        // Fonts selected by LaTeX commands (see getRunFont()).
+        var latexFonts = {
+            'mathrm': 'roman', 'textrm': 'roman', 'text': 'roman', 'mbox': 'roman', 'operatorname': 'roman',
+            'mathit': 'italic', 'textit': 'italic', 'emph': 'italic',
+            'mathbf': 'bold', 'textbf': 'bold', 'boldsymbol': 'bold',
+            'mathtt': 'typewriter', 'texttt': 'typewriter',
+            'mathsf': 'sansSerif', 'textsf': 'sansSerif',
         };
-        this.fillText = function(text, x, y) {
-            x += this._transX;
-            y += this._transY;
-            if(text.replace(' ', '').length > 0) {
-                this._svgData += '\t<text {0} x="'.format(this.styleForFill()) + fixed(x, 3) + '" y="' + fixed(y, 3) + '" font-family="Times New Roman" font-size="20">' + textToXML(text) + '</text>\n';
+
+        // Splits text written with a subset of LaTeX math notations into runs of
+        // characters sharing the same style. Each run has a font (a key of
+        // latexFonts, or null for the default font), a level (1 for superscripts,
+        // -1 for subscripts, 2 for superscripts of superscripts...) and tells
+        // whether it is overlined. The supported notations are:
+        //     - commands of latexSymbols, like '\\beta' or '\\emptyset' (others are left unchanged)
+        //     - '_' and '^' followed by a character, a command or a {group}, like 's_0', 'q_{10}' or 'a^*'
+        //     - '\\overline' or '\\bar' and commands of latexFonts followed by a character or a {group}
+        // Anything else is displayed as typed, like '_' and '^' at the end of
+        // the text, or braces which don't surround one of those {groups}.
+        // Note that the double '\\' is to escape '\'.
+        function parseLatexText(text) {
+            var runs = [];
+            var i = 0;
+            var addText = function(str, style) {
+                var last = runs.length > 0 ? runs[runs.length - 1] : null;
+                if(last !== null && last.font === style.font && last.level === style.level && last.overline === style.overline) {
+                    last.text += str;
+                } else {
+                    runs.push({ 'text': str, 'font': style.font, 'level': style.level, 'overline': style.overline });
+                }
+            };
+            var withStyle = function(style, changes) {
+                var result = { 'font': style.font, 'level': style.level, 'overline': style.overline };
+                for(var key in changes) result[key] = changes[key];
+                return result;
+            };
+            // parses a character, a command or braces, and returns false at the end of a group
+            var parseToken = function(style) {
+                var ch = text[i++];
+                if(ch === '}') {
+                    return false;
+                } else if(ch === '{') {
+                    addText('{', style);
+                    if(parseGroup(style)) addText('}', style);
+                } else if(ch === '_' || ch === '^') {
+                    if(!parseArgument(withStyle(style, { 'level': style.level + (ch === '^' ? 1 : -1) }))) addText(ch, style);
+                } else if(ch === '\\') {
+                    var name = text.substring(i).match(/^([a-zA-Z]+|[^a-zA-Z]?)/)[1];
+                    i += name.length;
+                    if(latexSymbols.hasOwnProperty(name)) {
+                        addText(latexSymbols[name], style);
+                    } else if(latexFonts.hasOwnProperty(name)) {
+                        if(!parseArgument(withStyle(style, { 'font': latexFonts[name] }))) addText('\\' + name, style);
+                    } else if(name === 'overline' || name === 'bar') {
+                        if(!parseArgument(withStyle(style, { 'overline': true }))) addText('\\' + name, style);
+                    } else {
+                        addText('\\' + name, style);
+                    }
+                } else {
+                    addText(ch, style);
+                }
+                return true;
+            };
+            // parses tokens up to the end of the group, and returns whether it is closed by a brace
+            var parseGroup = function(style) {
+                while(i < text.length) {
+                    if(!parseToken(style)) return true;
+                }
+                return false;
+            };
+            // parses a character, a command or a {group} (without its braces), and returns false if there is none
+            var parseArgument = function(style) {
+                if(i >= text.length || text[i] === '}') return false;
+                if(text[i] === '{') {
+                    i++;
+                    parseGroup(style); // an unclosed group lasts up to the end of the text
+                } else {
+                    parseToken(style);
+                }
+                return true;
+            };
+            var defaultStyle = { 'font': null, 'level': 0, 'overline': false };
+            while(i < text.length) {
+                if(!parseToken(defaultStyle)) addText('}', defaultStyle); // i.e. an unbalanced brace
             }
-        };
-        this.translate = function(x, y) {
-            this._transX = x;
-            this._transY = y;
-        };
+            return runs;
+        }
+
+        // Transforms greek and subscript notations (in text) into actual characters.
+        // It is used wherever the text is needed as plain text (like state ids
+        // of the FSM model) and has not changed with the richer notations that
+        // are displayed (see parseLatexText()), so that those ids don't change.
+        // Here are some <input> -> <output> examples:
+        //     - '\\Beta' -> 'Β' and '\\beta' -> 'β' and '\\BeTa' -> '\BeTa' (left unchanged)
+        //     - '\\Pi' -> 'Π' and '\\pi' -> 'π' and '\\pI' -> '\pI' (left unchanged)
+        //     - '_0' -> '₀' thus 's_0' -> 's₀'
+        // Note that the double '\\' is to escape '\'.
+        function convertLatexShortcuts(text) {
+            var i = 0;
+
+            // Html greek characters
+            for(i = 0; i < greekLetterNames.length; i++) {
+                var name = greekLetterNames[i];
+                text = text.replace(new RegExp('\\\\' + name, 'g'), String.fromCharCode(913 + i + (i > 16)));
+                text = text.replace(new RegExp('\\\\' + name.toLowerCase(), 'g'), String.fromCharCode(945 + i + (i > 16)));
+            }
+
+            // Subscripts
+            for(i = 0; i < 10; i++) {
+                text = text.replace(new RegExp('_' + i, 'g'), String.fromCharCode(8320 + i));
+            }
+
+            return text;
+        }
+
+        // Returns the CSS font used to display the given run of text (see
+        // parseLatexText()) in a label whose CSS font is given.
+        function getRunFont(font, run) {
+            var matches = font.match(/^(.*?)(\d+(?:\.\d+)?)px\s*(.*)$/);
+            if(matches === null) return font;
+            var style = matches[1];
+            var size = parseFloat(matches[2]) * Math.pow(0.7, Math.min(Math.abs(run.level), 2));
+            var family = matches[3];
+            switch(run.font) {
+                case 'roman': style = ''; break;
+                case 'italic': style = 'italic '; break;
+                case 'bold': style = 'bold '; break;
+                case 'typewriter': style = ''; family = 'monospace'; break;
+                case 'sansSerif': style = ''; family = 'sans-serif'; break;
+            }
+            return style + fixed(size, 2) + 'px ' + family;
+        }
+
+        // Computes where the runs of the given line of text (see parseLatexText())
+        // are displayed, given its CSS font and a function which returns the width
+        // of plain text in a CSS font. Each run gets its CSS font, its size, its
+        // width and its offset from the start of the line on the baseline.
+        function layoutLatexText(text, font, measure) {
+            var size = getFontSize(font);
+            var runs = parseLatexText(text);
+            var width = 0;
+            for(var i = 0; i < runs.length; i++) {
+                var run = runs[i];
+                run.cssFont = getRunFont(font, run);
+                run.size = getFontSize(run.cssFont);
+                run.width = measure(run.text, run.cssFont);
+                run.dx = width;
+                run.dy = run.level > 0 ? -0.4 * size * Math.min(run.level, 2) : -0.25 * size * Math.max(run.level, -2);
+                width += run.width;
+            }
+            return { 'runs': runs, 'width': width };
+        }
+
+        // Returns a function which measures plain text in a CSS font with the
+        // given canvas context, or with measureText() if it is null.
+        function getTextMeasure(c) {
+            return function(text, font) {
+                if(c === null) return measureText(text, font).width;
+                var savedFont = c.font;
+                c.font = font;
+                var width = c.measureText(text).width;
+                c.font = savedFont;
+                return width;
+            };
+        }
+
+        // Draws a line of text with LaTeX notations (see parseLatexText()) whose
+        // baseline starts at (x, y), using the current font and fill style.
+        function drawLatexText(c, text, x, y) {
+            var layout = layoutLatexText(text, c.font, getTextMeasure(c));
+            var savedFont = c.font;
+            var savedStrokeStyle = c.strokeStyle;
+            c.strokeStyle = c.fillStyle;
+            for(var i = 0; i < layout.runs.length; i++) {
+                var run = layout.runs[i];
+                c.font = run.cssFont;
+                c.fillText(run.text, x + run.dx, y + run.dy);
+                if(run.overline) {
+                    var overlineY = Math.round(y + run.dy - run.size * 0.75) + 0.5;
+                    c.beginPath();
+                    c.moveTo(x + run.dx, overlineY);
+                    c.lineTo(x + run.dx + run.width, overlineY);
+                    c.stroke();
+                }
+            }
+            c.font = savedFont;
+            c.strokeStyle = savedStrokeStyle;
+        }
+
+        function canvasHasFocus() {
+            var activeElement = document.activeElement || document.body;
+            return (activeElement === document.body || activeElement === canvas || (textInput !== null && activeElement === textInput))
+                && activeController === controller;
+        }
+
+        // Tells whether the canvas (or its hidden text input) itself has the
+        // focus, unlike canvasHasFocus() which is also true when nothing has it.
+        function canvasIsFocused() {
+            return canvas !== null && (document.activeElement === canvas || (textInput !== null && document.activeElement === textInput));
+        }
+
+        var caretTimer = null;
+        var caretVisible = false;
+
+        function stopCaret() { clearInterval(caretTimer); caretVisible = false; }
+
+        function resetCaret() {
+            stopCaret();
+            if(listenersStarted) {
+                caretVisible = true;
+                caretTimer = setInterval(
+                    function() {
+                        if(!selectedObject || !canvasHasFocus()) { // then stop updating caret (and constantly draw()ing)
+                            stopCaret();
+                        } else {
+                            caretVisible = !caretVisible;
+                        }
+                        draw();
+                    },
+                    500
+                );
+            }
+        }
+
+        var listenersStarted = false;
+
+        var canvas = null;
+        var fsmAlphabetContainer = null; // optional and must be checked each time before use
+        var fsmAlphabetStr = ''; // the alphabet when there is no alphabet container
+        var fsmAlphabetBeforeEdit = ''; // the alphabet before the user edits it in the container, saved in history
+        var canvasSize = { 'width': 800, 'height': 600 }; // the size of the canvas in CSS pixels, also used when there is no canvas
+        var pixelRatio = 1; // the number of canvas backing store pixels per CSS pixel
+        var nodes = [];
+        var links = [];
+
+        var snapToPadding = 6; // pixels
+        var hitTargetPadding = 6; // pixels
+        var selectedObject = null; // either a Link or a Node, set only when exactly one element is selected
+        var selectedObjects = []; // all selected elements (see setSelection())
+        var selectionRect = null; // the selection rectangle being drawn by the user (if any)
+        var currentLink = null; // a Link
+        var movingObject = false;
+        var movingSelection = false; // tells whether the selected nodes are being moved together
+        var movingObjectRecorded = false; // tells whether the current move has already been recorded in history
+        var draggedText = null; // the offset from the mouse to the text of the selected link, when that text is being moved
+        var originalClick = null;
+        var panningStart = null; // the mouse position and viewport from which the user started panning (if any)
+        var resizingNode = null; // the node being resized using one of its handles (if any)
+        var resizingProp = null; // the property changed by that handle ('radius', 'width' or 'height')
+        var resizeHandleSize = 8; // pixels
+
+        var longPressDelay = 500; // milliseconds
+        var doubleTapDelay = 300; // milliseconds
+        var touchSlop = 10; // pixels a finger can move before a touch is no longer a tap or long-press
+        var touchPointers = {}; // canvas positions of the fingers currently touching the canvas, by pointer id
+        var touchGesture = null; // the single-finger gesture in progress (see onCanvasPointerdown())
+        var pinch = null; // the two-finger gesture in progress (if any)
+        var lastTap = null; // used to detect double-taps
+        var lastTouchTime = 0; // used to ignore the mouse events emulated by browsers after touch events
+
+        var linkSource = null; // the node from which a link is being added using the keyboard (if any)
+        var nudgeHistoryTarget = null; // used to record consecutive nudges of the same selection only once in history
+        var accessibilityElts = null; // the hidden description and live region of the canvas (see initAccessibility())
+
+        var textCaret = 0; // position of the caret in the text of the selected element
+        var textAnchor = 0; // the other end of the selected part of that text (equal to textCaret when nothing is selected)
+        var textLayout = null; // where that text was last drawn (see drawText()), used to place the caret on click
+        var textInput = null; // hidden <textarea> receiving text input (see initTextInput())
+        var textComposing = false; // tells whether text is being composed using an input method editor (IME)
+
+        // The viewport maps content coordinates (those of nodes for instance)
+        // to canvas coordinates: canvasX = x * zoom + offsetX (same for y).
+        // It is never saved along with content.
+        var viewport = { 'offsetX': 0, 'offsetY': 0, 'zoom': 1 };
+
+        var shift = false;
+
+        function setConfigFor(type) {
+            switch(type) {
+                case 'fsm':
+                    config.canvas.acceptLinks = true;
+                    config.canvas.acceptSelfLinks = true;
+                    config.canvas.acceptStartLinks = true;
+                    config.links.arrowHeadAtSrc = false;
+                    config.links.arrowHeadAtSrcOverridable = false;
+                    config.links.arrowHeadAtDst = true;
+                    config.links.arrowHeadAtDstOverridable = false;
+                    config.nodes.canBeAcceptStates = true;
+                    config.nodes.shape = 'circle';
+                    setFsmAlphabetVisible(true);
+                    break;
+                case 'digraph':
+                    config.canvas.acceptLinks = true;
+                    config.canvas.acceptSelfLinks = true;
+                    config.canvas.acceptStartLinks = false;
+                    config.links.arrowHeadAtSrc = false;
+                    config.links.arrowHeadAtSrcOverridable = true;
+                    config.links.arrowHeadAtDst = true;
+                    config.links.arrowHeadAtDstOverridable = false;
+                    config.nodes.canBeAcceptStates = false;
+                    config.nodes.shape = 'circle';
+                    setFsmAlphabetVisible(false);
+                    break;
+                case 'undigraph':
+                    config.canvas.acceptLinks = true;
+                    config.canvas.acceptSelfLinks = true;
+                    config.canvas.acceptStartLinks = false;
+                    config.links.arrowHeadAtSrc = false;
+                    config.links.arrowHeadAtSrcOverridable = false;
+                    config.links.arrowHeadAtDst = false;
+                    config.links.arrowHeadAtDstOverridable = false;
+                    config.nodes.canBeAcceptStates = false;
+                    config.nodes.shape = 'circle';
+                    setFsmAlphabetVisible(false);
+                    break;
+                case 'array':
+                    config.canvas.acceptLinks = false;
+                    config.canvas.acceptSelfLinks = false;
+                    config.canvas.acceptStartLinks = false;
+                    config.links.arrowHeadAtSrc = false;
+                    config.links.arrowHeadAtSrcOverridable = false;
+                    config.links.arrowHeadAtDst = false;
+                    config.links.arrowHeadAtDstOverridable = false;
+                    config.nodes.canBeAcceptStates = false;
+                    config.nodes.shape = 'rectangle'; // cells
+                    setFsmAlphabetVisible(false);
+                    break;
+            }
+        }
+
+        function getTheme() { return config.canvas.theme; }
+        function getThemeNames() { return Object.keys(themes); }
+
+        // Switches to the given theme (see registerTheme()) and returns whether
+        // it exists. The colors of the config are replaced with those of the
+        // theme, so elements follow it unless their own colors have been set
+        // (elements have null colors until then, see getColor()). Switching
+        // themes is not an edit that can be undone.
+        function setTheme(name) {
+            if(!valueIsString(name) || !themes.hasOwnProperty(name)) return false;
+            applyConfigOverrides(config, getThemeColors(name));
+            config.canvas.theme = name;
+            draw();
+            emitEvent('themeChanged', { 'theme': name });
+            return true;
+        }
+
+        // Initializes canvas so that it is ready to interact with and returns
+        // whether initialization is a success. The canvasId parameter is required
+        // (it can also be the canvas element itself) but options is not. Also
+        // note that this function calls setCanvas() and
+        // initFsmAlphabetContainer() whose documentation we recommend reading.
+        //
+        // You don't need to call this function unless your canvas has a specific id
+        // (i.e. you are not using the quick-test-canvas-id).
+        function initCanvas(canvasId, options) {
+            var optionsCanvas = options ? options.canvas : undefined;
+            var optionsFsmAlphabetContainer = options ? options.fsmAlphabetContainer : undefined;
+
+            if(canvas) {
+                stopListeners();
+            }
+
+            var canvasOk = setCanvas(canvasId, optionsCanvas);
+            if(canvasOk) {
+                initFsmAlphabetContainer(canvas.id, optionsFsmAlphabetContainer);
+                initAccessibility();
+                initTextInput();
+                restoreViewportBackupAuto();
+                if(!restoreBackupAuto()) {
+                    draw(); // we draw() only when restoreBackupAuto() didn't do so
+                }
+                startListeners();
+            }
+            return canvasOk;
+        }
+
+        // Initializes FSM alphabet container from canvas' properties and returns
+        // whether initialization is a success. Note that canvas must be visible
+        // and alphabet container (if any) is assumed to be an Html
+        // <input type="text"> element.
+        function initFsmAlphabetContainer(canvasId, options) {
+            if(!canvas) return false;
+
+            var inputTextId = canvasId + '_fsm_alphabet';
+            var inputTextElt = document.getElementById(inputTextId);
+            fsmAlphabetContainer = inputTextElt;
+            if(!fsmAlphabetContainer) {
+                if(options && 'showCanvas' in options) { // make sure canvas is shown if expected
+                    options.showCanvas();
+                }
+                return false;
+            }
+
+            var height = 20;
+            if(options) {
+                if('height' in options) height = options.height;
+            }
+            fsmAlphabetBeforeEdit = fsmAlphabetContainer.value;
+            fsmAlphabetContainer.placeholder = "FSM alphabet: comma-separated string";
+            fsmAlphabetContainer.style.position = 'absolute';
+            tieFsmAlphabetContainerToCanvas(options);
+            fsmAlphabetContainer.style.width = (getCanvasSize().width * 0.75) + 'px';
+            fsmAlphabetContainer.style.height = height + 'px';
+            if(options && options.showAlphabet) { // make sure alphabet container is shown if expected
+                options.showAlphabet(inputTextId);
+            }
+            return true;
+        }
+
+        function tieFsmAlphabetContainerToCanvas(options) {
+            if(!canvas || !fsmAlphabetContainer) return;
+
+            var spacingTop = 10;
+            var spacingLeft = 10;
+            if(options) {
+                if('spacingTop' in options) spacingTop = options.spacingTop;
+                if('spacingLeft' in options) spacingLeft = options.spacingLeft;
+                if('showCanvas' in options) { // make sure canvas is visible: see getBoundingClientRect()
+                    options.showCanvas();
+                }
+            }
+            var canvasRect = canvas.getBoundingClientRect(); // computation will be wrong if canvas is invisible
+            var canvasRectTop = canvasRect.top + window.scrollY; // in case page is scrolled
+            var canvasRectLeft = canvasRect.left + window.scrollX; // in case page is scrolled
+            fsmAlphabetContainer.style.top =  (canvasRectTop + spacingTop) + 'px';
+            fsmAlphabetContainer.style.left = (canvasRectLeft + spacingLeft) + 'px';
+        }
+        function getFsmAlphabetStr() { return fsmAlphabetContainer ? fsmAlphabetContainer.value : fsmAlphabetStr; }
+        function setFsmAlphabetStr(str) { // no need to check if parameter is a string
+            fsmAlphabetStr = str;
+            fsmAlphabetBeforeEdit = convertLatexShortcuts(str); // as done by onFsmAlphabetContainerUpdated()
+            if(fsmAlphabetContainer) {
+                fsmAlphabetContainer.value = str;
+                fsmAlphabetContainer.dispatchEvent(new CustomEvent('input')); // otherwise input-event callback won't be called
+            }
+        }
+        function setFsmAlphabetVisible(visible) {
+            if(fsmAlphabetContainer) {
+                fsmAlphabetContainer.style.display = visible ? 'block': 'none';
+            }
+        }
+
+        // Makes the canvas focusable and accessible to screen readers: it is
+        // described by a hidden element listing its nodes and links (see
+        // getAccessibleDescription()), and changes (e.g. of the selection) are
+        // announced through a hidden live region. Both elements are inserted
+        // right after the canvas.
+        function initAccessibility() {
+            if(accessibilityElts !== null) { // remove the elements created for a previous canvas
+                for(var key in accessibilityElts) {
+                    var elt = accessibilityElts[key];
+                    if(elt.parentNode) elt.parentNode.removeChild(elt);
+                }
+                accessibilityElts = null;
+            }
+            if(!canvas.parentNode) return;
+
+            var createHiddenElt = function(idSuffix) {
+                var elt = document.createElement('div');
+                elt.id = (canvas.id || 'fsmvc_canvas') + idSuffix;
+                elt.style.position = 'absolute';
+                elt.style.width = '1px';
+                elt.style.height = '1px';
+                elt.style.overflow = 'hidden';
+                elt.style.clip = 'rect(0 0 0 0)';
+                elt.style.whiteSpace = 'nowrap';
+                canvas.parentNode.insertBefore(elt, canvas.nextSibling);
+                return elt;
+            };
+            accessibilityElts = {
+                'description': createHiddenElt('_description'),
+                'status': createHiddenElt('_status'),
+            };
+            accessibilityElts.status.setAttribute('role', 'status');
+            accessibilityElts.status.setAttribute('aria-live', 'polite');
+
+            if(canvas.getAttribute('tabindex') === null) canvas.setAttribute('tabindex', '0');
+            if(canvas.getAttribute('aria-label') === null) canvas.setAttribute('aria-label', 'Diagram editor');
+            canvas.setAttribute('role', 'application'); // keystrokes are handled by this controller
+            canvas.setAttribute('aria-describedby', accessibilityElts.description.id);
+        }
+
+        // Creates the hidden <textarea> which has the focus while an element with
+        // text is selected (see syncTextInputFocus()), so that text can be
+        // typed using input method editors and virtual keyboards too. It is
+        // inserted right after the canvas, and placed over the caret (see
+        // placeTextInput()).
+        function initTextInput() {
+            if(textInput !== null && textInput.parentNode) {
+                textInput.parentNode.removeChild(textInput);
+            }
+            textInput = null;
+            if(!canvas.parentNode) return;
+
+            textInput = document.createElement('textarea');
+            textInput.setAttribute('tabindex', '-1');
+            textInput.setAttribute('aria-label', 'Text of the selected element');
+            textInput.setAttribute('autocomplete', 'off');
+            textInput.setAttribute('autocapitalize', 'off');
+            textInput.setAttribute('spellcheck', 'false');
+            textInput.style.position = 'fixed';
+            textInput.style.left = '0';
+            textInput.style.top = '0';
+            textInput.style.width = '1px';
+            textInput.style.height = '1px';
+            textInput.style.opacity = '0';
+            textInput.style.pointerEvents = 'none';
+            textInput.addEventListener('input', onTextInputInput);
+            textInput.addEventListener('compositionstart', onTextInputCompositionstart);
+            textInput.addEventListener('compositionend', onTextInputCompositionend);
+            canvas.parentNode.insertBefore(textInput, canvas.nextSibling);
+        }
+
+        // Sets canvas (given its id or the element itself) and possibly resizes
+        // it. See setCanvasSize().
+        function setCanvas(id, options) {
+            canvas = valueIsString(id) ? document.getElementById(id) : (id || null);
+            if(canvas) {
+                // the size in CSS pixels is remembered on the element in case its
+                // backing store has already been resized, possibly by another
+                // controller (see applyCanvasSize())
+                var cssWidth = parseFloat(canvas.getAttribute('data-fsmvc-css-width'));
+                var cssHeight = parseFloat(canvas.getAttribute('data-fsmvc-css-height'));
+                if(isNaN(cssWidth) || isNaN(cssHeight)) {
+                    applyCanvasSize(canvas.width, canvas.height);
+                } else {
+                    applyCanvasSize(cssWidth, cssHeight);
+                }
+            }
+            setCanvasSize(options);
+            return canvas !== null;
+        }
+
+        // Sets canvas size in case the options object has the expected properties.
+        // When there is no canvas (i.e. in headless mode), the size is still
+        // used to export SVG content and to place nodes whose position is not
+        // known.
+        function setCanvasSize(options) {
+            if(options && 'width' in options && 'height' in options) {
+                var canvasWidth = options.width; // new width
+                var canvasHeight = options.height; // new height
+                if(options.fitSizeToScreen === true) {
+                    var screenObj = window.screen;
+                    if(screenObj) {
+                        if('availWidth' in screenObj) {
+                            var screenWidth = screenObj.availWidth;
+                            var screenWidthFactor = options.fitSizeToScreenWidthFactor;
+                            if(!valueIsNumberInRange(screenWidthFactor, 0, 1)) {
+                                screenWidthFactor = 0.75;
+                            }
+                            if(canvasWidth >= screenWidth) {
+                                canvasWidth = screenWidthFactor * screenWidth;
+                            }
+                        }
+
+                        if('availHeight' in screenObj) {
+                            var screenHeight = screenObj.availHeight;
+                            var screenHeightFactor = options.fitSizeToScreenHeightFactor;
+                            if(!valueIsNumberInRange(screenHeightFactor, 0, 1)) {
+                                screenHeightFactor = 0.75;
+                            }
+                            if(canvasHeight >= screenHeight) {
+                                canvasHeight = screenHeightFactor * screenHeight;
+                            }
+                        }
+                    }
+                }
+                if(canvas) {
+                    applyCanvasSize(canvasWidth, canvasHeight);
+                } else {
+                    canvasSize = { 'width': canvasWidth, 'height': canvasHeight };
+                }
+            }
+        }
+
+        // Returns the size of the canvas in CSS pixels, i.e. the size in which
+        // content and mouse positions are expressed.
+        function getCanvasSize() {
+            return { 'width': canvasSize.width, 'height': canvasSize.height };
+        }
+
+        // Sizes the canvas to the given size in CSS pixels, its backing store
+        // being sized according to the device pixel ratio.
+        function applyCanvasSize(width, height) {
+            canvasSize = { 'width': width, 'height': height };
+            pixelRatio = getDevicePixelRatio();
+            canvas.width = Math.round(width * pixelRatio);
+            canvas.height = Math.round(height * pixelRatio);
+            canvas.style.width = width + 'px';
+            canvas.style.height = height + 'px';
+            canvas.setAttribute('data-fsmvc-css-width', String(width));
+            canvas.setAttribute('data-fsmvc-css-height', String(height));
+        }
+
+        function getDevicePixelRatio() {
+            var ratio = typeof window !== 'undefined' ? window.devicePixelRatio : 1;
+            return config.canvas.hidpi && valueIsNumber(ratio) && ratio > 0 ? ratio : 1;
+        }
+
+        // Moves nodes into canvas visible area but doesn't draw(). You might need
+        // to call this function to make sure nodes are visible (in case canvas is
+        // resized to fit the user's screen). The area is that of the content
+        // (the one exported as images), whatever the viewport.
+        function moveNodesIntoCanvasVisibleArea() {
+            // We assume that canvas is large and long enough for nodes to be fully
+            // visible after they are repositioned.
+            var size = getCanvasSize();
+            for(var i = 0; i < nodes.length; i++) {
+                var node = nodes[i];
+                var halfSize = node.getHalfSize();
+                if(node.x < halfSize.width) node.x = halfSize.width;
+                if(node.x > size.width - halfSize.width) node.x = size.width - halfSize.width;
+                if(node.y < halfSize.height) node.y = halfSize.height;
+                if(node.y > size.height - halfSize.height) node.y = size.height - halfSize.height;
+            }
+        }
+
+        function draw() {
+            if(canvas) { // there is nothing to draw in headless mode
+                if(getDevicePixelRatio() !== pixelRatio) { // e.g. the page has been zoomed or moved to another screen
+                    applyCanvasSize(canvasSize.width, canvasSize.height);
+                }
+                drawUsing(canvas.getContext('2d'), false, pixelRatio);
+                placeTextInput();
+                updateAccessibleDescription();
+            }
+            saveBackupAuto();
+        }
+
+        // Draws canvas content using the given context. The isExport parameter
+        // tells whether the drawing is meant to be exported, in which case user
+        // interface artifacts (like selection highlights) are not drawn. The
+        // pixelScale parameter is the number of context pixels per CSS pixel
+        // and must only be given for actual canvas contexts.
+        function drawUsing(c, isExport, pixelScale) {
+            var scale = valueIsNumber(pixelScale) ? pixelScale : 1;
+            if(valueIsNumber(pixelScale)) {
+                c.setTransform(scale, 0, 0, scale, 0, 0);
+            }
+            c.clearRect(0, 0, getCanvasSize().width, getCanvasSize().height);
+            if(config.canvas.bgColor !== 'transparent') {
+                c.globalAlpha = 1;
+                c.fillStyle = config.canvas.bgColor;
+                c.fillRect(0, 0, getCanvasSize().width, getCanvasSize().height);
+            }
+            c.save();
+            // shift so that 1px-wide lines at integer positions cover whole
+            // context pixels (i.e. half a pixel when the scale is 1)
+            var crispOffset = (Math.ceil(scale / 2) - scale / 2) / scale;
+            c.translate(crispOffset, crispOffset);
+            if(!isExport) { // exported content doesn't depend on the viewport
+                c.translate(viewport.offsetX, viewport.offsetY);
+                c.scale(viewport.zoom, viewport.zoom);
+            }
+
+            c.lineWidth = 1;
+            if(config.canvas.gridVisible && (!isExport || config.canvas.gridExported)) {
+                var size = getCanvasSize();
+                drawGrid(c, isExport ? { 'x': 0, 'y': 0, 'width': size.width, 'height': size.height }
+                                     : getVisibleArea());
+            }
+
+            var i = 0;
+            for(i = 0; i < nodes.length; i++) {
+                nodes[i].draw(c, !isExport && nodes[i] === selectedObject);
+            }
+            for(i = 0; i < links.length; i++) {
+                links[i].draw(c, !isExport && links[i] === selectedObject);
+            }
+            if(currentLink !== null) {
+                currentLink.draw(c, currentLink === selectedObject);
+            }
+
+            if(!isExport) {
+                if(linkSource !== null && nodes.indexOf(linkSource) !== -1) {
+                    drawSelectionHighlight(c, linkSource);
+                }
+                if(selectedObjects.length > 1) {
+                    for(i = 0; i < selectedObjects.length; i++) {
+                        drawSelectionHighlight(c, selectedObjects[i]);
+                    }
+                }
+                if(selectedObject instanceof Node && listenersStarted) {
+                    drawHandles(c, getResizeHandles(selectedObject));
+                }
+                if(selectedObject instanceof Link && listenersStarted) {
+                    drawHandles(c, selectedObject.waypoints);
+                }
+                if(selectionRect !== null) {
+                    drawSelectionRect(c, selectionRect);
+                }
+            }
+
+            c.restore();
+        }
+
+        // Draws the grid lines crossing the given area (in content coordinates).
+        function drawGrid(c, area) {
+            var spacing = config.canvas.gridSpacing;
+            if(!valueIsNumber(spacing) || spacing * viewport.zoom < 4) return; // don't draw too many lines
+            c.globalAlpha = 1;
+            c.strokeStyle = config.canvas.gridColor;
+            c.setLineDash([]);
+            var x0 = area.x, y0 = area.y, x1 = area.x + area.width, y1 = area.y + area.height;
+            var pos = 0;
+            for(pos = Math.ceil(x0 / spacing) * spacing; pos <= x1; pos += spacing) {
+                c.beginPath();
+                c.moveTo(pos, y0);
+                c.lineTo(pos, y1);
+                c.stroke();
+            }
+            for(pos = Math.ceil(y0 / spacing) * spacing; pos <= y1; pos += spacing) {
+                c.beginPath();
+                c.moveTo(x0, pos);
+                c.lineTo(x1, pos);
+                c.stroke();
+            }
+        }
+
+        function drawSelectionHighlight(c, obj) {
+            c.globalAlpha = 1;
+            c.strokeStyle = config.canvas.selectionColor;
+            c.fillStyle = config.canvas.selectionColor;
+            if(obj instanceof Node) {
+                c.setLineDash(config.canvas.lineDashSegments);
+                c.beginPath();
+                obj.tracePath(c, 4 + Math.max(0, obj.borderWidth - 1) / 2);
+                c.stroke();
+                c.setLineDash([]);
+            } else { // for links, a small disc is drawn where text is displayed
+                var point = getLinkMiddlePoint(obj);
+                c.beginPath();
+                c.arc(point.x, point.y, 4, 0, 2 * Math.PI, false);
+                c.fill();
+            }
+        }
+
+        function drawHandles(c, handles) {
+            var size = resizeHandleSize / viewport.zoom;
+            c.globalAlpha = 1;
+            c.setLineDash([]);
+            c.fillStyle = config.canvas.handleColor;
+            c.strokeStyle = config.canvas.selectionColor;
+            for(var i = 0; i < handles.length; i++) {
+                c.fillRect(handles[i].x - size / 2, handles[i].y - size / 2, size, size);
+                c.strokeRect(handles[i].x - size / 2, handles[i].y - size / 2, size, size);
+            }
+        }
+
+        function drawSelectionRect(c, rect) {
+            c.globalAlpha = 1;
+            c.strokeStyle = config.canvas.selectionColor;
+            c.setLineDash(config.canvas.lineDashSegments);
+            c.beginPath();
+            c.moveTo(rect.x0, rect.y0);
+            c.lineTo(rect.x1, rect.y0);
+            c.lineTo(rect.x1, rect.y1);
+            c.lineTo(rect.x0, rect.y1);
+            c.lineTo(rect.x0, rect.y0);
+            c.stroke();
+            c.setLineDash([]);
+        }
+
+        // Starts listening to mouse/touch/key events. Pointer events are used
+        // when supported so that touch screens can be used too.
+        function startListeners() {
+            canvas.ondblclick = onCanvasDblclick; // see (1) below
+            if(typeof window !== 'undefined' && window.PointerEvent) {
+                canvas.onpointerdown = onCanvasPointerdown; // see (1) below
+                canvas.onpointermove = onCanvasPointermove; // see (1) below
+                canvas.onpointerup = onCanvasPointerup; // see (1) below
+                canvas.onpointercancel = onCanvasPointercancel; // see (1) below
+                canvas.style.touchAction = 'none'; // the browser must not scroll or zoom the page instead
+            } else {
+                canvas.onmousedown = onCanvasMousedown; // see (1) below
+                canvas.onmousemove = onCanvasMousemove; // see (1) below
+                canvas.onmouseup = onCanvasMouseup; // see (1) below
+            }
+            canvas.onwheel = onCanvasWheel; // see (1) below
+            canvas.onfocus = onCanvasFocus; // see (1) below
+            canvas.oncontextmenu = onCanvasContextmenu; // see (1) below
+
+            if(fsmAlphabetContainer) {
+                fsmAlphabetContainer.oninput = onFsmAlphabetContainerUpdated;
+            }
+
+            document.addEventListener('keydown', onDocumentKeydown);
+            document.addEventListener('keyup', onDocumentKeyup);
+            document.addEventListener('keypress', onDocumentKeypress);
+            document.addEventListener('copy', onDocumentCopy);
+            document.addEventListener('cut', onDocumentCut);
+            document.addEventListener('paste', onDocumentPaste);
+
+            listenersStarted = true;
+            if(activeController === null) { // so that a lone controller reads keystrokes right away
+                activeController = controller;
+            }
+
+            // (1) We didn't use addEventListener() because in Google Chrome 79.0.*
+            //     canvas events are also propagated to surrounding text elements.
+            //     As a result one can select text in page by double-clicking in
+            //     canvas for instance.
+        }
+
+        // Stops listening to mouse/key events, resets related variables and draw().
+        function stopListeners() {
+            canvas.ondblclick = null;
+            canvas.onmousedown = null;
+            canvas.onmousemove = null;
+            canvas.onmouseup = null;
+            canvas.onpointerdown = null;
+            canvas.onpointermove = null;
+            canvas.onpointerup = null;
+            canvas.onpointercancel = null;
+            canvas.oncontextmenu = null;
+            canvas.onwheel = null;
+            canvas.onfocus = null;
+
+            if(fsmAlphabetContainer) {
+                var savedVal = fsmAlphabetContainer.value;
+                fsmAlphabetContainer.oninput = function(e) { this.value = savedVal; };
+            }
+
+            document.removeEventListener('keydown', onDocumentKeydown);
+            document.removeEventListener('keyup', onDocumentKeyup);
+            document.removeEventListener('keypress', onDocumentKeypress);
+            document.removeEventListener('copy', onDocumentCopy);
+            document.removeEventListener('cut', onDocumentCut);
+            document.removeEventListener('paste', onDocumentPaste);
+
+            setSelectedObject(null);
+            movingObject = false;
+            movingSelection = false;
+            selectionRect = null;
+            originalClick = null;
+            panningStart = null;
+            resizingNode = null;
+            if(touchGesture !== null) clearTimeout(touchGesture.timer);
+            touchPointers = {};
+            touchGesture = null;
+            pinch = null;
+            lastTap = null;
+            linkSource = null;
+            closePropertyEditor();
+            currentLink = null;
+            shift = false;
+            listenersStarted = false;
+            if(activeController === controller) {
+                activeController = null;
+            }
+            stopCaret();
+
+            draw();
+        }
+
+        function onCanvasDblclick(e) {
+            if(e.pointerType !== 'touch' && Date.now() - lastTouchTime < 1000) {
+                return false; // emulated by the browser after a double-tap, which is handled in onCanvasPointerup()
+            }
+            var mouse = crossBrowserRelativeMousePos(e);
+            var clickedObject = selectObject(mouse.x, mouse.y);
+
+            if(clickedObject === null) {
+                recordHistory();
+                var point = snapPoint(mouse);
+                var node = new Node(point.x, point.y);
+                nodes.push(node);
+                setSelectedObject(node);
+                resetCaret();
+                draw();
+                emitEvent('nodeAdded', { 'node': node });
+            } else {
+                setSelectedObject(clickedObject);
+                if(selectedObject instanceof Node) {
+                    if(config.nodes.canBeAcceptStates) {
+                        recordHistory();
+                        selectedObject.isAcceptState = !selectedObject.isAcceptState;
+                        draw();
+                        emitEvent('acceptStateToggled', { 'node': selectedObject, 'isAcceptState': selectedObject.isAcceptState });
+                    }
+                } else if(selectedObject instanceof Link) {
+                    if(config.links.arrowHeadAtSrcOverridable) { // allow the user to quickly set arrow-head at source node
+                        recordHistory();
+                        selectedObject.nodeAHasArrow = !selectedObject.nodeAHasArrow;
+                        draw();
+                        emitEvent('elementUpdated', { 'element': selectedObject });
+                    }
+                }
+            }
+        }
+
+        function onCanvasMousedown(e) {
+            activeController = controller; // keystrokes must no longer reach the previously clicked controller (if any)
+            closePropertyEditor();
+            if(!canvasIsFocused() && canvas.focus) {
+                canvas.focus({ 'preventScroll': true }); // e.g. so that the tab key then moves through elements
+            }
+            if(e.button === 2) return false; // see onCanvasContextmenu()
+            var mouse = crossBrowserRelativeMousePos(e);
+            var clickedObject = selectObject(mouse.x, mouse.y);
+            var additive = e.ctrlKey || e.metaKey; // tells whether the selection must be extended instead of replaced
+            movingObject = false;
+            movingSelection = false;
+            movingObjectRecorded = false;
+            draggedText = null;
+            selectionRect = null;
+            originalClick = mouse;
+            panningStart = null;
+            resizingNode = null;
+
+            if(shift && fsmAlphabetContainer) {
+                fsmAlphabetContainer.blur(); // remove focus
+            }
+
+            if(e.button === 1 || e.altKey) { // middle-button drag or alt-drag pans the viewport
+                panningStart = {
+                    'mouse': crossBrowserCanvasMousePos(e),
+                    'offsetX': viewport.offsetX, 'offsetY': viewport.offsetY,
+                };
+                return false; // also prevents auto-scrolling on middle-click
+            }
+
+            var resizeHandle = !shift && !additive ? getResizeHandleAt(mouse.x, mouse.y) : null;
+            if(resizeHandle !== null) {
+                resizingNode = selectedObject;
+                resizingProp = resizeHandle.prop;
+                return false;
+            }
+
+            if(clickedObject !== null) {
+                if(shift && clickedObject instanceof Node) {
+                    setSelectedObject(clickedObject);
+                    currentLink = new SelfLink(clickedObject, mouse);
+                } else if(additive) {
+                    toggleSelected(clickedObject);
+                } else if(selectedObjects.length > 1 && selectedObjects.indexOf(clickedObject) !== -1) {
+                    movingSelection = true; // move the selected nodes together (links follow them)
+                    for(var i = 0; i < selectedObjects.length; i++) {
+                        if(selectedObjects[i] instanceof Node) {
+                            selectedObjects[i].setMouseStart(mouse.x, mouse.y);
+                        }
+                    }
+                } else {
+                    if(clickedObject === selectedObject) { // clicking the text of the selected element moves the caret
+                        placeTextCaretAt(mouse.x, mouse.y);
+                    }
+                    setSelectedObject(clickedObject);
+                    movingObject = true;
+                    if(!(selectedObject instanceof Node) && !selectedObject.containsPoint(mouse.x, mouse.y)) { // i.e. the text of a link was clicked
+                        var textPosition = getTextPosition(selectedObject);
+                        draggedText = { 'dx': textPosition.x - mouse.x, 'dy': textPosition.y - mouse.y };
+                    } else if(selectedObject.setMouseStart) {
+                        selectedObject.setMouseStart(mouse.x, mouse.y);
+                    }
+                }
+                resetCaret();
+            } else if(shift) {
+                setSelectedObject(null);
+                currentLink = new TemporaryLink(mouse, mouse);
+            } else {
+                if(!additive) {
+                    setSelectedObject(null);
+                }
+                selectionRect = {
+                    'x0': mouse.x, 'y0': mouse.y, 'x1': mouse.x, 'y1': mouse.y,
+                    'initialSelection': selectedObjects.slice(), // the selection to extend
+                };
+            }
+
+            draw();
+
+            if(canvasHasFocus()) {
+                // disable drag-and-drop only if the canvas is already focused
+                return false;
+            } else {
+                // otherwise, let the browser switch the focus away from wherever it was
+                resetCaret();
+                return true;
+            }
+        }
+
+        function onCanvasMousemove(e) {
+            var mouse = crossBrowserRelativeMousePos(e);
+            var i = 0;
+
+            if(panningStart !== null) {
+                var canvasMouse = crossBrowserCanvasMousePos(e);
+                setViewport({
+                    'offsetX': panningStart.offsetX + canvasMouse.x - panningStart.mouse.x,
+                    'offsetY': panningStart.offsetY + canvasMouse.y - panningStart.mouse.y,
+                });
+                return;
+            }
+
+            if(resizingNode !== null) {
+                if(!movingObjectRecorded) {
+                    recordHistory();
+                    movingObjectRecorded = true;
+                }
+                var dx = mouse.x - resizingNode.x;
+                var dy = mouse.y - resizingNode.y;
+                var halfSize = resizingProp === 'width' ? Math.abs(dx) :
+                               resizingProp === 'height' ? Math.abs(dy) : Math.sqrt(dx * dx + dy * dy);
+                if(gridSnapEnabled()) {
+                    halfSize = Math.round(halfSize / (config.canvas.gridSpacing / 2)) * (config.canvas.gridSpacing / 2);
+                }
+                halfSize = Math.max(halfSize, config.nodes.distanceToInnerCircle + 1);
+                resizingNode[resizingProp] = resizingProp === 'radius' ? halfSize : 2 * halfSize;
+                draw();
+                return;
+            }
+
+            // show which handle (if any) is under the mouse
+            var handle = currentLink === null && !movingObject && !movingSelection && selectionRect === null
+                       ? getResizeHandleAt(mouse.x, mouse.y) : null;
+            canvas.style.cursor = handle !== null ? handle.cursor : '';
+
+            if(currentLink !== null) {
+                var targetNode = selectObject(mouse.x, mouse.y);
+                if(!(targetNode instanceof Node)) {
+                    targetNode = null;
+                }
+
+                if(selectedObject === null) {
+                    if(targetNode !== null) {
+                        currentLink = new StartLink(targetNode, originalClick);
+                    } else {
+                        currentLink = new TemporaryLink(originalClick, mouse);
+                    }
+                } else {
+                    if(targetNode === selectedObject) {
+                        currentLink = new SelfLink(selectedObject, mouse);
+                    } else if(targetNode !== null) {
+                        currentLink = new Link(selectedObject, targetNode);
+                    } else {
+                        currentLink = new TemporaryLink(selectedObject.closestPointOnCircle(mouse.x, mouse.y), mouse);
+                    }
+                }
+                draw();
+            }
+
+            if(movingObject) {
+                if(!movingObjectRecorded) {
+                    recordHistory();
+                    movingObjectRecorded = true;
+                }
+                if(draggedText !== null) {
+                    setTextPosition(selectedObject, mouse.x + draggedText.dx, mouse.y + draggedText.dy);
+                } else if(selectedObject instanceof Node) {
+                    selectedObject.setAnchorPoint(mouse.x, mouse.y);
+                    snapNode(selectedObject);
+                } else if(selectedObject instanceof SelfLink) { // its anchor point is an angle
+                    selectedObject.setAnchorPoint(mouse.x, mouse.y);
+                } else {
+                    var anchor = snapPoint(mouse);
+                    selectedObject.setAnchorPoint(anchor.x, anchor.y);
+                }
+                draw();
+            }
+
+            if(movingSelection) {
+                if(!movingObjectRecorded) {
+                    recordHistory();
+                    movingObjectRecorded = true;
+                }
+                var movedNodes = [];
+                for(i = 0; i < selectedObjects.length; i++) {
+                    if(selectedObjects[i] instanceof Node) {
+                        movedNodes.push(selectedObjects[i]);
+                    }
+                }
+                var reference = movedNodes.length > 0 ? { 'x': movedNodes[0].x, 'y': movedNodes[0].y } : null;
+                for(i = 0; i < movedNodes.length; i++) {
+                    movedNodes[i].setAnchorPoint(mouse.x, mouse.y);
+                    if(gridSnapEnabled()) {
+                        snapNode(movedNodes[i]);
+                    }
+                }
+                if(reference !== null) {
+                    translateWaypoints(links, movedNodes, movedNodes[0].x - reference.x, movedNodes[0].y - reference.y);
+                }
+                draw();
+            }
+
+            if(selectionRect !== null) {
+                selectionRect.x1 = mouse.x;
+                selectionRect.y1 = mouse.y;
+                draw();
+            }
+        }
+
+        function onCanvasMouseup(e) {
+            var i = 0;
+
+            if(panningStart !== null) {
+                panningStart = null;
+                return;
+            }
+
+            if(resizingNode !== null) {
+                var resizedNode = resizingNode;
+                resizingNode = null;
+                if(movingObjectRecorded) { // i.e. the node has actually been resized
+                    emitEvent('elementUpdated', { 'element': resizedNode });
+                }
+                return;
+            }
+
+            if(movingObject && movingObjectRecorded) { // i.e. the selected object has actually been moved
+                if(selectedObject instanceof Node) {
+                    emitEvent('nodeMoved', { 'node': selectedObject });
+                } else {
+                    emitEvent('linkMoved', { 'link': selectedObject });
+                }
+            }
+            if(movingSelection && movingObjectRecorded) {
+                for(i = 0; i < selectedObjects.length; i++) {
+                    if(selectedObjects[i] instanceof Node) {
+                        emitEvent('nodeMoved', { 'node': selectedObjects[i] });
+                    }
+                }
+            }
+            movingObject = false;
+            movingSelection = false;
+            draggedText = null;
+
+            if(currentLink !== null) {
+                var historySnapshot = fetchJsonObject(); // taken before prepareInsertionToCanvas() updates nodes
+                var insertedLink = null;
+                if(currentLink.prepareInsertionToCanvas()) {
+                    recordHistory(historySnapshot);
+                    insertedLink = currentLink;
+                    links.push(insertedLink);
+                    var separatedLinks = separateParallelLinks([insertedLink]);
+                    setSelectedObject(insertedLink);
+                    resetCaret();
+                }
+                currentLink = null;
+                draw();
+                if(insertedLink) {
+                    emitEvent('linkAdded', { 'link': insertedLink });
+                    emitLinksUpdated(separatedLinks, insertedLink);
+                    if(insertedLink instanceof StartLink) {
+                        emitEvent('initialStateToggled', { 'node': insertedLink.node, 'isInitialState': true });
+                    }
+                }
+            }
+            else if(selectionRect !== null) {
+                var rect = selectionRect;
+                selectionRect = null;
+                var selection = rect.initialSelection;
+                var elements = getObjectsInRect(rect.x0, rect.y0, rect.x1, rect.y1);
+                for(i = 0; i < elements.length; i++) {
+                    if(selection.indexOf(elements[i]) === -1) {
+                        selection.push(elements[i]);
+                    }
+                }
+                updateSelection(selection);
+                resetCaret();
+                draw();
+            }
+        }
+
+        function onCanvasWheel(e) {
+            var mouse = crossBrowserCanvasMousePos(e);
+            var factor = config.canvas.zoomWheelFactor;
+            zoomAt(e.deltaY < 0 ? factor : 1 / factor, mouse.x, mouse.y);
+            e.preventDefault(); return false; // don't scroll the page
+        }
+
+        // Touch interaction is as follows.
+        //     - tap: same as click (e.g. to select something)
+        //     - double-tap: same as double-click (e.g. to add a node or toggle
+        //                   accept state)
+        //     - drag: same as mouse drag when started on something (e.g. to
+        //             move a node), pans the viewport otherwise
+        //     - long-press then drag: same as shift-drag (i.e. to add a link)
+        //     - pinch: zooms and pans the viewport
+        // Mouse and pen pointers are handled like mouse events.
+        function onCanvasPointerdown(e) {
+            if(e.pointerType !== 'touch') return onCanvasMousedown(e);
+
+            lastTouchTime = Date.now();
+            activeController = controller;
+            if(canvas.setPointerCapture) {
+                canvas.setPointerCapture(e.pointerId); // keep receiving events when the finger leaves the canvas
+            }
+            touchPointers[e.pointerId] = crossBrowserCanvasMousePos(e);
+
+            var pointerIds = Object.keys(touchPointers);
+            if(pointerIds.length === 1) {
+                touchGesture = {
+                    'startEvent': e,
+                    'start': touchPointers[e.pointerId],
+                    'started': false, // tells whether the gesture has been forwarded to the mouse event handlers
+                    'timer': setTimeout(onCanvasLongPress, longPressDelay),
+                };
+            } else if(pointerIds.length === 2) {
+                cancelTouchGesture();
+                var p0 = touchPointers[pointerIds[0]];
+                var p1 = touchPointers[pointerIds[1]];
+                pinch = {
+                    'distance': Math.max(1, Math.sqrt((p1.x - p0.x) * (p1.x - p0.x) + (p1.y - p0.y) * (p1.y - p0.y))),
+                    'midX': (p0.x + p1.x) / 2,
+                    'midY': (p0.y + p1.y) / 2,
+                    'viewport': getViewport(),
+                };
+            }
+            e.preventDefault(); return false;
+        }
+
+        function onCanvasPointermove(e) {
+            if(e.pointerType !== 'touch') return onCanvasMousemove(e);
+            if(!(e.pointerId in touchPointers)) return;
+
+            lastTouchTime = Date.now();
+            var pos = crossBrowserCanvasMousePos(e);
+            touchPointers[e.pointerId] = pos;
+
+            if(pinch !== null) {
+                var pointerIds = Object.keys(touchPointers);
+                if(pointerIds.length < 2) return;
+                var p0 = touchPointers[pointerIds[0]];
+                var p1 = touchPointers[pointerIds[1]];
+                var distance = Math.sqrt((p1.x - p0.x) * (p1.x - p0.x) + (p1.y - p0.y) * (p1.y - p0.y));
+                var zoom = pinch.viewport.zoom * distance / pinch.distance;
+                zoom = Math.min(Math.max(zoom, config.canvas.zoomMin), config.canvas.zoomMax);
+                // the content point which was under the fingers stays under them
+                var contentX = (pinch.midX - pinch.viewport.offsetX) / pinch.viewport.zoom;
+                var contentY = (pinch.midY - pinch.viewport.offsetY) / pinch.viewport.zoom;
+                setViewport({
+                    'offsetX': (p0.x + p1.x) / 2 - contentX * zoom,
+                    'offsetY': (p0.y + p1.y) / 2 - contentY * zoom,
+                    'zoom': zoom,
+                });
+            } else if(touchGesture !== null) {
+                if(!touchGesture.started) {
+                    var dx = pos.x - touchGesture.start.x;
+                    var dy = pos.y - touchGesture.start.y;
+                    if(Math.sqrt(dx * dx + dy * dy) < touchSlop) return;
+
+                    clearTimeout(touchGesture.timer);
+                    touchGesture.started = true;
+                    var mouse = crossBrowserRelativeMousePos(touchGesture.startEvent);
+                    if(selectObject(mouse.x, mouse.y) !== null || getResizeHandleAt(mouse.x, mouse.y) !== null) {
+                        onCanvasMousedown(touchGesture.startEvent);
+                    } else {
+                        panningStart = {
+                            'mouse': touchGesture.start,
+                            'offsetX': viewport.offsetX, 'offsetY': viewport.offsetY,
+                        };
+                    }
+                }
+                onCanvasMousemove(e);
+            }
+            e.preventDefault(); return false;
+        }
+
+        function onCanvasPointerup(e) {
+            if(e.pointerType !== 'touch') return onCanvasMouseup(e);
+            if(!(e.pointerId in touchPointers)) return;
+
+            lastTouchTime = Date.now();
+            delete touchPointers[e.pointerId];
+
+            if(pinch !== null) {
+                if(Object.keys(touchPointers).length === 0) {
+                    pinch = null;
+                }
+            } else if(touchGesture !== null) {
+                clearTimeout(touchGesture.timer);
+                if(touchGesture.started) {
+                    onCanvasMouseup(e);
+                } else { // a tap
+                    onCanvasMousedown(touchGesture.startEvent);
+                    onCanvasMouseup(e);
+                    var pos = touchGesture.start;
+                    if(lastTap !== null && lastTouchTime - lastTap.time < doubleTapDelay &&
+                       Math.abs(pos.x - lastTap.x) < 3 * touchSlop && Math.abs(pos.y - lastTap.y) < 3 * touchSlop) {
+                        lastTap = null;
+                        onCanvasDblclick(touchGesture.startEvent);
+                    } else {
+                        lastTap = { 'time': lastTouchTime, 'x': pos.x, 'y': pos.y };
+                    }
+                }
+                touchGesture = null;
+            }
+            e.preventDefault(); return false;
+        }
+
+        // Drops the gesture in progress when the browser takes the pointer over
+        // (e.g. to scroll the page or for a system gesture): nothing is done as
+        // when the pointer is released, and the viewport is put back.
+        function onCanvasPointercancel(e) {
+            if(e.pointerType !== 'touch') {
+                abortMouseGesture();
+                return;
+            }
+            if(!(e.pointerId in touchPointers)) return;
+
+            lastTouchTime = Date.now();
+            delete touchPointers[e.pointerId];
+            lastTap = null;
+            if(pinch !== null) {
+                setViewport(pinch.viewport);
+                pinch = null;
+            } else if(touchGesture !== null) {
+                clearTimeout(touchGesture.timer);
+                if(touchGesture.started) {
+                    abortMouseGesture();
+                }
+                touchGesture = null;
+            }
+            e.preventDefault(); return false;
+        }
+
+        // Ends the mouse gesture in progress (if any) without completing it:
+        // the link being drawn is not added, the rubber-band selection is not
+        // applied, and the elements being moved or resized are put back.
+        function abortMouseGesture() {
+            if(panningStart !== null) {
+                setViewport({ 'offsetX': panningStart.offsetX, 'offsetY': panningStart.offsetY });
+            }
+            if(movingObjectRecorded && (movingObject || movingSelection || resizingNode !== null) && history.undoStack.length !== 0) {
+                restoreHistorySnapshot(history.undoStack.pop()); // i.e. the content before the move
+            }
+            panningStart = null;
+            resizingNode = null;
+            movingObject = false;
+            movingSelection = false;
+            movingObjectRecorded = false;
+            draggedText = null;
+            currentLink = null;
+            selectionRect = null;
+            draw();
+        }
+
+        function onCanvasLongPress() {
+            if(touchGesture === null || touchGesture.started) return;
+            touchGesture.started = true;
+            shift = true; // so that a link is added, as with shift-drag
+            onCanvasMousedown(touchGesture.startEvent);
+            shift = false;
+        }
+
+        // Ends the single-finger gesture in progress (if any) without adding
+        // the link being drawn.
+        function cancelTouchGesture() {
+            if(touchGesture === null) return;
+            clearTimeout(touchGesture.timer);
+            if(touchGesture.started) {
+                currentLink = null;
+                onCanvasMouseup(touchGesture.startEvent);
+            }
+            touchGesture = null;
+        }
+
+        // Opens the property editor for the right-clicked element.
+        function onCanvasContextmenu(e) {
+            if(Date.now() - lastTouchTime < 1000) { // e.g. shown by the browser after a long-press
+                e.preventDefault(); return false;
+            }
+            var mouse = crossBrowserRelativeMousePos(e);
+            var clickedObject = selectObject(mouse.x, mouse.y);
+            if(clickedObject === null) return true; // let the browser show its own menu
+
+            activeController = controller;
+            if(selectedObjects.indexOf(clickedObject) === -1) {
+                setSelection([clickedObject]);
+            }
+            openPropertyEditor(crossBrowserMousePos(e).x, crossBrowserMousePos(e).y);
+            e.preventDefault(); return false;
+        }
+
+        function onFsmAlphabetContainerUpdated(e) {
+            this.value = convertLatexShortcuts(this.value);
+            if(this.value !== fsmAlphabetBeforeEdit) { // i.e. edited by the user, typing being undone at once
+                var snapshot = fetchJsonObject();
+                snapshot.fsmAlphabet = fsmAlphabetBeforeEdit;
+                recordHistory(snapshot, fsmAlphabetContainer);
+                fsmAlphabetBeforeEdit = this.value;
+            }
+            saveBackupAuto();
+        }
+
+        function onDocumentKeydown(e) {
+            var key = crossBrowserKey(e);
+
+            if(key === 16) {
+                shift = true;
+            } else if(!canvasHasFocus() || textComposing || e.isComposing) {
+                // don't read keystrokes when other things have focus (or while text is being composed)
+                return true;
+            } else if(handleTextEditingKey(e, key)) {
+                e.preventDefault(); return false;
+            } else if((e.ctrlKey || e.metaKey) && key === 65) { // Ctrl+A
+                selectAll();
+                e.preventDefault(); return false;
+            } else if((e.ctrlKey || e.metaKey) && (key === 90 || key === 89)) { // Ctrl+Z or Ctrl+Y (Ctrl+Shift+Z also redoes)
+                if(key === 89 || e.shiftKey) {
+                    redo();
+                } else {
+                    undo();
+                }
+                e.preventDefault(); return false;
+            } else if(key === 9) { // tab key
+                // when nothing has the focus, the tab key must reach the controls of the page first
+                if(canvasIsFocused() && selectNextElement(e.shiftKey ? -1 : 1, false)) {
+                    e.preventDefault(); return false;
+                }
+                // otherwise let the focus leave the canvas
+            } else if(key === 27) { // escape key
+                if(linkSource !== null) {
+                    linkSource = null;
+                    draw();
+                    announce('Link cancelled.');
+                } else {
+                    setSelection([]);
+                }
+            } else if((key === 38 || key === 40) && !e.altKey && !e.ctrlKey && !e.metaKey && canvasIsFocused()) { // up and down arrow keys
+                // as with the tab key, arrow keys scroll the page unless the canvas has the focus
+                if(selectNextElement(key === 38 ? -1 : 1, true)) {
+                    e.preventDefault(); return false;
+                }
+            } else if(e.altKey && key >= 37 && key <= 40 && canvasIsFocused()) { // Alt+arrow keys
+                var step = e.shiftKey ? 10 : 1;
+                if(gridSnapEnabled()) step = config.canvas.gridSpacing;
+                if(nudgeSelection(key === 37 ? -step : key === 39 ? step : 0,
+                                  key === 38 ? -step : key === 40 ? step : 0)) {
+                    e.preventDefault(); return false;
+                }
+                // otherwise Alt+Left/Right still go back/forward in browser history
+            } else if(key === 93 || (e.shiftKey && key === 121)) { // context menu key or Shift+F10
+                openPropertyEditor();
+                e.preventDefault(); return false;
+            } else if(e.altKey && key === 78) { // Alt+N
+                addNodeFromKeyboard();
+                e.preventDefault(); return false;
+            } else if(e.altKey && key === 76) { // Alt+L
+                addLinkFromKeyboard();
+                e.preventDefault(); return false;
+            } else if(e.altKey && key === 65) { // Alt+A
+                if(selectedObject instanceof Node && config.nodes.canBeAcceptStates) {
+                    updateElement(selectedObject, { 'isAcceptState': !selectedObject.isAcceptState });
+                    announce(describeElement(selectedObject) + '.');
+                    e.preventDefault(); return false;
+                }
+            } else if(e.altKey && key === 73) { // Alt+I
+                if(selectedObject instanceof Node) {
+                    setInitial(selectedObject, !selectedObject.isInitialState);
+                    announce(describeElement(selectedObject) + '.');
+                    e.preventDefault(); return false;
+                }
+            } else if(key === 8) { // backspace key (when no text is edited)
+                // backspace might be a shortcut for the back button and we do NOT want to change pages
+                e.preventDefault(); return false;
+            } else if(key === 46) { // delete key
+                if(selectedObjects.length !== 0) {
+                    recordHistory();
+                    var removed = removeFromCanvas(selectedObjects);
+                    draw();
+                    emitRemovalEvents(removed);
+                }
+            }
+        }
+
+        function onDocumentKeyup(e) {
+            var key = crossBrowserKey(e);
+
+            if(key === 16) {
+                shift = false;
+            }
+        }
+
+        function onDocumentKeypress(e) {
+            // don't read keystrokes when other things have focus
+            var key = crossBrowserKey(e);
+            if(!canvasHasFocus()) {
+                // don't read keystrokes when other things have focus
+                return true;
+            } else if(textInput !== null && document.activeElement === textInput) {
+                return true; // typed text is read from the text input (see onTextInputInput())
+            } else if(key >= 0x20 && key !== 0x7F && !e.metaKey && !e.altKey && !e.ctrlKey && selectedObject !== null && 'text' in selectedObject) {
+                replaceSelectedText(String.fromCharCode(key));
+
+                // don't let keys do their actions (like space scrolls down the page)
+                e.preventDefault(); return false;
+            } else if(key === 8) {
+                // backspace might be a shortcut for the back button and we do NOT want to change pages
+                e.preventDefault(); return false;
+            }
+        }
+
+        function onCanvasFocus(e) {
+            activeController = controller; // keystrokes must reach this controller, e.g. when the canvas is focused using the tab key
+            syncTextInputFocus();
+        }
+
+        // Gives the focus to the hidden text input when an element with text is
+        // selected, and back to the canvas otherwise. Nothing is done when
+        // something else than the canvas has the focus.
+        function syncTextInputFocus() {
+            if(textInput === null || !canvasHasFocus()) return;
+            var editable = selectedObject !== null && 'text' in selectedObject;
+            if(editable && document.activeElement !== textInput) {
+                textInput.focus({ 'preventScroll': true });
+            } else if(!editable && document.activeElement === textInput) {
+                canvas.focus({ 'preventScroll': true });
+            }
+        }
+
+        // Moves the hidden text input over the caret (see drawText()), so that
+        // input method editors show their windows next to the edited text.
+        function placeTextInput() {
+            if(textInput === null || textLayout === null || !textLayout.caret) return;
+            var rect = canvas.getBoundingClientRect();
+            var scaleX = rect.width > 0 ? rect.width / canvasSize.width : 1; // in case the canvas is scaled by CSS
+            var scaleY = rect.height > 0 ? rect.height / canvasSize.height : 1;
+            var caret = textLayout.caret;
+            textInput.style.left = (rect.left + (caret.x * viewport.zoom + viewport.offsetX) * scaleX) + 'px';
+            textInput.style.top = (rect.top + (caret.y * viewport.zoom + viewport.offsetY) * scaleY) + 'px';
+            textInput.style.height = (textLayout.lineHeight * viewport.zoom * scaleY) + 'px';
+        }
+
+        function onTextInputInput(e) {
+            if(textComposing || e.isComposing) return; // see onTextInputCompositionend()
+            insertTextInputValue();
+        }
+
+        function onTextInputCompositionstart(e) {
+            textComposing = true;
+        }
+
+        function onTextInputCompositionend(e) {
+            textComposing = false;
+            insertTextInputValue();
+        }
+
+        function insertTextInputValue() {
+            var str = textInput.value;
+            textInput.value = '';
+            if(str !== '' && listenersStarted && selectedObject !== null && 'text' in selectedObject) {
+                replaceSelectedText(str);
+            }
+        }
+
+        // Returns the selected part of the text of the selected element as an
+        // object with 'start' and 'end' properties (equal when nothing is
+        // selected), or null if the selected element has no text.
+        function getTextRange() {
+            if(selectedObject === null || !('text' in selectedObject)) return null;
+            var length = selectedObject.text.length;
+            textCaret = Math.min(Math.max(textCaret, 0), length); // the text might have been updated from the outside
+            textAnchor = Math.min(Math.max(textAnchor, 0), length);
+            return { 'start': Math.min(textCaret, textAnchor), 'end': Math.max(textCaret, textAnchor) };
+        }
+
+        // Puts the caret at the end of the text of the selected element.
+        function resetTextCaret() {
+            textCaret = textAnchor = selectedObject !== null && 'text' in selectedObject ? selectedObject.text.length : 0;
+            textLayout = null;
+        }
+
+        // Replaces the selected part of the text of the selected element (or
+        // inserts at the caret) the given string, draw()s and emits the related
+        // event.
+        function replaceSelectedText(str) {
+            var range = getTextRange();
+            if(range === null) return;
+            if(!config.canvas.multilineText) {
+                str = str.replace(/\r?\n/g, ' ');
+            }
+            str = str.replace(/\r\n?/g, '\n');
+            if(str === '' && range.start === range.end) return;
+
+            recordHistory(null, selectedObject);
+            var text = selectedObject.text;
+            selectedObject.text = text.substring(0, range.start) + str + text.substring(range.end);
+            if(selectedObject instanceof Node) {
+                fitNodeSize(selectedObject);
+            }
+            textCaret = textAnchor = range.start + str.length;
+            resetCaret();
+            draw();
+            emitEvent('textChanged', { 'element': selectedObject, 'text': selectedObject.text });
+        }
+
+        // Returns the caret position next to the given one in the given text,
+        // moving by one character (which might be made of two UTF-16 code units).
+        function getNextCaretPos(text, pos, direction) {
+            if(direction < 0) {
+                if(pos <= 0) return 0;
+                return pos >= 2 && isLowSurrogate(text.charCodeAt(pos - 1)) && isHighSurrogate(text.charCodeAt(pos - 2)) ? pos - 2 : pos - 1;
+            }
+            if(pos >= text.length) return text.length;
+            return isHighSurrogate(text.charCodeAt(pos)) && isLowSurrogate(text.charCodeAt(pos + 1)) ? pos + 2 : pos + 1;
+        }
+
+        function isHighSurrogate(code) { return code >= 0xD800 && code <= 0xDBFF; }
+        function isLowSurrogate(code) { return code >= 0xDC00 && code <= 0xDFFF; }
+
+        // Moves the caret to the given position, extending the selected part of
+        // the text if extend is true.
+        function moveTextCaret(pos, extend) {
+            textCaret = pos;
+            if(!extend) textAnchor = pos;
+            resetCaret();
+            draw();
+        }
+
+        // Handles the keys used to edit text and returns whether the given key
+        // has been handled.
+        function handleTextEditingKey(e, key) {
+            var range = getTextRange();
+            if(range === null || e.ctrlKey || e.metaKey || e.altKey) return false;
+            var text = selectedObject.text;
+            var lineStart = text.lastIndexOf('\n', textCaret - 1) + 1;
+            var lineEnd = text.indexOf('\n', textCaret);
+            if(lineEnd === -1) lineEnd = text.length;
+
+            if(key === 8) { // backspace key
+                if(range.start === range.end) {
+                    textAnchor = getNextCaretPos(text, textCaret, -1);
+                }
+                replaceSelectedText('');
+            } else if(key === 37 || key === 39) { // left and right arrow keys
+                if(range.start !== range.end && !e.shiftKey) { // collapse the selection
+                    moveTextCaret(key === 37 ? range.start : range.end, false);
+                } else {
+                    moveTextCaret(getNextCaretPos(text, textCaret, key === 37 ? -1 : 1), e.shiftKey);
+                }
+            } else if(key === 36) { // home key
+                moveTextCaret(lineStart, e.shiftKey);
+            } else if(key === 35) { // end key
+                moveTextCaret(lineEnd, e.shiftKey);
+            } else if(key === 13) { // enter key
+                if(!config.canvas.multilineText) return false;
+                replaceSelectedText('\n');
+            } else {
+                return false;
+            }
+            return true;
+        }
+
+        // Places the caret in the text of the selected element at the given
+        // position (in content coordinates) and returns whether the position
+        // is over that text.
+        function placeTextCaretAt(x, y) {
+            if(textLayout === null || getTextRange() === null) return false;
+            var lines = textLayout.lines;
+            var halfHeight = textLayout.lineHeight / 2;
+            for(var i = 0; i < lines.length; i++) {
+                var line = lines[i];
+                if(y < line.y - halfHeight || y > line.y + halfHeight || x < line.x - halfHeight || x > line.x + line.width + halfHeight) {
+                    continue;
+                }
+                var bestPos = 0;
+                var bestDistance = Infinity;
+                for(var pos = 0; pos <= line.raw.length; pos = getNextCaretPos(line.raw, pos, 1)) {
+                    var caretX = line.x + layoutLatexText(line.raw.substring(0, pos), config.canvas.font, getTextMeasure(null)).width;
+                    if(Math.abs(caretX - x) < bestDistance) {
+                        bestDistance = Math.abs(caretX - x);
+                        bestPos = pos;
+                    }
+                    if(pos === line.raw.length) break;
+                }
+                moveTextCaret(line.start + bestPos, false);
+                return true;
+            }
+            return false;
+        }
+
+        // Selects the element (nodes first, then links) following or preceding
+        // the selected one, depending on the sign of direction, and returns
+        // whether an element is selected. When the end is reached, the first
+        // (or last) element is selected if wrap is true, or nothing otherwise.
+        function selectNextElement(direction, wrap) {
+            var elements = nodes.concat(links);
+            if(elements.length === 0) return false;
+            var index = selectedObject !== null ? elements.indexOf(selectedObject) : -1;
+            if(index === -1) {
+                index = direction > 0 ? 0 : elements.length - 1;
+            } else {
+                index += direction > 0 ? 1 : -1;
+                if(index < 0 || index >= elements.length) {
+                    if(!wrap) {
+                        setSelection([]);
+                        return false;
+                    }
+                    index = (index + elements.length) % elements.length;
+                }
+            }
+            setSelection([elements[index]]);
+            resetCaret();
+            return true;
+        }
+
+        // Moves the selected nodes by the given offset and returns whether
+        // there were any.
+        function nudgeSelection(dx, dy) {
+            var movedNodes = [];
+            for(var i = 0; i < selectedObjects.length; i++) {
+                if(selectedObjects[i] instanceof Node) movedNodes.push(selectedObjects[i]);
+            }
+            if(movedNodes.length === 0) return false;
+
+            if(nudgeHistoryTarget === null || nudgeHistoryTarget.selection !== selectedObjects) {
+                nudgeHistoryTarget = { 'selection': selectedObjects };
+            }
+            recordHistory(null, nudgeHistoryTarget);
+            var reference = { 'x': movedNodes[0].x, 'y': movedNodes[0].y };
+            for(i = 0; i < movedNodes.length; i++) {
+                movedNodes[i].x += dx;
+                movedNodes[i].y += dy;
+                if(gridSnapEnabled()) snapNode(movedNodes[i]);
+            }
+            translateWaypoints(links, movedNodes, movedNodes[0].x - reference.x, movedNodes[0].y - reference.y);
+            draw();
+            for(i = 0; i < movedNodes.length; i++) {
+                emitEvent('nodeMoved', { 'node': movedNodes[i] });
+            }
+            return true;
+        }
+
+        // Adds a node next to the selected node (or in the middle of the visible
+        // area if no node is selected) and selects it.
+        function addNodeFromKeyboard() {
+            var radius = config.nodes.radius;
+            var area = getVisibleArea();
+            var point = selectedObject instanceof Node ? { 'x': selectedObject.x + 4 * radius, 'y': selectedObject.y }
+                                                      : { 'x': area.x + area.width / 2, 'y': area.y + area.height / 2 };
+            for(var attempts = 0; attempts < 20 && selectObject(point.x, point.y) instanceof Node; attempts++) {
+                point.y += 3 * radius; // don't put the node over an existing one
+            }
+            point = snapPoint(point);
+            var node = addNode({ 'x': point.x, 'y': point.y });
+            setSelection([node]);
+            resetCaret();
+            announce('Added ' + describeElement(node) + '.');
+        }
+
+        // The first call (with a node selected) chooses the source node of the
+        // link. The second call adds a link from that node to the selected
+        // node, which can be the same.
+        function addLinkFromKeyboard() {
+            if(!(selectedObject instanceof Node)) {
+                announce('Select a node first.');
+                return;
+            }
+            if(linkSource === null || nodes.indexOf(linkSource) === -1) {
+                linkSource = selectedObject;
+                draw();
+                announce('Adding a link from ' + describeNodeName(linkSource) + '. Select the target node then press Alt+L again, or press Escape to cancel.');
+                return;
+            }
+            var link = addLink(linkSource, selectedObject);
+            linkSource = null;
+            if(link !== null) {
+                setSelection([link]);
+                resetCaret();
+                announce('Added ' + describeElement(link) + '.');
+            } else {
+                draw();
+                announce('The link could not be added.');
+            }
+        }
+
+        // Returns a textual description of canvas content, e.g. for screen readers.
+        function getAccessibleDescription() {
+            var elements = nodes.concat(links);
+            var text = nodes.length + (nodes.length === 1 ? ' node' : ' nodes') + ' and '
+                     + links.length + (links.length === 1 ? ' link' : ' links') + '.';
+            for(var i = 0; i < elements.length; i++) {
+                text += ' ' + describeElement(elements[i]) + '.';
+            }
+            return text;
+        }
+
+        function describeNodeName(node) {
+            return node.text !== '' ? 'node "' + convertLatexShortcuts(node.text) + '"'
+                                    : 'node ' + (nodes.indexOf(node) + 1);
+        }
+
+        function describeElement(elt) {
+            var text = '';
+            if(elt instanceof Node) {
+                text = 'N' + describeNodeName(elt).substr(1);
+                if(elt.isInitialState) text += ', initial';
+                if(elt.isAcceptState) text += ', accepting';
+                return text;
+            }
+            if(elt instanceof StartLink) {
+                return 'Start link to ' + describeNodeName(elt.node);
+            }
+            if(elt instanceof SelfLink) {
+                text = 'Link from ' + describeNodeName(elt.node) + ' to itself';
+            } else {
+                text = 'Link from ' + describeNodeName(elt.nodeA) + ' to ' + describeNodeName(elt.nodeB);
+            }
+            if(elt.text !== '') text += ' labelled "' + convertLatexShortcuts(elt.text) + '"';
+            return text;
+        }
+
+        function updateAccessibleDescription() {
+            if(accessibilityElts === null) return;
+            var text = 'Use Tab or the up and down arrow keys to go through nodes and links, Alt+N to add a node, '
+                     + 'Alt+L to add a link, Alt+arrow keys to move nodes and Delete to remove them. '
+                     + getAccessibleDescription();
+            if(accessibilityElts.description.textContent !== text) {
+                accessibilityElts.description.textContent = text;
+            }
+        }
+
+        // Makes screen readers read the given message.
+        function announce(message) {
+            if(accessibilityElts !== null) {
+                accessibilityElts.status.textContent = message;
+            }
+        }
+
+        // Removes the given nodes (along with their links) and links from the
+        // canvas without draw()ing, and returns the removed elements as a
+        // { 'nodes': ..., 'links': ... } object to give to emitRemovalEvents()
+        // once drawn.
+        function removeFromCanvas(elements) {
+            var removedNodes = [];
+            var removedLinks = [];
+            var i = 0;
+            for(i = 0; i < nodes.length; i++) {
+                if(elements.indexOf(nodes[i]) !== -1) {
+                    removedNodes.push(nodes[i]);
+                    nodes.splice(i--, 1);
+                }
+            }
+            for(i = 0; i < links.length; i++) {
+                if(elements.indexOf(links[i]) !== -1 || removedNodes.indexOf(links[i].node) !== -1
+                   || removedNodes.indexOf(links[i].nodeA) !== -1 || removedNodes.indexOf(links[i].nodeB) !== -1) {
+                    links[i].prepareRemovalFromCanvas();
+                    removedLinks.push(links[i]);
+                    links.splice(i--, 1);
+                }
+            }
+            updateSelection(selectedObjects); // removed elements are no longer selected
+            return { 'nodes': removedNodes, 'links': removedLinks };
+        }
+
+        // Emits the events related to the elements removed by removeFromCanvas().
+        function emitRemovalEvents(removed) {
+            var removedNodes = removed.nodes;
+            var removedLinks = removed.links;
+            var i = 0;
+            for(i = 0; i < removedLinks.length; i++) {
+                emitEvent('linkRemoved', { 'link': removedLinks[i] });
+                if(removedLinks[i] instanceof StartLink && removedNodes.indexOf(removedLinks[i].node) === -1) {
+                    emitEvent('initialStateToggled', { 'node': removedLinks[i].node, 'isInitialState': false });
+                }
+            }
+            for(i = 0; i < removedNodes.length; i++) {
+                emitEvent('nodeRemoved', { 'node': removedNodes[i] });
+            }
+        }
+
+        function setSelectedObject(obj) {
+            updateSelection(obj ? [obj] : []);
+        }
+
+        // Selects the given elements (nodes and/or links) and draw()s. Elements
+        // that are not in the canvas are ignored.
+        function setSelection(elements) {
+            updateSelection(elements);
+            draw();
+        }
+
+        function updateSelection(elements) {
+            var selection = [];
+            var changed = false;
+            for(var i = 0; i < elements.length; i++) {
+                var elt = elements[i];
+                if((nodes.indexOf(elt) !== -1 || links.indexOf(elt) !== -1) && selection.indexOf(elt) === -1) {
+                    selection.push(elt);
+                    changed = changed || selectedObjects.indexOf(elt) === -1;
+                }
+            }
+            changed = changed || selection.length !== selectedObjects.length;
+
+            selectedObjects = selection;
+            selectedObject = selection.length === 1 ? selection[0] : null;
+            if(changed) {
+                history.lastTextTarget = null; // so that typing after reselecting an element is a new edit
+                closePropertyEditor(); // it edits the previous selection
+                resetTextCaret();
+                syncTextInputFocus();
+                announce(selectedObject !== null ? describeElement(selectedObject) + ', selected.'
+                       : selection.length !== 0 ? selection.length + ' elements selected.'
+                       : 'Nothing selected.');
+                emitEvent('selectionChanged', { 'selectedObject': selectedObject, 'selectedObjects': selection.slice() });
+            }
+        }
+
+        // Returns a copy of the array of selected elements.
+        function getSelection() {
+            return selectedObjects.slice();
+        }
+
+        // Selects all nodes and links and draw()s.
+        function selectAll() {
+            setSelection(nodes.concat(links));
+        }
+
+        // Adds the given element to the selection or removes it from there.
+        function toggleSelected(obj) {
+            var selection = selectedObjects.slice();
+            var index = selection.indexOf(obj);
+            if(index === -1) {
+                selection.push(obj);
+            } else {
+                selection.splice(index, 1);
+            }
+            updateSelection(selection);
+        }
+
+        // Sets the given properties for each selected element having them,
+        // and draw()s. This edit can be undone.
+        function setSelectionProps(propNames, propValues) {
+            if(selectedObjects.length === 0) return;
+            recordHistory();
+            for(var i = 0; i < selectedObjects.length; i++) {
+                for(var j = 0; j < propNames.length; j++) {
+                    if(propNames[j] in selectedObjects[i]) {
+                        selectedObjects[i][propNames[j]] = propValues[j];
+                    }
+                }
+            }
+            draw();
+        }
+
+        // Returns the nodes whose center is inside the given rectangle and the
+        // links whose nodes are all inside that rectangle.
+        function getObjectsInRect(x0, y0, x1, y1) {
+            var minX = Math.min(x0, x1), maxX = Math.max(x0, x1);
+            var minY = Math.min(y0, y1), maxY = Math.max(y0, y1);
+            var objects = [];
+            var i = 0;
+            for(i = 0; i < nodes.length; i++) {
+                var node = nodes[i];
+                if(node.x >= minX && node.x <= maxX && node.y >= minY && node.y <= maxY) {
+                    objects.push(node);
+                }
+            }
+            for(i = 0; i < links.length; i++) {
+                var linkNodes = getLinkNodes(links[i]);
+                if(objects.indexOf(linkNodes[0]) !== -1 && objects.indexOf(linkNodes[1]) !== -1) {
+                    objects.push(links[i]);
+                }
+            }
+            return objects;
+        }
+
+        // Returns the two extremity nodes of a link (both being the same node
+        // for instances of SelfLink and StartLink).
+        function getLinkNodes(link) {
+            return link.getTwoExtremityNodes ? link.getTwoExtremityNodes() : [link.node, link.node];
+        }
+
+        // Curves apart the straight links which join the same two nodes as one
+        // of the given links, so that parallel and antiparallel links don't
+        // overlap. Links bent by the user keep their curvature, and can still be
+        // bent afterwards. The links to consider default to all the links of
+        // the canvas. Returns the links which have been curved.
+        function separateParallelLinks(someLinks, allLinks) {
+            var separated = [];
+            if(!config.links.separateParallelLinks) return separated;
+            allLinks = allLinks || links;
+            var spacing = config.links.parallelLinksSpacing;
+            var doneLinks = [];
+            for(var i = 0; i < someLinks.length; i++) {
+                var link = someLinks[i];
+                if(!(link instanceof Link) || link.routing !== 'arc' || doneLinks.indexOf(link) !== -1) continue;
+
+                // offsets are measured from nodeA to nodeB of the first link, so antiparallel links are negated
+                var group = [], taken = [], movable = [];
+                for(var j = 0; j < allLinks.length; j++) {
+                    var other = allLinks[j];
+                    var sign = other.nodeA === link.nodeA && other.nodeB === link.nodeB ? 1 :
+                               other.nodeA === link.nodeB && other.nodeB === link.nodeA ? -1 : 0;
+                    if(!(other instanceof Link) || other.routing !== 'arc' || sign === 0) continue;
+                    group.push(other);
+                    if(other.perpendicularPart === 0) movable.push({ 'link': other, 'sign': sign });
+                    else taken.push(sign * other.perpendicularPart);
+                }
+                doneLinks.push.apply(doneLinks, group);
+                if(group.length < 2) continue;
+
+                var candidate = 0;
+                for(j = 0; j < movable.length; j++) {
+                    var offset = getParallelLinkOffset(candidate++, group.length, spacing);
+                    for(var t = 0; t < taken.length; t++) {
+                        if(Math.abs(taken[t] - offset) < spacing / 2) { // already used by a bent link
+                            offset = getParallelLinkOffset(candidate++, group.length, spacing);
+                            t = -1;
+                        }
+                    }
+                    taken.push(offset);
+                    if(offset !== 0) {
+                        movable[j].link.parallelPart = 0.5;
+                        movable[j].link.perpendicularPart = movable[j].sign * offset;
+                        separated.push(movable[j].link);
+                    }
+                }
+            }
+            return separated;
+        }
+
+        // Returns the n-th offset given to one of count parallel links: 0, +1, -1,
+        // +2, -2... times the spacing, without 0 when count is even (so that
+        // two antiparallel links are symmetric).
+        function getParallelLinkOffset(n, count, spacing) {
+            if(count % 2 === 0) n++;
+            return n === 0 ? 0 : (n % 2 === 1 ? 1 : -1) * Math.ceil(n / 2) * spacing;
+        }
+
+        // Emits elementUpdated for the given links, except for the one just added.
+        function emitLinksUpdated(updatedLinks, addedLink) {
+            for(var i = 0; i < updatedLinks.length; i++) {
+                if(updatedLinks[i] !== addedLink) {
+                    emitEvent('elementUpdated', { 'element': updatedLinks[i] });
+                }
+            }
+        }
+
+        // Returns where the text of the given link is displayed: its default
+        // position moved by the text offsets of the link. The angle tells on
+        // which side of the link the text is (see drawText()).
+        function getTextPosition(link) {
+            var position = link.getDefaultTextPosition();
+            var cos = Math.cos(position.angle);
+            var sin = Math.sin(position.angle);
+            return {
+                'x': position.x - sin * link.textOffsetAlong + cos * link.textOffsetAway,
+                'y': position.y + cos * link.textOffsetAlong + sin * link.textOffsetAway,
+                'angle': position.angle,
+            };
+        }
+
+        // Moves the text of the given link to (x, y), or back to its default
+        // position when it is close enough.
+        function setTextPosition(link, x, y) {
+            var position = link.getDefaultTextPosition();
+            var cos = Math.cos(position.angle);
+            var sin = Math.sin(position.angle);
+            var dx = x - position.x;
+            var dy = y - position.y;
+            link.textOffsetAlong = cos * dy - sin * dx;
+            link.textOffsetAway = cos * dx + sin * dy;
+            if(Math.abs(link.textOffsetAlong) < snapToPadding && Math.abs(link.textOffsetAway) < snapToPadding) {
+                link.textOffsetAlong = 0;
+                link.textOffsetAway = 0;
+            }
+        }
+
+        // Returns the box around the text of the given link (in content
+        // coordinates), or null if the link has no text.
+        function getTextBox(link) {
+            if(link.text === '') return null;
+            var position = getTextPosition(link);
+            var layout = layoutText(link.text, position.x, position.y, position.angle, function(text) {
+                return layoutLatexText(text, config.canvas.font, getTextMeasure(null)).width;
+            });
+            return { 'x': layout.x, 'y': layout.y, 'width': layout.width, 'height': layout.height };
+        }
+
+        // Moves the waypoints of the given links which join two of the given
+        // nodes, so that they follow these nodes.
+        function translateWaypoints(someLinks, someNodes, dx, dy) {
+            for(var i = 0; i < someLinks.length; i++) {
+                var link = someLinks[i];
+                if(link instanceof Link && someNodes.indexOf(link.nodeA) !== -1 && someNodes.indexOf(link.nodeB) !== -1) {
+                    for(var j = 0; j < link.waypoints.length; j++) {
+                        link.waypoints[j].x += dx;
+                        link.waypoints[j].y += dy;
+                    }
+                }
+            }
+        }
+
+        // Returns the point where the text of a link is displayed (roughly).
+        function getLinkMiddlePoint(link) {
+            if(link instanceof StartLink) {
+                var points = link.getEndPoints();
+                return { 'x': points.startX, 'y': points.startY };
+            }
+            if(link instanceof SelfLink) {
+                var loop = link.getEndPointsAndCircle();
+                return {
+                    'x': loop.circleX + loop.circleRadius * Math.cos(link.anchorAngle),
+                    'y': loop.circleY + loop.circleRadius * Math.sin(link.anchorAngle),
+                };
+            }
+            var stuff = link.getEndPointsAndCircle();
+            return stuff.hasCircle ? link.getAnchorPoint() : getPolylineMiddle(stuff.points);
+        }
+
+        // Clipboard events are used (instead of Ctrl+C, Ctrl+X and Ctrl+V
+        // keystrokes) so that fragments go through the system clipboard and
+        // can be pasted in another page or browser tab.
+        function onDocumentCopy(e) {
+            if(!canvasHasFocus()) return true;
+            var str = getSelectedText() || copySelection();
+            if(str !== null) {
+                if(e.clipboardData) {
+                    e.clipboardData.setData('text/plain', str);
+                }
+                e.preventDefault(); return false;
+            }
+        }
+
+        function onDocumentCut(e) {
+            if(!canvasHasFocus()) return true;
+            var str = getSelectedText();
+            if(str) {
+                replaceSelectedText('');
+            } else {
+                str = cutSelection();
+            }
+            if(str !== null) {
+                if(e.clipboardData) {
+                    e.clipboardData.setData('text/plain', str);
+                }
+                e.preventDefault(); return false;
+            }
+        }
+
+        function onDocumentPaste(e) {
+            if(!canvasHasFocus()) return true;
+            var str = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+            if(paste(str || undefined).length !== 0) { // the last copied fragment is used when the clipboard is empty
+                resetCaret();
+                e.preventDefault(); return false;
+            } else if(str && getTextRange() !== null) { // plain text goes into the text of the selected element
+                replaceSelectedText(str);
+                e.preventDefault(); return false;
+            }
+        }
+
+        // Returns the selected part of the text of the selected element (an
+        // empty string if there is none).
+        function getSelectedText() {
+            var range = getTextRange();
+            return range !== null ? selectedObject.text.substring(range.start, range.end) : '';
+        }
+
+        function selectObject(x, y) {
+            var i = 0;
+            for(i = 0; i < nodes.length; i++) {
+                if(nodes[i].containsPoint(x, y)) {
+                    return nodes[i];
+                }
+            }
+            for(i = 0; i < links.length; i++) {
+                if(links[i].containsPoint(x, y)) {
+                    return links[i];
+                }
+            }
+            for(i = 0; i < links.length; i++) {
+                var box = getTextBox(links[i]);
+                if(box !== null && x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height) {
+                    return links[i];
+                }
+            }
+            return null;
+        }
+
+        // Snaps the given node to the grid if snapToGrid is enabled, or aligns
+        // it to other nodes otherwise.
+        function snapNode(node) {
+            if(gridSnapEnabled()) {
+                var point = snapPoint(node);
+                node.x = point.x;
+                node.y = point.y;
+                return;
+            }
+
+            for(var i = 0; i < nodes.length; i++) {
+                if(nodes[i] === node) continue;
+
+                if(Math.abs(node.x - nodes[i].x) < snapToPadding) {
+                    node.x = nodes[i].x;
+                }
+
+                if(Math.abs(node.y - nodes[i].y) < snapToPadding) {
+                    node.y = nodes[i].y;
+                }
+            }
+        }
+
+        // Returns the handles used to resize the given node: one on each side.
+        // They change the radius of circles, and the width or height of other shapes.
+        function getResizeHandles(node) {
+            var halfSize = node.getHalfSize();
+            var isCircle = node.shape === 'circle';
+            return [
+                { 'x': node.x + halfSize.width, 'y': node.y, 'cursor': 'ew-resize', 'prop': isCircle ? 'radius' : 'width' },
+                { 'x': node.x - halfSize.width, 'y': node.y, 'cursor': 'ew-resize', 'prop': isCircle ? 'radius' : 'width' },
+                { 'x': node.x, 'y': node.y - halfSize.height, 'cursor': 'ns-resize', 'prop': isCircle ? 'radius' : 'height' },
+                { 'x': node.x, 'y': node.y + halfSize.height, 'cursor': 'ns-resize', 'prop': isCircle ? 'radius' : 'height' },
+            ];
+        }
+
+        // Returns the resize handle of the selected node at the given position
+        // (in content coordinates), or null if there is none.
+        function getResizeHandleAt(x, y) {
+            if(!(selectedObject instanceof Node)) return null;
+            var handles = getResizeHandles(selectedObject);
+            var tolerance = Math.max(resizeHandleSize / 2, hitTargetPadding) / viewport.zoom;
+            for(var i = 0; i < handles.length; i++) {
+                if(Math.abs(x - handles[i].x) <= tolerance && Math.abs(y - handles[i].y) <= tolerance) {
+                    return handles[i];
+                }
+            }
+            return null;
+        }
+
+        // Grows the given node so that its text fits in its shape, when the
+        // autoFitRadius config property is enabled.
+        function fitNodeSize(node) {
+            if(!config.nodes.autoFitRadius) return;
+            var lines = node.text.split('\n');
+            var width = 0;
+            for(var i = 0; i < lines.length; i++) {
+                width = Math.max(width, layoutLatexText(lines[i], config.canvas.font, getTextMeasure(null)).width);
+            }
+            var height = lines.length * getFontSize(config.canvas.font);
+            var padding = 4 + (node.isAcceptState ? config.nodes.distanceToInnerCircle : 0);
+            if(node.shape === 'circle') {
+                var radius = Math.sqrt(width * width + height * height) / 2 + padding; // the text box fits in the circle
+                node.radius = Math.max(node.radius, Math.ceil(radius));
+                return;
+            }
+            // the corners of the text box touch an ellipse sqrt(2) times as large, and a diamond twice as large
+            var scale = node.shape === 'ellipse' ? Math.SQRT2 : node.shape === 'diamond' ? 2 : 1;
+            node.width = Math.max(node.width, Math.ceil(width * scale + 2 * padding));
+            node.height = Math.max(node.height, Math.ceil(height * scale + 2 * padding));
+        }
+
+        function gridSnapEnabled() {
+            return config.canvas.snapToGrid && valueIsNumber(config.canvas.gridSpacing) && config.canvas.gridSpacing > 0;
+        }
+
+        // Returns the grid point nearest to the given point if snapToGrid is
+        // enabled, or a copy of the given point otherwise.
+        function snapPoint(point) {
+            if(!gridSnapEnabled()) return { 'x': point.x, 'y': point.y };
+            var spacing = config.canvas.gridSpacing;
+            return {
+                'x': Math.round(point.x / spacing) * spacing,
+                'y': Math.round(point.y / spacing) * spacing,
+            };
+        }
+
+        function crossBrowserKey(e) {
+            e = e || window.event;
+            return e.which || e.keyCode;
+        }
+
+        function crossBrowserElementPos(e) {
+            e = e || window.event;
+            var obj = e.target || e.srcElement;
+            var x = 0, y = 0;
+            while(obj.offsetParent) {
+                x += obj.offsetLeft;
+                y += obj.offsetTop;
+                obj = obj.offsetParent;
+            }
+            return { 'x': x, 'y': y };
+        }
+
+        function crossBrowserMousePos(e) {
+            e = e || window.event;
+            return {
+                'x': e.pageX || e.clientX + document.body.scrollLeft + document.documentElement.scrollLeft,
+                'y': e.pageY || e.clientY + document.body.scrollTop + document.documentElement.scrollTop,
+            };
+        }
 
-        this.save = this.restore = this.clearRect = function(){};
-    }
+        // Returns the mouse position relative to the canvas element.
+        function crossBrowserCanvasMousePos(e) {
+            var element = crossBrowserElementPos(e);
+            var mouse = crossBrowserMousePos(e);
+            return {
+                'x': mouse.x - element.x,
+                'y': mouse.y - element.y
+            };
+        }
 
-    function drawText(c, originalText, x, y, angleOrNull, isSelected) {
-        text = convertLatexShortcuts(originalText);
-        c.font = config.canvas.font;
-        var width = c.measureText(text).width;
-
-        // center the text horizontally
-        x -= width / 2;
-
-        // position the text intelligently if given an angle
-        if(angleOrNull !== null) {
-            var cos = Math.cos(angleOrNull);
-            var sin = Math.sin(angleOrNull);
-            var cornerPointX = (width / 2 + 5) * (cos > 0 ? 1 : -1);
-            var cornerPointY = (10 + 5) * (sin > 0 ? 1 : -1);
-            var slide = sin * Math.pow(Math.abs(sin), 40) * cornerPointX - cos * Math.pow(Math.abs(cos), 10) * cornerPointY;
-            x += cornerPointX - sin * slide;
-            y += cornerPointY + cos * slide;
-        }
-
-        // draw text and caret (round the coordinates so the caret falls on a pixel)
-        if('advancedFillText' in c) {
-            c.advancedFillText(text, originalText, x + width / 2, y, angleOrNull);
-        } else {
-            x = Math.round(x);
-            y = Math.round(y);
-            c.fillText(text, x, y + config.canvas.fontTextVerticalPadding);
-            if(isSelected && caretVisible && canvasHasFocus() && document.hasFocus()) {
-                x += width;
-                c.beginPath();
-                c.moveTo(x, y - 10);
-                c.lineTo(x, y + 10);
-                c.stroke();
-            }
+        // Returns the mouse position in content coordinates (i.e. the position
+        // relative to the canvas element mapped through the viewport).
+        function crossBrowserRelativeMousePos(e) {
+            var mouse = crossBrowserCanvasMousePos(e);
+            return {
+                'x': (mouse.x - viewport.offsetX) / viewport.zoom,
+                'y': (mouse.y - viewport.offsetY) / viewport.zoom
+            };
         }
-    }
 
-    function drawArrow(c, x, y, angle) {
-        var dx = Math.cos(angle);
-        var dy = Math.sin(angle);
-        c.beginPath();
-        c.moveTo(x, y);
-        c.lineTo(x - 8 * dx + 5 * dy, y - 8 * dy - 5 * dx);
-        c.lineTo(x - 8 * dx - 5 * dy, y - 8 * dy + 5 * dx);
-        c.fill();
-    }
+        function fixed(number, digits) {
+            return number.toFixed(digits).replace(/0+$/, '').replace(/\.$/, '');
+        }
 
-    function textToXML(text) {
-        text = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-        var result = '';
-        for(var i = 0; i < text.length; i++) {
-            var c = text.charCodeAt(i);
-            if(c >= 0x20 && c <= 0x7E) {
-                result += text[i];
-            } else {
-                result += '&#' + c + ';';
-            }
+        function det(a, b, c, d, e, f, g, h, i) {
+            return a*e*i + b*f*g + c*d*h - a*f*h - b*d*i - c*e*g;
         }
-        return result;
-    }
 
-    var greekLetterNames = [ 'Alpha', 'Beta', 'Gamma', 'Delta', 'Epsilon', 'Zeta', 'Eta', 'Theta', 'Iota', 'Kappa', 'Lambda', 'Mu', 'Nu', 'Xi', 'Omicron', 'Pi', 'Rho', 'Sigma', 'Tau', 'Upsilon', 'Phi', 'Chi', 'Psi', 'Omega' ];
+        // Returns the distance within which the mouse selects a line of the given width.
+        function getHitTargetPadding(lineWidth) {
+            return hitTargetPadding + Math.max(0, lineWidth - 1) / 2;
+        }
 
-    // Transforms greek and subscript notations (in text) into actual characters.
-    // Here are some <input> -> <output> examples:
-    //     - '\\Beta' -> 'Β' and '\\beta' -> 'β' and '\\BeTa' -> '\BeTa' (left unchanged)
-    //     - '\\Pi' -> 'Π' and '\\pi' -> 'π' and '\\pI' -> '\pI' (left unchanged)
-    //     - '_0' -> '₀' thus 's_0' -> 's₀'
-    // Note that the double '\\' is to escape '\'.
-    function convertLatexShortcuts(text) {
-        var i = 0;
+        // Distance between (x, y) and the segment from p to q.
+        function distanceToSegment(x, y, p, q) {
+            var dx = q.x - p.x;
+            var dy = q.y - p.y;
+            var lengthSquared = dx*dx + dy*dy;
+            var percent = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, (dx * (x - p.x) + dy * (y - p.y)) / lengthSquared));
+            var px = p.x + percent * dx - x;
+            var py = p.y + percent * dy - y;
+            return Math.sqrt(px*px + py*py);
+        }
 
-        // Html greek characters
-        for(i = 0; i < greekLetterNames.length; i++) {
-            var name = greekLetterNames[i];
-            text = text.replace(new RegExp('\\\\' + name, 'g'), String.fromCharCode(913 + i + (i > 16)));
-            text = text.replace(new RegExp('\\\\' + name.toLowerCase(), 'g'), String.fromCharCode(945 + i + (i > 16)));
+        // Returns the point in the middle (by length) of the given polyline, along
+        // with the direction (dx, dy) of the segment it belongs to.
+        function getPolylineMiddle(points) {
+            var lengths = [];
+            var total = 0;
+            var i = 0;
+            for(i = 1; i < points.length; i++) {
+                lengths.push(Math.sqrt(Math.pow(points[i].x - points[i - 1].x, 2) + Math.pow(points[i].y - points[i - 1].y, 2)));
+                total += lengths[i - 1];
+            }
+            var remaining = total / 2;
+            for(i = 0; i < lengths.length - 1 && remaining > lengths[i]; i++) {
+                remaining -= lengths[i];
+            }
+            var percent = lengths[i] === 0 ? 0 : remaining / lengths[i];
+            var dx = points[i + 1].x - points[i].x;
+            var dy = points[i + 1].y - points[i].y;
+            return { 'x': points[i].x + percent * dx, 'y': points[i].y + percent * dy, 'dx': dx, 'dy': dy };
         }
 
-        // Subscripts
-        for(i = 0; i < 10; i++) {
-            text = text.replace(new RegExp('_' + i, 'g'), String.fromCharCode(8320 + i));
+        // Returns an orthogonal route through the given points (node centers and
+        // waypoints): each leg goes horizontally then vertically. Without waypoints
+        // the route is a Z shape which follows the main direction between both nodes.
+        function getOrthogonalRoute(points) {
+            var route = [points[0]];
+            var a = points[0], b = points[points.length - 1];
+            if(points.length === 2) {
+                if(Math.abs(b.x - a.x) >= Math.abs(b.y - a.y)) {
+                    route.push({ 'x': (a.x + b.x) / 2, 'y': a.y }, { 'x': (a.x + b.x) / 2, 'y': b.y });
+                } else {
+                    route.push({ 'x': a.x, 'y': (a.y + b.y) / 2 }, { 'x': b.x, 'y': (a.y + b.y) / 2 });
+                }
+            } else {
+                for(var i = 1; i < points.length - 1; i++) {
+                    route.push({ 'x': points[i].x, 'y': points[i - 1].y }, points[i]);
+                }
+                route.push({ 'x': b.x, 'y': points[points.length - 2].y });
+            }
+            route.push(b);
+            return route;
         }
 
-        return text;
-    }
+        function circleFromThreePoints(x1, y1, x2, y2, x3, y3) {
+            var a = det(x1, y1, 1, x2, y2, 1, x3, y3, 1);
+            var bx = -det(x1*x1 + y1*y1, y1, 1, x2*x2 + y2*y2, y2, 1, x3*x3 + y3*y3, y3, 1);
+            var by = det(x1*x1 + y1*y1, x1, 1, x2*x2 + y2*y2, x2, 1, x3*x3 + y3*y3, x3, 1);
+            var c = -det(x1*x1 + y1*y1, x1, y1, x2*x2 + y2*y2, x2, y2, x3*x3 + y3*y3, x3, y3);
+            return {
+                'x': -bx / (2*a),
+                'y': -by / (2*a),
+                'radius': Math.sqrt(bx*bx + by*by - 4*a*c) / (2*Math.abs(a))
+            };
+        }
 
-    function canvasHasFocus() {
-        return (document.activeElement || document.body) === document.body;
-    }
+        function valueIsBoolean (value) {
+            return typeof value === 'boolean';
+        }
 
-    var caretTimer = null;
-    var caretVisible = false;
+        function valueIsNumber(value) {
+            return typeof value === 'number' && isFinite(value);
+        }
 
-    function stopCaret() { clearInterval(caretTimer); caretVisible = false; }
+        function valueIsNumberInRange(value, min, max) {
+            return valueIsNumber(value) && value >= min && value <= max;
+        }
 
-    function resetCaret() {
-        stopCaret();
-        if(listenersStarted) {
-            caretVisible = true;
-            caretTimer = setInterval(
-                function() {
-                    if(!selectedObject || !canvasHasFocus()) { // then stop updating caret (and constantly draw()ing)
-                        stopCaret();
-                    } else {
-                        caretVisible = !caretVisible;
-                    }
-                    draw();
-                },
-                500
-            );
+        function valueIsStrokeWidth(value) {
+            return valueIsNumberInRange(value, 0.1, 100);
         }
-    }
 
-    var listenersStarted = false;
-
-    var canvas = null;
-    var fsmAlphabetContainer = null; // optional and must be checked each time before use
-    var nodes = [];
-    var links = [];
-
-    var snapToPadding = 6; // pixels
-    var hitTargetPadding = 6; // pixels
-    var selectedObject = null; // either a Link or a Node
-    var currentLink = null; // a Link
-    var movingObject = false;
-    var originalClick = null;
-
-    var shift = false;
-
-    window.addEventListener('load', function() {
-        initCanvas(quickTestCanvasId); // use convenient canvas element if any
-    });
-
-    function setConfigFor(type) {
-        switch(type) {
-            case 'fsm':
-                config.canvas.acceptLinks = true;
-                config.canvas.acceptSelfLinks = true;
-                config.canvas.acceptStartLinks = true;
-                config.links.arrowHeadAtSrc = false;
-                config.links.arrowHeadAtSrcOverridable = false;
-                config.links.arrowHeadAtDst = true;
-                config.links.arrowHeadAtDstOverridable = false;
-                config.nodes.canBeAcceptStates = true;
-                setFsmAlphabetVisible(true);
-                break;
-            case 'digraph':
-                config.canvas.acceptLinks = true;
-                config.canvas.acceptSelfLinks = true;
-                config.canvas.acceptStartLinks = false;
-                config.links.arrowHeadAtSrc = false;
-                config.links.arrowHeadAtSrcOverridable = true;
-                config.links.arrowHeadAtDst = true;
-                config.links.arrowHeadAtDstOverridable = false;
-                config.nodes.canBeAcceptStates = false;
-                setFsmAlphabetVisible(false);
-                break;
-            case 'undigraph':
-                config.canvas.acceptLinks = true;
-                config.canvas.acceptSelfLinks = true;
-                config.canvas.acceptStartLinks = false;
-                config.links.arrowHeadAtSrc = false;
-                config.links.arrowHeadAtSrcOverridable = false;
-                config.links.arrowHeadAtDst = false;
-                config.links.arrowHeadAtDstOverridable = false;
-                config.nodes.canBeAcceptStates = false;
-                setFsmAlphabetVisible(false);
-                break;
-            case 'array':
-                config.canvas.acceptLinks = false;
-                config.canvas.acceptSelfLinks = false;
-                config.canvas.acceptStartLinks = false;
-                config.links.arrowHeadAtSrc = false;
-                config.links.arrowHeadAtSrcOverridable = false;
-                config.links.arrowHeadAtDst = false;
-                config.links.arrowHeadAtDstOverridable = false;
-                config.nodes.canBeAcceptStates = false;
-                setFsmAlphabetVisible(false);
-                break;
+        function valueIsString(value) {
+            return typeof value === 'string' || value instanceof String;
         }
-    }
 
-    // Initializes canvas so that it is ready to interact with and returns
-    // whether initialization is a success. The canvasId parameter is required
-    // but options is not. Also note that this function calls setCanvas() and
-    // initFsmAlphabetContainer() whose documentation we recommend reading.
-    //
-    // You don't need to call this function unless your canvas has a specific id
-    // (i.e. you are not using the quick-test-canvas-id).
-    function initCanvas(canvasId, options) {
-        var optionsCanvas = options ? options.canvas : undefined;
-        var optionsFsmAlphabetContainer = options ? options.fsmAlphabetContainer : undefined;
+        function valueIsArray(value) {
+            return Array.isArray(value);
+        }
 
-        if(canvas) {
-            stopListeners();
+        function valueIsColor(value) {
+            return valueIsString(value); // don't need to check whether string describes a valid CSS color
+                                         // because invalid colors will be ignored when set in canvas
         }
 
-        var canvasOk = setCanvas(canvasId, optionsCanvas);
-        if(canvasOk) {
-            initFsmAlphabetContainer(canvasId, optionsFsmAlphabetContainer);
-            if(!restoreBackupAuto()) {
-                draw(); // we draw() only when restoreBackupAuto() didn't do so
+        function readColorProps(propNames, fromObj, toObj) {
+            for(var i=0; i<propNames.length; i++) {
+                var pn = propNames[i];
+                toObj[pn] = valueIsColor(fromObj[pn]) || fromObj[pn] === null ? fromObj[pn] : toObj[pn]; // null to inherit the color of the config
             }
-            startListeners();
         }
-        return canvasOk;
-    }
 
-    // Initializes FSM alphabet container from canvas' properties and returns
-    // whether initialization is a success. Note that canvas must be visible
-    // and alphabet container (if any) is assumed to be an Html
-    // <input type="text"> element.
-    function initFsmAlphabetContainer(canvasId, options) {
-        if(!canvas) return false;
+        // Reads the arrow-head styles supported by the given link.
+        function readArrowStyleProps(fromObj, toObj) {
+            var propNames = ['nodeAArrowStyle', 'nodeBArrowStyle', 'nodeArrowStyle'];
+            for(var i=0; i<propNames.length; i++) {
+                var pn = propNames[i];
+                if(pn in toObj && arrowHeadStyles.indexOf(fromObj[pn]) !== -1) {
+                    toObj[pn] = fromObj[pn];
+                }
+            }
+        }
 
-        var inputTextId = canvasId + '_fsm_alphabet';
-        var inputTextElt = document.getElementById(inputTextId);
-        fsmAlphabetContainer = inputTextElt;
-        if(!fsmAlphabetContainer) {
-            if('showCanvas' in options) { // make sure canvas is shown if expected
-                options.showCanvas();
+        // Makes the given color properties of the given element inherit the
+        // colors of the config (see getColor()).
+        function setInheritedColorProps(propNames, toObj) {
+            for(var i=0; i<propNames.length; i++) {
+                toObj[propNames[i]] = null;
             }
-            return false;
         }
 
-        var height = 20;
-        if(options) {
-            if('height' in options) height = options.height;
+        // Returns the color displayed for the given color property of the given
+        // element, i.e. its own color or the one it inherits from the config
+        // when it is null (so that it follows the theme, see setTheme()).
+        function getColor(elt, propName) {
+            if(elt[propName] !== null) return elt[propName];
+            return elt instanceof Node ? config.nodes[propName] : config.links[propName];
         }
-        fsmAlphabetContainer.placeholder = "FSM alphabet: comma-separated string";
-        fsmAlphabetContainer.style.position = 'absolute';
-        tieFsmAlphabetContainerToCanvas(options);
-        fsmAlphabetContainer.style.width = (canvas.width * 0.75) + 'px';
-        fsmAlphabetContainer.style.height = height + 'px';
-        if(options && options.showAlphabet) { // make sure alphabet container is shown if expected
-            options.showAlphabet(inputTextId);
+
+        // Returns one node from a VALID array of VALID nodes, given its id or
+        // its index (the index being used when no node has the given id). So
+        // only the given id and index are checked.
+        function getNodeElt(nodes, eltIndex, eltId) {
+            if(valueIsString(eltId)) {
+                for(var i = 0; i < nodes.length; i++) {
+                    if(nodes[i] && nodes[i].id === eltId) {
+                        return nodes[i];
+                    }
+                }
+            }
+            if(valueIsNumberInRange(eltIndex, 0, nodes.length-1) && nodes[eltIndex]) {
+                return nodes[eltIndex];
+            }
+            throw "No node at index " + eltIndex; // we throw an exception to easier code logic
         }
-        return true;
-    }
 
-    function tieFsmAlphabetContainerToCanvas(options) {
-        if(!canvas || !fsmAlphabetContainer) return;
+        var lastIdNumber = 0; // ids are generated using an increasing number
+
+        // Returns an id that no node or link of the canvas has. The prefix is
+        // 'n' for nodes and 'l' for links.
+        function generateId(prefix) {
+            var id = '';
+            do {
+                id = prefix + (++lastIdNumber);
+            } while(getElementById(id) !== null);
+            return id;
+        }
 
-        var spacingTop = 10;
-        var spacingLeft = 10;
-        if(options) {
-            if('spacingTop' in options) spacingTop = options.spacingTop;
-            if('spacingLeft' in options) spacingLeft = options.spacingLeft;
-            if('showCanvas' in options) { // make sure canvas is visible: see getBoundingClientRect()
-                options.showCanvas();
+        // Reads the id of an element from a JSON object. Note that ids are not
+        // checked for uniqueness here (see ensureUniqueIds()).
+        function readId(fromObj, toElt) {
+            if(valueIsString(fromObj.id) && fromObj.id !== '') {
+                toElt.id = String(fromObj.id);
+                var matches = toElt.id.match(/^[nl](\d+)$/);
+                if(matches !== null) { // make sure generated ids will not be the same
+                    lastIdNumber = Math.max(lastIdNumber, parseInt(matches[1], 10));
+                }
             }
         }
-        var canvasRect = canvas.getBoundingClientRect(); // computation will be wrong if canvas is invisible
-        var canvasRectTop = canvasRect.top + window.scrollY; // in case page is scrolled
-        var canvasRectLeft = canvasRect.left + window.scrollX; // in case page is scrolled
-        fsmAlphabetContainer.style.top =  (canvasRectTop + spacingTop) + 'px';
-        fsmAlphabetContainer.style.left = (canvasRectLeft + spacingLeft) + 'px';
-    }
-    function getFsmAlphabetStr() { return fsmAlphabetContainer ? fsmAlphabetContainer.value : ''; }
-    function setFsmAlphabetStr(str) { // no need to check if parameter is a string
-        if(fsmAlphabetContainer) {
-            fsmAlphabetContainer.value = str;
-            fsmAlphabetContainer.dispatchEvent(new CustomEvent('input')); // otherwise input-event callback won't be called
+
+        // Gives a new id to each of the given elements whose id is already used
+        // by another element (in the canvas or before it in the array).
+        function ensureUniqueIds(elements) {
+            var usedIds = {};
+            var i = 0;
+            var all = nodes.concat(links);
+            for(i = 0; i < all.length; i++) {
+                if(elements.indexOf(all[i]) === -1) {
+                    usedIds[all[i].id] = true;
+                }
+            }
+            for(i = 0; i < elements.length; i++) {
+                var elt = elements[i];
+                if(usedIds.hasOwnProperty(elt.id)) {
+                    elt.id = generateId(elt instanceof Node ? 'n' : 'l');
+                    while(usedIds.hasOwnProperty(elt.id)) { // generateId() only checks the canvas
+                        elt.id = generateId(elt instanceof Node ? 'n' : 'l');
+                    }
+                }
+                usedIds[elt.id] = true;
+            }
         }
-    }
-    function setFsmAlphabetVisible(visible) {
-        if(fsmAlphabetContainer) {
-            fsmAlphabetContainer.style.display = visible ? 'block': 'none';
+
+        // Returns the node or link having the given id, or null.
+        function getElementById(id) {
+            var i = 0;
+            for(i = 0; i < nodes.length; i++) {
+                if(nodes[i].id === id) return nodes[i];
+            }
+            for(i = 0; i < links.length; i++) {
+                if(links[i].id === id) return links[i];
+            }
+            return null;
         }
-    }
 
-    // Sets canvas and possibly resizes it. See setCanvasSize().
-    function setCanvas(id, options) {
-        canvas = document.getElementById(id);
-        setCanvasSize(options);
-        return canvas !== null;
-    }
+        var jsonFormatVersion = 3; // version of the JSON format exported by fetchJsonObject()
+                                   // documents without version are of version 1
 
-    // Sets canvas size in case the options object has the expected properties.
-    function setCanvasSize(options) {
-        if(canvas && options && 'width' in options && 'height' in options) {
-            var canvasWidth = options.width; // new width
-            var canvasHeight = options.height; // new height
-            if(options.fitSizeToScreen === true) {
-                var screenObj = window.screen;
-                if(screenObj) {
-                    if('availWidth' in screenObj) {
-                        var screenWidth = screenObj.availWidth;
-                        var screenWidthFactor = options.fitSizeToScreenWidthFactor;
-                        if(!valueIsNumberInRange(screenWidthFactor, 0, 1)) {
-                            screenWidthFactor = 0.75;
-                        }
-                        if(canvasWidth >= screenWidth) {
-                            canvasWidth = screenWidthFactor * screenWidth;
-                        }
+        // Migration functions for older JSON documents: the function at index i
+        // converts a document from version i+1 to version i+2 and is allowed to
+        // modify the given (copied) document. Values that don't keep their
+        // meaning are reported in the adjusted array of the given report.
+        var jsonMigrations = [
+            function(obj) { // version 2 introduced ids: nodes are given ids and links reference them
+                var i = 0;
+                var objNodes = valueIsArray(obj.nodes) ? obj.nodes : [];
+                var objLinks = valueIsArray(obj.links) ? obj.links : [];
+                function idOfNodeAt(index) {
+                    var objNode = valueIsNumber(index) ? objNodes[index] : undefined;
+                    return objNode && valueIsString(objNode.id) ? objNode.id : undefined;
+                }
+                for(i = 0; i < objNodes.length; i++) {
+                    if(objNodes[i] && typeof objNodes[i] === 'object' && !valueIsString(objNodes[i].id)) {
+                        objNodes[i].id = 'n' + (i + 1);
                     }
-
-                    if('availHeight' in screenObj) {
-                        var screenHeight = screenObj.availHeight;
-                        var screenHeightFactor = options.fitSizeToScreenHeightFactor;
-                        if(!valueIsNumberInRange(screenHeightFactor, 0, 1)) {
-                            screenHeightFactor = 0.75;
-                        }
-                        if(canvasHeight >= screenHeight) {
-                            canvasHeight = screenHeightFactor * screenHeight;
+                }
+                for(i = 0; i < objLinks.length; i++) {
+                    var objLink = objLinks[i];
+                    if(!objLink || typeof objLink !== 'object') continue;
+                    if(!valueIsString(objLink.id)) objLink.id = 'l' + (i + 1);
+                    if(objLink.type === 'Link') {
+                        objLink.nodeAId = idOfNodeAt(objLink.nodeAIndex);
+                        objLink.nodeBId = idOfNodeAt(objLink.nodeBIndex);
+                    } else {
+                        objLink.nodeId = idOfNodeAt(objLink.nodeIndex);
+                    }
+                }
+            },
+            function(obj, report) { // version 3 introduced inherited colors: colors of the default (light) theme become inherited
+                var sections = { 'nodes': obj.nodes, 'links': obj.links };
+                for(var section in sections) {
+                    var elts = valueIsArray(sections[section]) ? sections[section] : [];
+                    var props = themeColorProps[section];
+                    for(var i = 0; i < elts.length; i++) {
+                        for(var j = 0; elts[i] && typeof elts[i] === 'object' && j < props.length; j++) {
+                            if(elts[i][props[j]] === themes.light[section][props[j]]) {
+                                delete elts[i][props[j]];
+                                report.adjusted.push({
+                                    'path': section + '[' + i + '].' + props[j],
+                                    'reason': 'Color of the default theme, replaced by null so that it follows the theme (see setTheme()).',
+                                });
+                            }
                         }
                     }
                 }
+            },
+        ];
+
+        function fetchJsonObject() {
+            var obj = {
+                'formatVersion': jsonFormatVersion,
+                'fsmAlphabet': getFsmAlphabetStr(),
+                'nodes': [],
+                'links': [],
+            };
+            var i = 0;
+            for(i = 0; i < nodes.length; i++) {
+                obj.nodes.push(nodes[i].toJson());
+            }
+            for(i = 0; i < links.length; i++) {
+                obj.links.push(links[i].toJson(nodes));
             }
-            canvas.width = canvasWidth;
-            canvas.height = canvasHeight;
+            return obj;
         }
-    }
 
-    // Moves nodes into canvas visible area but doesn't draw(). You might need
-    // to call this function to make sure nodes are visible (in case canvas is
-    // resized to fit the user's screen).
-    function moveNodesIntoCanvasVisibleArea() {
-        // We assume that canvas is large and long enough for nodes to be fully
-        // visible after they are repositioned.
-        for(var i = 0; i < nodes.length; i++) {
-            var node = nodes[i];
-            if(node.x < node.radius) node.x = node.radius;
-            if(node.x > canvas.width - node.radius) node.x = canvas.width - node.radius;
-            if(node.y < node.radius) node.y = node.radius;
-            if(node.y > canvas.height - node.radius) node.y = canvas.height - node.radius;
+        function fetchJsonString(space) { // space is optional
+            return JSON ? JSON.stringify(fetchJsonObject(), null, space) : '';
         }
-    }
 
-    function draw() {
-        drawUsing(canvas.getContext('2d'));
-        saveBackupAuto();
-    }
+        // Returns the data URL of a PNG image of canvas content, or null in
+        // headless mode. The optional scale parameter is the number of image
+        // pixels per CSS pixel (see config.canvas.pngExportScale).
+        function fetchPngDataString(scale) {
+            if(!canvas) return null;
+            var exportScale = config.canvas.pngExportScale;
+            if(valueIsNumber(scale) && scale > 0) exportScale = scale;
+            else if(!valueIsNumber(exportScale) || exportScale <= 0) exportScale = pixelRatio;
+
+            var exportCanvas = document.createElement('canvas'); // so that the canvas itself is left untouched
+            exportCanvas.width = Math.round(canvasSize.width * exportScale);
+            exportCanvas.height = Math.round(canvasSize.height * exportScale);
+            drawUsing(exportCanvas.getContext('2d'), true, exportScale);
+            return exportCanvas.toDataURL('image/png');
+        }
 
-    function drawUsing(c) {
-        c.clearRect(0, 0, canvas.width, canvas.height);
-        c.save();
-        c.translate(0.5, 0.5);
+        function fetchSvgString() {
+            var exporter = new ExportAsSVG();
+            drawUsing(exporter, true);
+            return exporter.toSVG();
+        }
 
-        c.lineWidth = 1;
-        var i = 0;
-        for(i = 0; i < nodes.length; i++) {
-            nodes[i].draw(c, nodes[i] === selectedObject);
+        function fetchLatexString() {
+            var exporter = new ExportAsLaTeX();
+            drawUsing(exporter, true);
+            return exporter.toLaTeX();
         }
-        for(i = 0; i < links.length; i++) {
-            links[i].draw(c, links[i] === selectedObject);
+
+        // Clears but doesn't draw(). This edit can be undone.
+        function clear() {
+            recordHistory();
+            resetContent();
+            emitEvent('contentCleared', {});
         }
-        if(currentLink !== null) {
-            currentLink.draw(c, currentLink === selectedObject);
+
+        function resetContent() {
+            setFsmAlphabetStr('');
+            nodes = [];
+            links = [];
+            setSelectedObject(null);
         }
 
-        c.restore();
-    }
+        // Returns an empty report, filled when a JSON object is parsed (see
+        // parseJsonObject()).
+        function getEmptyJsonReport() {
+            return {
+                'success': true,      // tells whether the document has been loaded
+                'formatVersion': 1,   // version of the document before migration
+                'migrated': false,    // tells whether the document has been migrated to the current version
+                'dropped': [],        // array of { 'path': ..., 'reason': ... } objects describing the items that are ignored
+                                      //     - path example: 'links[2]' (empty for the document itself)
+                'adjusted': [],       // same here for the properties whose values are ignored or replaced
+                                      //     - path example: 'nodes[0].radius'
+            };
+        }
 
-    // Starts listening to mouse/key events.
-    function startListeners() {
-        canvas.ondblclick = onCanvasDblclick; // see (1) below
-        canvas.onmousedown = onCanvasMousedown; // see (1) below
-        canvas.onmousemove = onCanvasMousemove; // see (1) below
-        canvas.onmouseup = onCanvasMouseup; // see (1) below
+        // Loads object and draw(), then returns a report (see
+        // getEmptyJsonReport()) describing what was dropped or adjusted. The
+        // optional options object might have the following properties.
+        //     - strict: tells whether nothing must be loaded in case anything
+        //               would be dropped or adjusted. Defaults to false.
+        // This edit can be undone.
+        function loadJsonObject(obj, options) {
+            var strict = options ? options.strict === true : false;
+            var report = getEmptyJsonReport();
+            var savedLastIdNumber = lastIdNumber;
+            var parsed = parseJsonObject(obj, report);
+            if(parsed === null || (strict && (report.dropped.length !== 0 || report.adjusted.length !== 0))) {
+                lastIdNumber = savedLastIdNumber; // nothing is loaded, so ids are generated as if nothing had been parsed
+                report.success = false;
+                return report;
+            }
 
-        if(fsmAlphabetContainer) {
-            fsmAlphabetContainer.oninput = onFsmAlphabetContainerUpdated;
+            recordHistory();
+            installJsonContent(parsed);
+            emitEvent('contentLoaded', { 'reason': 'load' });
+            return report;
         }
 
-        document.addEventListener('keydown', onDocumentKeydown);
-        document.addEventListener('keyup', onDocumentKeyup);
-        document.addEventListener('keypress', onDocumentKeypress);
-
-        listenersStarted = true;
+        // Same as loadJsonObject() but nothing is loaded: only the report is
+        // returned (its success property tells whether the document could be
+        // loaded in strict mode).
+        function validateJsonObject(obj) {
+            var report = getEmptyJsonReport();
+            var savedLastIdNumber = lastIdNumber;
+            var parsed = parseJsonObject(obj, report);
+            lastIdNumber = savedLastIdNumber; // parsing reads and generates ids, which must not affect those generated later
+            report.success = parsed !== null && report.dropped.length === 0 && report.adjusted.length === 0;
+            return report;
+        }
 
-        // (1) We didn't use addEventListener() because in Google Chrome 79.0.*
-        //     canvas events are also propagated to surrounding text elements.
-        //     As a result one can select text in page by double-clicking in
-        //     canvas for instance.
-    }
+        // Loads object without recording history, and draw().
+        function loadJsonObjectContent(obj) {
+            var parsed = parseJsonObject(obj, getEmptyJsonReport());
+            installJsonContent(parsed || { 'fsmAlphabet': '', 'nodes': [], 'links': [] });
+        }
 
-    // Stops listening to mouse/key events, resets related variables and draw().
-    function stopListeners() {
-        canvas.ondblclick = null;
-        canvas.onmousedown = null;
-        canvas.onmousemove = null;
-        canvas.onmouseup = null;
+        function installJsonContent(parsed) {
+            resetContent();
+            setFsmAlphabetStr(parsed.fsmAlphabet);
+            nodes = parsed.nodes;
+            links = parsed.links;
+            ensureUniqueIds(nodes.concat(links)); // duplicates have already been reported
+            draw();
+        }
 
-        if(fsmAlphabetContainer) {
-            var savedVal = fsmAlphabetContainer.value;
-            fsmAlphabetContainer.oninput = function(e) { this.value = savedVal; };
+        // Returns the migrated version of the given object, which is copied
+        // when it is migrated. See jsonMigrations.
+        function migrateJsonObject(obj, report) {
+            var version = obj.formatVersion === undefined ? 1 : obj.formatVersion;
+            if(!valueIsNumber(version) || version < 1 || Math.floor(version) !== version) {
+                report.adjusted.push({ 'path': 'formatVersion', 'reason': 'Invalid version, version 1 is assumed.' });
+                version = 1;
+            }
+            report.formatVersion = version;
+
+            if(version > jsonFormatVersion) {
+                report.adjusted.push({
+                    'path': 'formatVersion',
+                    'reason': 'Version {0} is not supported (latest is {1}): unknown properties are ignored.'.format(version, jsonFormatVersion),
+                });
+            } else if(version < jsonFormatVersion) {
+                obj = JSON.parse(JSON.stringify(obj));
+                for(var v = version; v < jsonFormatVersion; v++) {
+                    jsonMigrations[v - 1](obj, report);
+                }
+                obj.formatVersion = jsonFormatVersion;
+                report.migrated = true;
+            }
+            return obj;
         }
 
-        document.removeEventListener('keydown', onDocumentKeydown);
-        document.removeEventListener('keyup', onDocumentKeyup);
-        document.removeEventListener('keypress', onDocumentKeypress);
+        // Parses the given JSON object (i.e. builds nodes and links from it)
+        // without modifying canvas content, and fills the given report. Returns
+        // null if the object is not a JSON document at all, otherwise an object
+        // with the following properties: fsmAlphabet, nodes and links.
+        function parseJsonObject(obj, report) {
+            if(obj === null || typeof obj !== 'object' || valueIsArray(obj)) {
+                report.dropped.push({ 'path': '', 'reason': 'The document is not a JSON object.' });
+                return null;
+            }
+            obj = migrateJsonObject(obj, report);
 
-        selectedObject = null;
-        movingObject = false;
-        originalClick = null;
-        currentLink = null;
-        shift = false;
-        listenersStarted = false;
-        stopCaret();
+            var parsed = { 'fsmAlphabet': '', 'nodes': [], 'links': [] };
+            if(valueIsString(obj.fsmAlphabet)) {
+                parsed.fsmAlphabet = obj.fsmAlphabet;
+            } else if(obj.fsmAlphabet !== undefined) {
+                report.adjusted.push({ 'path': 'fsmAlphabet', 'reason': 'Expected a string, an empty alphabet is used instead.' });
+            }
 
-        draw();
-    }
+            var objNodes = readJsonArray(obj, 'nodes', report);
+            var objLinks = readJsonArray(obj, 'links', report);
+            var nodesByIndex = []; // null entries are kept for dropped nodes so that link indexes remain valid
+            var linkPaths = []; // paths of the parsed links
+            var usedIds = {};
+            var i = 0;
+            var path = '';
 
-    function onCanvasDblclick(e) {
-        var mouse = crossBrowserRelativeMousePos(e);
-        selectedObject = selectObject(mouse.x, mouse.y);
+            for(i = 0; i < objNodes.length; i++) {
+                path = 'nodes[' + i + ']';
+                var node = objNodes[i] && typeof objNodes[i] === 'object' ? Node.fromJson(objNodes[i]) : null;
+                if(node === null) {
+                    report.dropped.push({ 'path': path, 'reason': 'Expected a node object.' });
+                } else {
+                    reportAdjustedJsonProps(objNodes[i], node.toJson(), path, report);
+                    reportDuplicateId(node, usedIds, path, report);
+                    parsed.nodes.push(node);
+                }
+                nodesByIndex.push(node);
+            }
 
-        if(selectedObject === null) {
-            selectedObject = new Node(mouse.x, mouse.y);
-            nodes.push(selectedObject);
-            resetCaret();
-            draw();
-        } else {
-            if(selectedObject instanceof Node) {
-                if(config.nodes.canBeAcceptStates) {
-                    selectedObject.isAcceptState = !selectedObject.isAcceptState;
-                    draw();
+            for(i = 0; i < objLinks.length; i++) {
+                path = 'links[' + i + ']';
+                var objLink = objLinks[i];
+                var link = null;
+                var reason = '';
+                if(!objLink || typeof objLink !== 'object') {
+                    reason = 'Expected a link object.';
+                } else if(['Link', 'SelfLink', 'StartLink'].indexOf(objLink.type) === -1) {
+                    reason = "Unknown link type '{0}'.".format(objLink.type);
+                } else {
+                    link = linkFromJson(objLink, nodesByIndex);
+                    if(link === null) {
+                        reason = describeInvalidJsonLink(objLink, nodesByIndex);
+                    } else if(!link.prepareInsertionToCanvas()) {
+                        reason = (link instanceof StartLink && link.node.isInitialState) ?
+                                 'The node is already initial.' :
+                                 "Links of type '{0}' are not accepted (see config.canvas).".format(objLink.type);
+                        link = null;
+                    }
                 }
-            } else if(selectedObject instanceof Link) {
-                if(config.links.arrowHeadAtSrcOverridable) { // allow the user to quickly set arrow-head at source node
-                    selectedObject.nodeAHasArrow = !selectedObject.nodeAHasArrow;
-                    draw();
+
+                if(link === null) {
+                    report.dropped.push({ 'path': path, 'reason': reason });
+                } else {
+                    reportAdjustedJsonProps(objLink, link.toJson(nodesByIndex), path, report);
+                    reportDuplicateId(link, usedIds, path, report);
+                    parsed.links.push(link);
+                    linkPaths.push(path);
                 }
             }
-        }
-    }
 
-    function onCanvasMousedown(e) {
-        var mouse = crossBrowserRelativeMousePos(e);
-        selectedObject = selectObject(mouse.x, mouse.y);
-        movingObject = false;
-        originalClick = mouse;
+            if(report.formatVersion === 1) { // documents of version 2 and later keep their links as saved, so straightened links stay straight
+                var separatedLinks = separateParallelLinks(parsed.links, parsed.links);
+                for(i = 0; i < separatedLinks.length; i++) {
+                    report.adjusted.push({
+                        'path': linkPaths[parsed.links.indexOf(separatedLinks[i])] + '.perpendicularPart',
+                        'reason': 'The link is curved apart from the parallel links.',
+                    });
+                }
+            }
 
-        if(shift && fsmAlphabetContainer) {
-            fsmAlphabetContainer.blur(); // remove focus
+            return parsed;
         }
 
-        if(selectedObject !== null) {
-            if(shift && selectedObject instanceof Node) {
-                currentLink = new SelfLink(selectedObject, mouse);
-            } else {
-                movingObject = true;
-                if(selectedObject.setMouseStart) {
-                    selectedObject.setMouseStart(mouse.x, mouse.y);
+        function readJsonArray(obj, propName, report) {
+            if(valueIsArray(obj[propName])) return obj[propName];
+            if(obj[propName] !== undefined) {
+                report.dropped.push({ 'path': propName, 'reason': 'Expected an array.' });
+            }
+            return [];
+        }
+
+        // Reports the properties of the JSON object (input) whose values differ
+        // from the ones of the element built from it (output).
+        function reportAdjustedJsonProps(input, output, path, report) {
+            for(var prop in input) {
+                if(!input.hasOwnProperty(prop) || prop.indexOf('readonly.') === 0) continue;
+                if(!output.hasOwnProperty(prop)) {
+                    report.adjusted.push({ 'path': path + '.' + prop, 'reason': 'Unknown property, ignored.' });
+                } else if(JSON.stringify(input[prop]) !== JSON.stringify(output[prop])) {
+                    report.adjusted.push({
+                        'path': path + '.' + prop,
+                        'reason': 'Invalid value or value not allowed by config, replaced by {0}.'.format(JSON.stringify(output[prop])),
+                    });
                 }
             }
-            resetCaret();
-        } else if(shift) {
-            currentLink = new TemporaryLink(mouse, mouse);
         }
 
-        draw();
+        function reportDuplicateId(elt, usedIds, path, report) {
+            if(usedIds.hasOwnProperty(elt.id)) {
+                report.adjusted.push({ 'path': path + '.id', 'reason': 'Duplicate id, replaced by a new one.' });
+            }
+            usedIds[elt.id] = true;
+        }
 
-        if(canvasHasFocus()) {
-            // disable drag-and-drop only if the canvas is already focused
-            return false;
-        } else {
-            // otherwise, let the browser switch the focus away from wherever it was
-            resetCaret();
-            return true;
+        function describeInvalidJsonLink(objLink, nodesByIndex) {
+            var refs = objLink.type === 'Link' ? [['nodeAIndex', 'nodeAId'], ['nodeBIndex', 'nodeBId']] : [['nodeIndex', 'nodeId']];
+            for(var i = 0; i < refs.length; i++) {
+                try {
+                    getNodeElt(nodesByIndex, objLink[refs[i][0]], objLink[refs[i][1]]);
+                } catch(e) {
+                    return "Unknown node (see '{0}' and '{1}').".format(refs[i][0], refs[i][1]);
+                }
+            }
+            return "A link of type 'Link' can't join a node to itself (use 'SelfLink' instead).";
         }
-    }
 
-    function onCanvasMousemove(e) {
-        var mouse = crossBrowserRelativeMousePos(e);
+        // Returns an instance of Link, SelfLink or StartLink depending on the
+        // type of the given object, or null.
+        function linkFromJson(objLink, nodes) {
+            if(objLink.type === 'Link') {
+                return Link.fromJson(objLink, nodes);
+            } else if(objLink.type === 'SelfLink') {
+                return SelfLink.fromJson(objLink, nodes);
+            } else if(objLink.type === 'StartLink') {
+                return StartLink.fromJson(objLink, nodes);
+            }
+            return null;
+        }
 
-        if(currentLink !== null) {
-            var targetNode = selectObject(mouse.x, mouse.y);
-            if(!(targetNode instanceof Node)) {
-                targetNode = null;
+        // Parses the given string and loads it (see loadJsonObject() for the
+        // options parameter). Callbacks are optional: jsonFailedToParseCallback
+        // receives the parsing error and jsonLoadedCallback receives the report
+        // returned by loadJsonObject() (see its success property in strict mode).
+        function loadJsonString(str, jsonFailedToParseCallback, jsonLoadedCallback, options) {
+            if(JSON) {
+                var obj = null;
+                try {
+                    obj = JSON.parse(str);
+                } catch(e) {
+                    if(jsonFailedToParseCallback) {
+                        jsonFailedToParseCallback(e);
+                    }
+                    return;
+                }
+                var report = loadJsonObject(obj, options);
+                if(jsonLoadedCallback) {
+                    jsonLoadedCallback(report);
+                }
             }
+        }
 
-            if(selectedObject === null) {
-                if(targetNode !== null) {
-                    currentLink = new StartLink(targetNode, originalClick);
-                } else {
-                    currentLink = new TemporaryLink(originalClick, mouse);
+        var clipboard = {
+            'str': null, // the last copied fragment (used when the system clipboard is not available)
+            'pasteCount': 0, // number of times the last pasted fragment has been pasted, used to offset pasted items
+            'lastPastedStr': null,
+        };
+        var pasteOffset = 20; // pixels
+
+        // Returns the selected nodes, plus the links among them, in the same
+        // JSON format as fetchJsonObject() (except that there is no alphabet).
+        // Selected links whose nodes are not all selected are ignored.
+        function fetchSelectionJsonObject() {
+            var obj = {
+                'formatVersion': jsonFormatVersion,
+                'nodes': [],
+                'links': [],
+            };
+            var fragmentNodes = [];
+            var i = 0;
+            for(i = 0; i < nodes.length; i++) { // nodes are walked in canvas order so that they keep their relative order
+                if(selectedObjects.indexOf(nodes[i]) !== -1) {
+                    fragmentNodes.push(nodes[i]);
+                    obj.nodes.push(nodes[i].toJson());
                 }
-            } else {
-                if(targetNode === selectedObject) {
-                    currentLink = new SelfLink(selectedObject, mouse);
-                } else if(targetNode !== null) {
-                    currentLink = new Link(selectedObject, targetNode);
-                } else {
-                    currentLink = new TemporaryLink(selectedObject.closestPointOnCircle(mouse.x, mouse.y), mouse);
+            }
+            for(i = 0; i < links.length; i++) {
+                var linkNodes = getLinkNodes(links[i]);
+                if(fragmentNodes.indexOf(linkNodes[0]) !== -1 && fragmentNodes.indexOf(linkNodes[1]) !== -1) {
+                    obj.links.push(links[i].toJson(fragmentNodes)); // indexes are relative to the fragment
                 }
             }
-            draw();
+            return obj;
         }
 
-        if(movingObject) {
-            selectedObject.setAnchorPoint(mouse.x, mouse.y);
-            if(selectedObject instanceof Node) {
-                snapNode(selectedObject);
+        // Copies the selection (see fetchSelectionJsonObject()) and returns it
+        // as a JSON string, or null when no node is selected.
+        function copySelection() {
+            var obj = fetchSelectionJsonObject();
+            if(obj.nodes.length === 0) return null;
+            clipboard.str = JSON.stringify(obj);
+            return clipboard.str;
+        }
+
+        // Same as copySelection() but also removes the selection from canvas.
+        // This edit can be undone.
+        function cutSelection() {
+            var str = copySelection();
+            if(str !== null) {
+                recordHistory();
+                var removed = removeFromCanvas(selectedObjects);
+                draw();
+                emitRemovalEvents(removed);
+            }
+            return str;
+        }
+
+        // Pastes a fragment, i.e. a JSON string or object as returned by
+        // copySelection() or fetchJsonObject(), and draw()s. When the fragment
+        // is not given, the last copied one is used. Pasted items are offset
+        // (more and more when the same fragment is pasted several times), then
+        // selected and returned (an empty array is returned in case nothing
+        // could be pasted). This edit can be undone.
+        function paste(fragment) {
+            if(fragment === undefined) fragment = clipboard.str;
+            var obj = null;
+            try {
+                obj = valueIsString(fragment) ? JSON.parse(fragment) : fragment;
+            } catch(e) {}
+            var parsed = obj ? parseJsonObject(obj, getEmptyJsonReport()) : null;
+            if(parsed === null || parsed.nodes.length === 0) return [];
+
+            var fragmentStr = JSON.stringify(obj);
+            clipboard.pasteCount = fragmentStr === clipboard.lastPastedStr ? clipboard.pasteCount + 1 : 1;
+            clipboard.lastPastedStr = fragmentStr;
+            var offset = pasteOffset * clipboard.pasteCount;
+
+            recordHistory();
+            var pastedNodes = parsed.nodes;
+            var pastedLinks = parsed.links;
+            var i = 0;
+            for(i = 0; i < pastedNodes.length; i++) {
+                pastedNodes[i].x += offset;
+                pastedNodes[i].y += offset;
             }
+            translateWaypoints(pastedLinks, pastedNodes, offset, offset);
+            separateParallelLinks(pastedLinks, pastedLinks);
+            var pasted = pastedNodes.concat(pastedLinks);
+            nodes.push.apply(nodes, pastedNodes);
+            links.push.apply(links, pastedLinks);
+            ensureUniqueIds(pasted); // ids were kept until links were read
+
+            updateSelection(pasted);
             draw();
+            for(i = 0; i < pastedNodes.length; i++) {
+                emitEvent('nodeAdded', { 'node': pastedNodes[i] });
+            }
+            for(i = 0; i < pastedLinks.length; i++) {
+                emitEvent('linkAdded', { 'link': pastedLinks[i] });
+                if(pastedLinks[i] instanceof StartLink) {
+                    emitEvent('initialStateToggled', { 'node': pastedLinks[i].node, 'isInitialState': true });
+                }
+            }
+            return pasted;
+        }
+
+        // Returns all possible types of canvas elements. This function must only be
+        // used from the outside of this script. There are several use cases; here
+        // are two of them:
+        //     - you can use this function along with getContent().
+        //     - you can override export functions (like Node.prototype.toJson) to
+        //       make output less verbose. Note that depending on the function being
+        //       overridden you might also need to copy several helper functions
+        //       from this script.
+        function getTypes() {
+            return {
+                'Node': Node,
+                'Link': Link,
+                'SelfLink': SelfLink,
+                'StartLink': StartLink,
+            };
         }
-    }
 
-    function onCanvasMouseup(e) {
-        var mouse = crossBrowserRelativeMousePos(e);
-        movingObject = false;
+        // Returns the content of the canvas element. This function must only be
+        // used from the outside of this script. It might be used to synchronize
+        // with external models. Note that for performance reasons we return the
+        // actual objects used internally in this script. So make sure you don't
+        // mess up with them (like adding links while you have configured this
+        // controller not to accept links): to update canvas content from source
+        // code, use the editing functions below (addNode(), addLink(), ...).
+        function getContent() {
+            return {
+                'fsmAlphabetStr': getFsmAlphabetStr(),
+                'nodes': nodes,
+                'links': links, // you can use the instanceof operator to check link family
+                                // see getTypes()
+            };
+        }
 
-        if(currentLink !== null) {
-            if(currentLink.prepareInsertionToCanvas()) {
-                selectedObject = currentLink;
-                links.push(currentLink);
-                resetCaret();
+        // The editing functions below validate their parameters against the
+        // active config the same way JSON content is validated when imported:
+        // props objects use the JSON format of the related element (see
+        // Node.prototype.toJson() for instance), invalid props are ignored or
+        // adjusted and elements rejected by the config are not added (null is
+        // returned instead). Each successful edit can be undone, draw()s once
+        // and emits the related events (see on()).
+
+        function copyProps(fromObj, toObj) {
+            for(var prop in fromObj) {
+                if(fromObj.hasOwnProperty(prop)) {
+                    toObj[prop] = fromObj[prop];
+                }
             }
-            currentLink = null;
-            draw();
+            return toObj;
         }
-        else if(!selectedObject && originalClick) {
-            var dx = mouse.x - originalClick.x;
-            var dy = mouse.y - originalClick.y;
-            for(var i = 0; i < nodes.length; i++) {
-                nodes[i].x += dx;
-                nodes[i].y += dy;
+
+        // Adds a node and returns it, or null if props is not an object. Besides
+        // the JSON props of a node, props may contain 'isInitialState' (see
+        // setInitial()). As for all added elements, an id already in the
+        // canvas is replaced by a new one.
+        function addNode(props) {
+            props = props || {};
+            var node = typeof props === 'object' ? Node.fromJson(props) : null;
+            if(node === null) return null;
+            recordHistory();
+            ensureUniqueIds([node]);
+            fitNodeSize(node);
+            nodes.push(node);
+            var startLink = props.isInitialState === true ? insertStartLink(node, {}) : null;
+            draw();
+            emitEvent('nodeAdded', { 'node': node });
+            if(startLink) {
+                emitEvent('linkAdded', { 'link': startLink });
+                emitEvent('initialStateToggled', { 'node': node, 'isInitialState': true });
             }
+            return node;
+        }
+
+        // Adds a link from node a to node b (an instance of SelfLink if both
+        // nodes are the same) and returns it.
+        function addLink(a, b, props) {
+            if(a === b) return addSelfLink(a, props);
+            if(nodes.indexOf(a) === -1 || nodes.indexOf(b) === -1) return null;
+            var link = Link.fromJson(copyProps(props || {}, { 'type': 'Link', 'nodeAIndex': 0, 'nodeBIndex': 1 }), [a, b]);
+            return insertLink(link);
+        }
+
+        // Adds a link from the given node to itself and returns it.
+        function addSelfLink(node, props) {
+            if(nodes.indexOf(node) === -1) return null;
+            var link = SelfLink.fromJson(copyProps(props || {}, { 'type': 'SelfLink', 'nodeIndex': 0 }), [node]);
+            return insertLink(link);
+        }
+
+        function insertLink(link) {
+            var historySnapshot = fetchJsonObject(); // taken before prepareInsertionToCanvas() updates nodes
+            if(link === null || !link.prepareInsertionToCanvas()) return null;
+            recordHistory(historySnapshot);
+            ensureUniqueIds([link]);
+            links.push(link);
+            var separatedLinks = separateParallelLinks([link]);
             draw();
+            emitEvent('linkAdded', { 'link': link });
+            emitLinksUpdated(separatedLinks, link);
+            return link;
         }
-    }
 
-    function onFsmAlphabetContainerUpdated(e) {
-        this.value = convertLatexShortcuts(this.value);
-        saveBackupAuto();
-    }
+        function insertStartLink(node, props) {
+            var link = StartLink.fromJson(copyProps(props, { 'type': 'StartLink', 'nodeIndex': 0 }), [node]);
+            if(!valueIsNumber(props.deltaX) && !valueIsNumber(props.deltaY)) {
+                link.deltaX = -3 * node.getHalfSize().width; // the arrow comes from the left by default
+            }
+            if(!valueIsBoolean(props.sychronizeVisualWithNode)) {
+                link.sychronizeVisualWithNode = true; // same default as when drawn from the user interface
+            }
+            if(!link.prepareInsertionToCanvas()) return null;
+            ensureUniqueIds([link]);
+            links.push(link);
+            return link;
+        }
 
-    function onDocumentKeydown(e) {
-        var key = crossBrowserKey(e);
+        // Makes the given node initial (by adding an instance of StartLink
+        // whose JSON props can be given) or not (by removing its instances of
+        // StartLink). Returns whether the node has the expected state.
+        function setInitial(node, isInitial, props) {
+            return setInitialStates([node], isInitial, props);
+        }
 
-        if(key === 16) {
-            shift = true;
-        } else if(!canvasHasFocus()) {
-            // don't read keystrokes when other things have focus
-            return true;
-        } else if(key === 8) { // backspace key
-            if(selectedObject !== null && 'text' in selectedObject) {
-                selectedObject.text = selectedObject.text.substr(0, selectedObject.text.length - 1);
-                resetCaret();
-                draw();
+        // Same as setInitial() but for several nodes at once, recording a single
+        // edit in history. Returns whether all the nodes have the expected state.
+        function setInitialStates(someNodes, isInitial, props) {
+            isInitial = isInitial === undefined || isInitial;
+            var toggledNodes = [];
+            var success = true;
+            var i = 0;
+            for(i = 0; i < someNodes.length; i++) {
+                var node = someNodes[i];
+                if(nodes.indexOf(node) === -1 || (isInitial && node.isInitialState !== true && !config.canvas.acceptStartLinks)) {
+                    success = false;
+                } else if(node.isInitialState !== isInitial && toggledNodes.indexOf(node) === -1) {
+                    toggledNodes.push(node);
+                }
             }
+            if(toggledNodes.length === 0) return success;
 
-            // backspace might be a shortcut for the back button and we do NOT want to change pages
-            e.preventDefault(); return false;
-        } else if(key === 46) { // delete key
-            if(selectedObject !== null) {
-                var i = 0;
-                for(i = 0; i < nodes.length; i++) {
-                    if(nodes[i] === selectedObject) {
-                        nodes.splice(i--, 1);
-                    }
+            recordHistory();
+            if(isInitial) {
+                var startLinks = [];
+                for(i = 0; i < toggledNodes.length; i++) {
+                    startLinks.push(insertStartLink(toggledNodes[i], props || {}));
+                }
+                draw();
+                for(i = 0; i < toggledNodes.length; i++) {
+                    if(startLinks[i] === null) continue;
+                    emitEvent('linkAdded', { 'link': startLinks[i] });
+                    emitEvent('initialStateToggled', { 'node': toggledNodes[i], 'isInitialState': true });
                 }
+            } else {
+                var removedStartLinks = [];
                 for(i = 0; i < links.length; i++) {
-                    if(links[i] === selectedObject || links[i].node === selectedObject || links[i].nodeA === selectedObject || links[i].nodeB === selectedObject) {
-                        links[i].prepareRemovalFromCanvas();
-                        links.splice(i--, 1);
+                    if(links[i] instanceof StartLink && toggledNodes.indexOf(links[i].node) !== -1) {
+                        removedStartLinks.push(links[i]);
                     }
                 }
-                selectedObject = null;
+                var removed = removeFromCanvas(removedStartLinks);
                 draw();
+                emitRemovalEvents(removed); // also emits initialStateToggled
             }
+            return success;
         }
-    }
 
-    function onDocumentKeyup(e) {
-        var key = crossBrowserKey(e);
+        // Removes the given node (along with its links) or link and returns
+        // whether it was in the canvas.
+        function removeElement(elt) {
+            if(nodes.indexOf(elt) === -1 && links.indexOf(elt) === -1) return false;
+            recordHistory();
+            var removed = removeFromCanvas([elt]);
+            draw();
+            emitRemovalEvents(removed);
+            return true;
+        }
 
-        if(key === 16) {
-            shift = false;
+        // Updates the given node or link from the given JSON props and returns
+        // whether the element is in the canvas. The id of an element and the
+        // nodes of a link can't be updated, and the 'isInitialState' prop of a
+        // node is handled by setInitial().
+        function updateElement(elt, props) {
+            return updateElements([elt], props).length === 1;
         }
-    }
 
-    function onDocumentKeypress(e) {
-        // don't read keystrokes when other things have focus
-        var key = crossBrowserKey(e);
-        if(!canvasHasFocus()) {
-            // don't read keystrokes when other things have focus
-            return true;
-        } else if(key >= 0x20 && key <= 0x7E && !e.metaKey && !e.altKey && !e.ctrlKey && selectedObject !== null && 'text' in selectedObject) {
-            selectedObject.text += String.fromCharCode(key);
-            resetCaret();
+        // Same as updateElement() but for several elements at once (props that
+        // an element doesn't have are ignored for that element), recording a
+        // single edit in history. Returns the elements in the canvas that were
+        // given valid props, but nothing is recorded nor emitted for those that
+        // the props leave unchanged.
+        function updateElements(elts, props) {
+            props = props || {};
+            var validElts = [];
+            var updates = [];
+            var i = 0;
+            for(i = 0; i < elts.length; i++) {
+                var validElt = getUpdatedElement(elts[i], props);
+                if(validElt === null) continue;
+                validElts.push(elts[i]);
+                if(JSON.stringify(validElt.toJson(nodes)) !== JSON.stringify(elts[i].toJson(nodes))) {
+                    updates.push({ 'elt': elts[i], 'validElt': validElt });
+                }
+            }
+            if(updates.length === 0) return validElts;
+
+            recordHistory();
+            var changes = [];
+            for(i = 0; i < updates.length; i++) {
+                var elt = updates[i].elt;
+                changes.push({ 'wasAcceptState': elt.isAcceptState, 'previousText': elt.text });
+                for(var prop in props) {
+                    if(props.hasOwnProperty(prop) && prop in elt && prop !== 'isInitialState' && prop !== 'id') {
+                        elt[prop] = updates[i].validElt[prop];
+                    }
+                }
+                if(elt instanceof Node && ('text' in props || 'isAcceptState' in props || 'shape' in props)) {
+                    fitNodeSize(elt);
+                }
+            }
             draw();
+            for(i = 0; i < updates.length; i++) {
+                elt = updates[i].elt;
+                emitEvent('elementUpdated', { 'element': elt });
+                if(elt.text !== changes[i].previousText) {
+                    emitEvent('textChanged', { 'element': elt, 'text': elt.text });
+                }
+                if(elt instanceof Node && elt.isAcceptState !== changes[i].wasAcceptState) {
+                    emitEvent('acceptStateToggled', { 'node': elt, 'isAcceptState': elt.isAcceptState });
+                }
+            }
+            return validElts;
+        }
+
+        // Returns a copy of the given element updated from the given JSON props,
+        // or null if the element is not in the canvas or the props are invalid.
+        function getUpdatedElement(elt, props) {
+            var isNode = nodes.indexOf(elt) !== -1;
+            if(!isNode && links.indexOf(elt) === -1) return null;
+
+            // the updated JSON content is validated by importing it
+            var eltJson = elt.toJson(nodes);
+            var obj = copyProps(props, elt.toJson(nodes));
+            var fixedProps = ['type', 'nodeAIndex', 'nodeBIndex', 'nodeIndex'];
+            for(var i = 0; i < fixedProps.length; i++) {
+                obj[fixedProps[i]] = eltJson[fixedProps[i]];
+            }
+            return isNode ? Node.fromJson(obj) : linkFromJson(obj, nodes);
+        }
+
+        // The properties that can be edited from the property editor (see
+        // openPropertyEditor()). A property is listed for the selected elements
+        // having it, unless its isAvailable() function returns false.
+        var propertyEditorFields = [
+            { 'prop': 'shape', 'label': 'Shape', 'kind': 'choice', 'choices': nodeShapes },
+            { 'prop': 'radius', 'label': 'Radius', 'kind': 'number', 'min': 1, 'step': 1 },
+            { 'prop': 'width', 'label': 'Width', 'kind': 'number', 'min': 1, 'step': 1 },
+            { 'prop': 'height', 'label': 'Height', 'kind': 'number', 'min': 1, 'step': 1 },
+            { 'prop': 'borderWidth', 'label': 'Border width', 'kind': 'number', 'min': 0.1, 'max': 100, 'step': 0.1 },
+            { 'prop': 'lineWidth', 'label': 'Line width', 'kind': 'number', 'min': 0.1, 'max': 100, 'step': 0.1 },
+            { 'prop': 'borderColor', 'label': 'Border color', 'kind': 'color' },
+            { 'prop': 'bgColor', 'label': 'Background color', 'kind': 'color' },
+            { 'prop': 'lineColor', 'label': 'Line color', 'kind': 'color' },
+            { 'prop': 'arrowColor', 'label': 'Arrow color', 'kind': 'color' },
+            { 'prop': 'textColor', 'label': 'Text color', 'kind': 'color' },
+            { 'prop': 'opacity', 'label': 'Opacity', 'kind': 'number', 'min': 0, 'max': 1, 'step': 0.1 },
+            { 'prop': 'dashesEnabled', 'label': 'Dashes', 'kind': 'boolean' },
+            { 'prop': 'isAcceptState', 'label': 'Accept state', 'kind': 'boolean',
+              'isAvailable': function() { return config.nodes.canBeAcceptStates; } },
+            { 'prop': 'isInitialState', 'label': 'Initial state', 'kind': 'boolean',
+              'isAvailable': function() { return config.canvas.acceptStartLinks; } },
+            { 'prop': 'nodeAHasArrow', 'label': 'Arrow-head at source', 'kind': 'boolean',
+              'isAvailable': function() { return config.links.arrowHeadAtSrcOverridable; } },
+            { 'prop': 'nodeBHasArrow', 'label': 'Arrow-head at destination', 'kind': 'boolean',
+              'isAvailable': function() { return config.links.arrowHeadAtDstOverridable; } },
+            { 'prop': 'nodeHasArrow', 'label': 'Arrow-head', 'kind': 'boolean',
+              'isAvailable': function() { return config.links.arrowHeadAtDstOverridable; } },
+            { 'prop': 'nodeAArrowStyle', 'label': 'Arrow-head style at source', 'kind': 'choice', 'choices': arrowHeadStyles,
+              'isAvailable': function() { return config.links.arrowHeadAtSrc || config.links.arrowHeadAtSrcOverridable; } },
+            { 'prop': 'nodeBArrowStyle', 'label': 'Arrow-head style at destination', 'kind': 'choice', 'choices': arrowHeadStyles,
+              'isAvailable': function() { return config.links.arrowHeadAtDst || config.links.arrowHeadAtDstOverridable; } },
+            { 'prop': 'nodeArrowStyle', 'label': 'Arrow-head style', 'kind': 'choice', 'choices': arrowHeadStyles,
+              'isAvailable': function() { return config.links.arrowHeadAtDst || config.links.arrowHeadAtDstOverridable; } },
+            { 'prop': 'arrowSize', 'label': 'Arrow-head size', 'kind': 'number', 'min': 1, 'max': 100, 'step': 1 },
+            { 'prop': 'sychronizeVisualWithNode', 'label': 'Same look as node', 'kind': 'boolean' },
+            { 'prop': 'routing', 'label': 'Routing', 'kind': 'choice', 'choices': linkRoutings },
+        ];
+        var propertyEditor = null; // the Html element of the property editor when it is open
+        var propertyEditorInputs = []; // the fields of the property editor and their inputs, as { 'field': ..., 'input': ... } objects
+
+        // Opens a floating panel next to the given page position (next to the
+        // selected element by default) to edit the properties of the selected
+        // elements. Changes are applied as soon as they are made and can be
+        // undone. Returns whether the panel is open.
+        function openPropertyEditor(pageX, pageY) {
+            closePropertyEditor();
+            if(!canvas || !canvas.parentNode || selectedObjects.length === 0) return false;
+
+            if(!valueIsNumber(pageX) || !valueIsNumber(pageY)) {
+                var point = selectedObjects[0] instanceof Node ? selectedObjects[0] : getLinkMiddlePoint(selectedObjects[0]);
+                var canvasRect = canvas.getBoundingClientRect();
+                pageX = canvasRect.left + window.scrollX + point.x * viewport.zoom + viewport.offsetX;
+                pageY = canvasRect.top + window.scrollY + point.y * viewport.zoom + viewport.offsetY;
+            }
+
+            var panel = document.createElement('div');
+            panel.className = 'fsmvc-property-editor';
+            panel.setAttribute('role', 'dialog');
+            panel.setAttribute('aria-label', 'Properties');
+            panel.style.position = 'absolute';
+            panel.style.left = pageX + 'px';
+            panel.style.top = pageY + 'px';
+            panel.style.zIndex = '1000';
+            panel.style.padding = '6px 8px';
+            panel.style.background = 'white';
+            panel.style.border = '1px solid #888';
+            panel.style.boxShadow = '2px 2px 6px rgba(0, 0, 0, 0.3)';
+            panel.style.font = '13px sans-serif';
+            panel.addEventListener('keydown', onPropertyEditorKeydown);
+
+            var title = document.createElement('div');
+            title.style.fontWeight = 'bold';
+            title.style.marginBottom = '4px';
+            title.textContent = selectedObject !== null ? describeElement(selectedObject)
+                                                        : selectedObjects.length + ' elements';
+            panel.appendChild(title);
+
+            var firstInput = null;
+            for(var i = 0; i < propertyEditorFields.length; i++) {
+                var input = createPropertyEditorInput(propertyEditorFields[i]);
+                if(input !== null) {
+                    propertyEditorInputs.push({ 'field': propertyEditorFields[i], 'input': input });
+                    var row = document.createElement('label');
+                    row.style.display = 'block';
+                    row.style.margin = '2px 0';
+                    row.appendChild(document.createTextNode(propertyEditorFields[i].label + ' '));
+                    row.appendChild(input);
+                    panel.appendChild(row);
+                    firstInput = firstInput || input;
+                }
+            }
+
+            var closeButton = document.createElement('button');
+            closeButton.textContent = 'Close';
+            closeButton.style.marginTop = '4px';
+            closeButton.onclick = function() { closePropertyEditor(true); };
+            panel.appendChild(closeButton);
+
+            document.body.appendChild(panel);
+            propertyEditor = panel;
+            (firstInput || closeButton).focus();
+            return true;
+        }
+
+        // Closes the property editor (if open), giving the focus back to the
+        // canvas if focusCanvas is true.
+        function closePropertyEditor(focusCanvas) {
+            if(propertyEditor === null) return;
+            if(propertyEditor.parentNode) propertyEditor.parentNode.removeChild(propertyEditor);
+            propertyEditor = null;
+            propertyEditorInputs = [];
+            if(focusCanvas && canvas) {
+                activeController = controller;
+                canvas.focus();
+                syncTextInputFocus();
+            }
+        }
+
+        // Returns the selected elements having the given field of the property
+        // editor.
+        function getPropertyEditorElts(field) {
+            var elts = [];
+            for(var i = 0; i < selectedObjects.length; i++) {
+                if(field.prop in selectedObjects[i]) elts.push(selectedObjects[i]);
+            }
+            return elts;
+        }
+
+        // Returns the input used to edit the given field of the selected
+        // elements, or null if the field doesn't apply to them.
+        function createPropertyEditorInput(field) {
+            if(field.isAvailable && !field.isAvailable()) return null;
+            if(getPropertyEditorElts(field).length === 0) return null;
+
+            var input = document.createElement(field.kind === 'choice' ? 'select' : 'input');
+            if(field.kind === 'boolean') {
+                input.type = 'checkbox';
+            } else if(field.kind !== 'choice') {
+                input.type = field.kind === 'number' ? 'number' : 'text';
+                input.size = 10;
+                if('min' in field) input.min = field.min;
+                if('max' in field) input.max = field.max;
+                if('step' in field) input.step = field.step;
+            }
+            showPropertyEditorValue(field, input);
+            input.onchange = function() {
+                var elts = getPropertyEditorElts(field);
+                var value = field.kind === 'boolean' ? input.checked
+                          : field.kind === 'number' ? parseFloat(input.value)
+                          : field.kind === 'color' && input.value === '' ? null // i.e. the color of the theme
+                          : input.value;
+                if(field.prop === 'isInitialState') {
+                    setInitialStates(elts, value);
+                } else {
+                    var props = {};
+                    props[field.prop] = value;
+                    updateElements(elts, props);
+                }
+                showPropertyEditorValue(field, input); // e.g. invalid values are not applied
+            };
+            return input;
+        }
 
-            // don't let keys do their actions (like space scrolls down the page)
-            e.preventDefault(); return false;
-        } else if(key === 8) {
-            // backspace might be a shortcut for the back button and we do NOT want to change pages
-            e.preventDefault(); return false;
+        // Returns the value of the given field of the given element, as shown in
+        // the property editor (i.e. with inherited colors, see getColor()).
+        function getPropertyEditorValue(elt, field) {
+            return field.kind === 'color' ? getColor(elt, field.prop) : elt[field.prop];
         }
-    }
 
-    function selectObject(x, y) {
-        var i = 0;
-        for(i = 0; i < nodes.length; i++) {
-            if(nodes[i].containsPoint(x, y)) {
-                return nodes[i];
+        // Shows the current value of the given field of the selected elements
+        // in the given input (which is left empty when they have different
+        // values, and disabled when none of them has the field).
+        function showPropertyEditorValue(field, input) {
+            var elts = getPropertyEditorElts(field);
+            var values = [];
+            var sameValue = elts.length !== 0;
+            for(var i = 0; i < elts.length; i++) {
+                values.push(getPropertyEditorValue(elts[i], field));
+                sameValue = sameValue && values[i] === values[0];
             }
-        }
-        for(i = 0; i < links.length; i++) {
-            if(links[i].containsPoint(x, y)) {
-                return links[i];
+            input.disabled = elts.length === 0;
+            if(field.kind === 'choice') {
+                while(input.firstChild) input.removeChild(input.firstChild);
+                var choices = sameValue ? field.choices : [''].concat(field.choices);
+                for(i = 0; i < choices.length; i++) {
+                    var option = document.createElement('option');
+                    option.value = choices[i];
+                    option.textContent = choices[i];
+                    input.appendChild(option);
+                }
+                input.value = sameValue ? values[0] : '';
+            } else if(field.kind === 'boolean') {
+                input.checked = sameValue && values[0];
+                input.indeterminate = !sameValue;
+            } else {
+                input.value = sameValue ? String(values[0]) : '';
             }
         }
-        return null;
-    }
 
-    function snapNode(node) {
-        for(var i = 0; i < nodes.length; i++) {
-            if(nodes[i] === node) continue;
-
-            if(Math.abs(node.x - nodes[i].x) < snapToPadding) {
-                node.x = nodes[i].x;
+        // Shows the current values of the selected elements in the property
+        // editor (if open), e.g. after they have been edited from the canvas.
+        function refreshPropertyEditor() {
+            for(var i = 0; i < propertyEditorInputs.length; i++) {
+                showPropertyEditorValue(propertyEditorInputs[i].field, propertyEditorInputs[i].input);
             }
+        }
 
-            if(Math.abs(node.y - nodes[i].y) < snapToPadding) {
-                node.y = nodes[i].y;
+        function onPropertyEditorKeydown(e) {
+            e.stopPropagation(); // keystrokes are meant for the panel only
+            if(crossBrowserKey(e) === 27) { // escape key
+                closePropertyEditor(true);
+                e.preventDefault(); return false;
             }
         }
-    }
-
-    function crossBrowserKey(e) {
-        e = e || window.event;
-        return e.which || e.keyCode;
-    }
 
-    function crossBrowserElementPos(e) {
-        e = e || window.event;
-        var obj = e.target || e.srcElement;
-        var x = 0, y = 0;
-        while(obj.offsetParent) {
-            x += obj.offsetLeft;
-            y += obj.offsetTop;
-            obj = obj.offsetParent;
+        // Returns a copy of the viewport, i.e. an object with the following
+        // properties: 'offsetX' and 'offsetY' (the canvas position at which the
+        // origin of content is displayed), and 'zoom'.
+        function getViewport() {
+            return { 'offsetX': viewport.offsetX, 'offsetY': viewport.offsetY, 'zoom': viewport.zoom };
         }
-        return { 'x': x, 'y': y };
-    }
-
-    function crossBrowserMousePos(e) {
-        e = e || window.event;
-        return {
-            'x': e.pageX || e.clientX + document.body.scrollLeft + document.documentElement.scrollLeft,
-            'y': e.pageY || e.clientY + document.body.scrollTop + document.documentElement.scrollTop,
-        };
-    }
-
-    function crossBrowserRelativeMousePos(e) {
-        var element = crossBrowserElementPos(e);
-        var mouse = crossBrowserMousePos(e);
-        return {
-            'x': mouse.x - element.x,
-            'y': mouse.y - element.y
-        };
-    }
-
-    function fixed(number, digits) {
-        return number.toFixed(digits).replace(/0+$/, '').replace(/\.$/, '');
-    }
-
-    function det(a, b, c, d, e, f, g, h, i) {
-        return a*e*i + b*f*g + c*d*h - a*f*h - b*d*i - c*e*g;
-    }
 
-    function circleFromThreePoints(x1, y1, x2, y2, x3, y3) {
-        var a = det(x1, y1, 1, x2, y2, 1, x3, y3, 1);
-        var bx = -det(x1*x1 + y1*y1, y1, 1, x2*x2 + y2*y2, y2, 1, x3*x3 + y3*y3, y3, 1);
-        var by = det(x1*x1 + y1*y1, x1, 1, x2*x2 + y2*y2, x2, 1, x3*x3 + y3*y3, x3, 1);
-        var c = -det(x1*x1 + y1*y1, x1, y1, x2*x2 + y2*y2, x2, y2, x3*x3 + y3*y3, x3, y3);
-        return {
-            'x': -bx / (2*a),
-            'y': -by / (2*a),
-            'radius': Math.sqrt(bx*bx + by*by - 4*a*c) / (2*Math.abs(a))
-        };
-    }
+        // Updates the viewport from the given object having one or more of the
+        // properties returned by getViewport() and returns whether it was
+        // updated; the zoom is clamped according to config.canvas. Node
+        // coordinates are never modified.
+        function setViewport(obj) {
+            if(!obj) return false;
+            var newViewport = getViewport();
+            var propNames = ['offsetX', 'offsetY', 'zoom'];
+            for(var i = 0; i < propNames.length; i++) {
+                var propName = propNames[i];
+                if(propName in obj) {
+                    if(!valueIsNumber(obj[propName]) || !isFinite(obj[propName])) return false;
+                    newViewport[propName] = obj[propName];
+                }
+            }
+            if(newViewport.zoom <= 0) return false;
+            newViewport.zoom = Math.min(Math.max(newViewport.zoom, config.canvas.zoomMin), config.canvas.zoomMax);
 
-    function valueIsBoolean (value) {
-        return typeof value === 'boolean';
-    }
+            viewport = newViewport;
+            draw();
+            saveViewportBackupAuto();
+            emitEvent('viewportChanged', { 'viewport': getViewport() });
+            return true;
+        }
 
-    function valueIsNumber(value) {
-        return typeof value === 'number' && isFinite(value);
-    }
+        // Multiplies the zoom by the given factor while keeping the content
+        // displayed at the given canvas position (the center of the canvas by
+        // default) where it is.
+        function zoomAt(factor, canvasX, canvasY) {
+            if(!valueIsNumber(factor) || factor <= 0) return false;
+            var size = getCanvasSize();
+            var x = valueIsNumber(canvasX) ? canvasX : size.width / 2;
+            var y = valueIsNumber(canvasY) ? canvasY : size.height / 2;
+            var zoom = Math.min(Math.max(viewport.zoom * factor, config.canvas.zoomMin), config.canvas.zoomMax);
+            var ratio = zoom / viewport.zoom;
+            return setViewport({
+                'offsetX': x - (x - viewport.offsetX) * ratio,
+                'offsetY': y - (y - viewport.offsetY) * ratio,
+                'zoom': zoom,
+            });
+        }
 
-    function valueIsNumberInRange(value, min, max) {
-        return valueIsNumber(value) && value >= min && value <= max;
-    }
+        // Sets the viewport so that all content fits in the canvas, leaving the
+        // given padding (in pixels, 20 by default) around it. The zoom is never
+        // increased beyond 1 so that small content is not magnified.
+        function zoomToFit(padding) {
+            var pad = valueIsNumber(padding) ? padding : 20;
+            var bounds = getContentBounds();
+            if(bounds === null) return resetViewport();
+            var size = getCanvasSize();
+            var zoom = Math.min(1, (size.width - 2 * pad) / bounds.width, (size.height - 2 * pad) / bounds.height);
+            zoom = Math.min(Math.max(zoom, config.canvas.zoomMin), config.canvas.zoomMax);
+            return setViewport({
+                'offsetX': size.width / 2 - (bounds.x + bounds.width / 2) * zoom,
+                'offsetY': size.height / 2 - (bounds.y + bounds.height / 2) * zoom,
+                'zoom': zoom,
+            });
+        }
 
-    function valueIsString(value) {
-        return typeof value === 'string' || value instanceof String;
-    }
+        function resetViewport() {
+            return setViewport({ 'offsetX': 0, 'offsetY': 0, 'zoom': 1 });
+        }
 
-    function valueIsArray(value) {
-        return Array.isArray(value);
-    }
+        // Returns the area of content (in content coordinates) that is visible
+        // in the canvas.
+        function getVisibleArea() {
+            var size = getCanvasSize();
+            return {
+                'x': -viewport.offsetX / viewport.zoom,
+                'y': -viewport.offsetY / viewport.zoom,
+                'width': size.width / viewport.zoom,
+                'height': size.height / viewport.zoom,
+            };
+        }
 
-    function valueIsColor(value) {
-        return valueIsString(value); // don't need to check whether string describes a valid CSS color
-                                     // because invalid colors will be ignored when set in canvas
-    }
+        // Returns the bounding box of nodes (along with the middle points of
+        // links, which accounts for curved links and self-links) or null if
+        // there are no nodes.
+        function getContentBounds() {
+            if(nodes.length === 0) return null;
+            var x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+            var i = 0;
+            for(i = 0; i < nodes.length; i++) {
+                var node = nodes[i];
+                var halfSize = node.getHalfSize();
+                x0 = Math.min(x0, node.x - halfSize.width); x1 = Math.max(x1, node.x + halfSize.width);
+                y0 = Math.min(y0, node.y - halfSize.height); y1 = Math.max(y1, node.y + halfSize.height);
+            }
+            for(i = 0; i < links.length; i++) {
+                var points = [getLinkMiddlePoint(links[i]), getTextPosition(links[i])].concat(links[i].waypoints || []);
+                for(var j = 0; j < points.length; j++) {
+                    x0 = Math.min(x0, points[j].x); x1 = Math.max(x1, points[j].x);
+                    y0 = Math.min(y0, points[j].y); y1 = Math.max(y1, points[j].y);
+                }
+            }
+            return { 'x': x0, 'y': y0, 'width': x1 - x0, 'height': y1 - y0 };
+        }
 
-    function readColorProps(propNames, fromObj, toObj) {
-        for(var i=0; i<propNames.length; i++) {
-            var pn = propNames[i];
-            toObj[pn] = valueIsColor(fromObj[pn]) ? fromObj[pn] : toObj[pn];
+        // Saves backup locally and returns a boolean success/failure flag. You
+        // don't need to call this function unless automatic backup is disabled.
+        function saveBackup(id) {
+            return setLocalStorageItem(id, fetchJsonString());
         }
-    }
 
-    function readColorPropsNoCheckings(propNames, fromObj, toObj) {
-        for(var i=0; i<propNames.length; i++) {
-            toObj[propNames[i]] = fromObj[propNames[i]];
+        // Restores local backup and returns a boolean success/failure flag. You
+        // don't need to call this function unless automatic backup is disabled.
+        // The edit history is cleared because the restored content replaces
+        // the previous one.
+        function restoreBackup(id) {
+            var success = true;
+            loadJsonString(getLocalStorageItem(id), function() {
+                setLocalStorageItem(id, '');
+                success = false;
+            }, function(report) {
+                success = report.success;
+            });
+            clearHistory();
+            return success;
         }
-    }
 
-    // Returns one node from a VALID array of VALID nodes. So only the given
-    // index is checked.
-    function getNodeElt(nodes, eltIndex) {
-        if(valueIsNumberInRange(eltIndex, 0, nodes.length-1)) {
-            return nodes[eltIndex];
+        // Saves the viewport (see getViewport()) locally, separately from
+        // content, and returns a boolean success/failure flag.
+        function saveViewportBackup(id) {
+            return setLocalStorageItem(id, JSON.stringify(getViewport()));
         }
-        throw "No node at index " + eltIndex; // we throw an exception to easier code logic
-    }
 
-    function fetchJsonObject() {
-        var obj = {
-            'fsmAlphabet': getFsmAlphabetStr(),
-            'nodes': [],
-            'links': [],
-        };
-        var i = 0;
-        for(i = 0; i < nodes.length; i++) {
-            obj.nodes.push(nodes[i].toJson());
+        // Restores the viewport saved using saveViewportBackup() and returns a
+        // boolean success/failure flag.
+        function restoreViewportBackup(id) {
+            var obj = null;
+            try {
+                obj = JSON.parse(getLocalStorageItem(id));
+            } catch(e) {}
+            return obj !== null && typeof obj === 'object' && setViewport(obj);
         }
-        for(i = 0; i < links.length; i++) {
-            obj.links.push(links[i].toJson(nodes));
+
+        function getViewportAutoBackupId() { return config.global.autoBackupId + '_viewport'; }
+
+        function saveViewportBackupAuto() {
+            if(config.global.autoBackup && config.global.viewportAutoBackup) { saveViewportBackup(getViewportAutoBackupId()); }
         }
-        return obj;
-    }
 
-    function fetchJsonString(space) { // space is optional
-        return JSON ? JSON.stringify(fetchJsonObject(), null, space) : '';
-    }
+        function restoreViewportBackupAuto() {
+            return config.global.autoBackup && config.global.viewportAutoBackup ? restoreViewportBackup(getViewportAutoBackupId()) : false;
+        }
 
-    function fetchPngDataString() {
-        drawUsing(canvas.getContext('2d'));
-        return canvas.toDataURL('image/png');
-    }
+        function saveBackupAuto() {
+            if(config.global.autoBackup) { saveBackup(config.global.autoBackupId); }
+        }
 
-    function fetchSvgString() {
-        var exporter = new ExportAsSVG();
-        drawUsing(exporter);
-        return exporter.toSVG();
-    }
+        function restoreBackupAuto() {
+            return config.global.autoBackup ? restoreBackup(config.global.autoBackupId) : false;
+        }
 
-    function fetchLatexString() {
-        var exporter = new ExportAsLaTeX();
-        drawUsing(exporter);
-        return exporter.toLaTeX();
-    }
+        function setLocalStorageItem(keyStr, valueStr) {
+            try { // see (1) at the bottom of this script
+                if(typeof window !== 'undefined' && window.localStorage) {
+                    window.localStorage.setItem(keyStr, valueStr);
+                    return true;
+                }
+            } catch(e) {}
+            return false;
+        }
 
-    // Clears but doesn't draw().
-    function clear() {
-        setFsmAlphabetStr('');
-        nodes = [];
-        links = [];
-    }
+        function getLocalStorageItem(keyStr) {
+            try { // see (1) at the bottom of this script
+                return (typeof window !== 'undefined' && window.localStorage) ? window.localStorage.getItem(keyStr)
+                                                                              : null; // getItem() also returns null if key does not exist
+            } catch(e) {}
+            return null; // returning null because "see try-block above"
+        }
 
-    // Loads object and draw().
-    function loadJsonObject(obj) {
-        // clear first
-        clear();
+        var eventNames = [
+            'nodeAdded', 'nodeRemoved', 'nodeMoved',          // event.node
+            'linkAdded', 'linkRemoved', 'linkMoved',          // event.link
+            'textChanged',                                    // event.element and event.text
+            'elementUpdated',                                 // event.element (see updateElement())
+            'acceptStateToggled', 'initialStateToggled',      // event.node and event.isAcceptState or event.isInitialState
+            'selectionChanged',                               // event.selectedObject (possibly null)
+            'contentLoaded', 'contentCleared',                // event.reason ('load', 'undo' or 'redo') for contentLoaded
+            'viewportChanged',                                // event.viewport (see getViewport())
+            'themeChanged',                                   // event.theme (see setTheme())
+        ];
+        var eventHandlers = {}; // key: event name, value: array of handlers
+
+        // Registers a handler called with an event object whenever the given
+        // event occurs, and returns whether the event name is known (see
+        // eventNames). The event object always has a 'type' property set to
+        // the event name. Note that events are emitted for edits made from the
+        // user interface, and that loading or clearing content only emits
+        // contentLoaded or contentCleared (not an event per element). An error
+        // thrown by a handler doesn't prevent the other handlers from being
+        // called: it is thrown again asynchronously (or logged in Node.js).
+        function on(eventName, handler) {
+            if(eventNames.indexOf(eventName) === -1 || typeof handler !== 'function') return false;
+            if(!eventHandlers[eventName]) {
+                eventHandlers[eventName] = [];
+            }
+            eventHandlers[eventName].push(handler);
+            return true;
+        }
 
-        // now load
-        try {
-            setFsmAlphabetStr(obj.fsmAlphabet);
-            var i = 0;
-            for(i = 0; i < obj.nodes.length; i++) {
-                var objNode = obj.nodes[i];
-                var node = Node.fromJson(objNode);
-                if(node) {
-                    nodes.push(node);
+        // Unregisters the given handler, or all handlers of the given event
+        // when handler is not provided.
+        function off(eventName, handler) {
+            var handlers = eventHandlers[eventName];
+            if(!handlers) return;
+            if(handler === undefined) {
+                eventHandlers[eventName] = [];
+            } else {
+                var index = handlers.indexOf(handler);
+                if(index !== -1) {
+                    handlers.splice(index, 1);
                 }
             }
-            for(i = 0; i < obj.links.length; i++) {
-                var objLink = obj.links[i];
-                var link = null;
-                if(objLink.type === 'Link') {
-                    link = Link.fromJson(objLink, nodes);
-                } else if(objLink.type === 'SelfLink') {
-                    link = SelfLink.fromJson(objLink, nodes);
-                } else if(objLink.type === 'StartLink') {
-                    link = StartLink.fromJson(objLink, nodes);
-                }
-                if(link !== null && link.prepareInsertionToCanvas()) {
-                    links.push(link);
+        }
+
+        function emitEvent(eventName, props) {
+            refreshPropertyEditor(); // events are emitted once the elements the property editor shows are up to date
+            var handlers = eventHandlers[eventName];
+            if(!handlers || handlers.length === 0) return;
+            var event = { 'type': eventName };
+            for(var prop in props) {
+                event[prop] = props[prop];
+            }
+            handlers = handlers.slice(); // so that handlers can call off() safely
+            for(var i = 0; i < handlers.length; i++) {
+                try { // a failing handler must neither prevent the others from being called nor interrupt the edit being made
+                    handlers[i](event);
+                } catch(e) {
+                    rethrowLater(e);
                 }
             }
-        } catch(e) {}
-
-        draw();
-    }
+        }
 
-    function loadJsonString(str, jsonFailedToParseCallback, jsonLoadedCallback) {
-        if(JSON) {
-            try {
-                loadJsonObject(JSON.parse(str));
-                if(jsonLoadedCallback) {
-                    jsonLoadedCallback();
-                }
-            } catch(e) {
-                if(jsonFailedToParseCallback) {
-                    jsonFailedToParseCallback(e);
-                }
+        // Throws the given error once the current task is done, so that it is
+        // still reported in the console of the browser. Without browser (e.g. in
+        // Node.js where it would end the process), it is logged instead.
+        function rethrowLater(error) {
+            if(typeof window !== 'undefined') {
+                setTimeout(function() { throw error; }, 0);
+            } else if(typeof console !== 'undefined') {
+                console.error(error);
             }
         }
-    }
 
-    // Returns all possible types of canvas elements. This function must only be
-    // used from the outside of this script. There are several use cases; here
-    // are two of them:
-    //     - you can use this function along with getContent().
-    //     - you can override export functions (like Node.prototype.toJson) to
-    //       make output less verbose. Note that depending on the function being
-    //       overridden you might also need to copy several helper functions
-    //       from this script.
-    function getTypes() {
-        return {
-            'Node': Node,
-            'Link': Link,
-            'SelfLink': SelfLink,
-            'StartLink': StartLink,
+        var history = {
+            'undoStack': [], // snapshots (see fetchJsonObject()) of the content before each edit
+            'redoStack': [], // snapshots of the content before each undo
+            'lastTextTarget': null, // the object whose text was last edited, so that typing a word is undone at once
         };
-    }
 
-    // Returns the content of the canvas element. This function must only be
-    // used from the outside of this script. It might be used to synchronize
-    // with external models or update canvas content from source code. Note
-    // that for performance reasons we return the actual objects used internally
-    // in this script. So make sure you don't mess up with them (like adding
-    // links while you have configured this controller not to accept links).
-    function getContent() {
-        return {
-            'fsmAlphabetStr': getFsmAlphabetStr(),
-            'nodes': nodes,
-            'links': links, // you can use the instanceof operator to check link family
-                            // see getTypes()
-        };
-    }
+        // Saves the content of the canvas in history before an edit. Parameters
+        // are optional.
+        //     - snapshot: content to save instead of the current one.
+        //     - textTarget: the object whose text is about to be edited; nothing
+        //                   is saved if the previous edit targeted the text of
+        //                   the same object.
+        function recordHistory(snapshot, textTarget) {
+            if(textTarget && textTarget === history.lastTextTarget) return;
+            history.lastTextTarget = textTarget || null;
+
+            if(config.global.historyMaxSize <= 0) return;
+            history.undoStack.push(snapshot || fetchJsonObject());
+            if(history.undoStack.length > config.global.historyMaxSize) {
+                history.undoStack.shift();
+            }
+            history.redoStack = [];
+        }
 
-    // Saves backup locally and returns a boolean success/failure flag. You
-    // don't need to call this function unless automatic backup is disabled.
-    function saveBackup(id) {
-        return setLocalStorageItem(id, fetchJsonString());
-    }
+        // Restores the given snapshot and draw()s. The elements that were
+        // selected stay selected if they are still there, and so the property
+        // editor stays open if they all are.
+        function restoreHistorySnapshot(snapshot) {
+            history.lastTextTarget = null;
+            movingObject = false;
+            currentLink = null;
+            var selectedIds = [];
+            for(var i = 0; i < selectedObjects.length; i++) {
+                selectedIds.push(selectedObjects[i].id);
+            }
+            var editor = propertyEditor;
+            var editorInputs = propertyEditorInputs;
+            propertyEditor = null; // so that it is not closed while the content is replaced
+            propertyEditorInputs = [];
+
+            loadJsonObjectContent(snapshot); // also draw()s
+            var selection = [];
+            for(i = 0; i < selectedIds.length; i++) {
+                var elt = getElementById(selectedIds[i]);
+                if(elt !== null) selection.push(elt);
+            }
+            setSelection(selection);
 
-    // Restores local backup and returns a boolean success/failure flag. You
-    // don't need to call this function unless automatic backup is disabled.
-    function restoreBackup(id) {
-        var success = true;
-        loadJsonString(getLocalStorageItem(id), function() {
-            setLocalStorageItem(id, '');
-            success = false;
-        });
-        return success;
-    }
+            if(editor !== null) {
+                propertyEditor = editor;
+                propertyEditorInputs = editorInputs;
+                if(selection.length === selectedIds.length) {
+                    refreshPropertyEditor();
+                } else {
+                    closePropertyEditor(); // it edits elements that are gone
+                }
+            }
+        }
 
-    function saveBackupAuto() {
-        if(config.global.autoBackup) { saveBackup(config.global.autoBackupId); }
-    }
+        function canUndo() { return history.undoStack.length !== 0; }
+        function canRedo() { return history.redoStack.length !== 0; }
 
-    function restoreBackupAuto() {
-        return config.global.autoBackup ? restoreBackup(config.global.autoBackupId) : false;
-    }
+        // Undoes the last edit, draw()s and returns whether there was something
+        // to undo.
+        function undo() {
+            if(!canUndo()) return false;
+            history.redoStack.push(fetchJsonObject());
+            restoreHistorySnapshot(history.undoStack.pop());
+            emitEvent('contentLoaded', { 'reason': 'undo' });
+            return true;
+        }
 
-    function setLocalStorageItem(keyStr, valueStr) {
-        try { // see (1) at the bottom of this script
-            if(window.localStorage) {
-                window.localStorage.setItem(keyStr, valueStr);
-                return true;
-            }
-        } catch(e) {}
-        return false;
-    }
+        // Redoes the last undone edit, draw()s and returns whether there was
+        // something to redo.
+        function redo() {
+            if(!canRedo()) return false;
+            history.undoStack.push(fetchJsonObject());
+            restoreHistorySnapshot(history.redoStack.pop());
+            emitEvent('contentLoaded', { 'reason': 'redo' });
+            return true;
+        }
 
-    function getLocalStorageItem(keyStr) {
-        try { // see (1) at the bottom of this script
-            return window.localStorage ? window.localStorage.getItem(keyStr)
-                                       : null; // getItem() also returns null if key does not exist
-        } catch(e) {}
-        return null; // returning null because "see try-block above"
-    }
+        function clearHistory() {
+            history.undoStack = [];
+            history.redoStack = [];
+            history.lastTextTarget = null;
+        }
 
-    var algorithms = (function() {
-        // Sets the given properties for each node but doesn't draw().
-        function setNodesProps(propNames, propValues) {
-            for(var i = 0; i < nodes.length; i++) {
-                for(var j = 0; j < propNames.length; j++) {
-                    nodes[i][propNames[j]] = propValues[j];
+        var algorithms = (function() {
+            // Sets the given properties for each node but doesn't draw().
+            function setNodesProps(propNames, propValues) {
+                for(var i = 0; i < nodes.length; i++) {
+                    for(var j = 0; j < propNames.length; j++) {
+                        nodes[i][propNames[j]] = propValues[j];
+                    }
                 }
             }
-        }
 
-        // Sets the given properties for each link but doesn't draw().
-        function setLinksProps(propNames, propValues) {
-            for(var i = 0; i < links.length; i++) {
-                for(var j = 0; j < propNames.length; j++) {
-                    links[i][propNames[j]] = propValues[j];
+            // Sets the given properties for each link but doesn't draw().
+            function setLinksProps(propNames, propValues) {
+                for(var i = 0; i < links.length; i++) {
+                    for(var j = 0; j < propNames.length; j++) {
+                        links[i][propNames[j]] = propValues[j];
+                    }
                 }
             }
-        }
 
-        // Builds an array of characters from the given comma-separated string
-        // and returns an object hosting several properties (see source code).
-        //
-        // This function is meant to be used when working with finite state
-        // machines, in order to convert condensed transition inputs (like
-        // "a, b, c") to distinct ones ("a", "b" and "c"). Thus it might also be
-        // used to parse alphabet entries (like "a, b" in alphabet "{a, b}" or
-        // "" in "{}"). See key examples below:
-        //     Input                     | Output                         | Comments
-        //     ---------------------------------------------------------------------
-        //     "1,"                      | []                             | Failure: trailing comma
-        //     "1,20"                    | []                             | Failure: "20" contains more than 1 character
-        //     ---------------------------------------------------------------------
-        //     "   "                     | []                             | Success: whitespaces are trimmed
-        //     "1,2 , '3', ' ' "         | ["1", "2", "3", " "]           | Success: whitespaces are trimmed unless put in single quotes
-        //     "',', ';', ;, ''', ', \"" | [",", ";", ";", "'", "'", """] | Success: single quotes do not appear in output array
-        //                               |                                |          note that they are required for space and comma only
-        function splitString(str) {
-            var retVal = {
-                'success': false,             // is string successfully splitted?
-                'chars': [],                  // array of characters
-                'charsObj': {},               // object with each character as property
-                                              //     - you might need this in case you don't want
-                                              //       to walk through array to find an entry
-                'strIsWhitespaceOnly': false, // is string made of whitespace characters only?
-                'strHasDuplicates': false,    // does string contain duplicates?
-            };
+            // Builds an array of characters from the given comma-separated string
+            // and returns an object hosting several properties (see source code).
+            //
+            // This function is meant to be used when working with finite state
+            // machines, in order to convert condensed transition inputs (like
+            // "a, b, c") to distinct ones ("a", "b" and "c"). Thus it might also be
+            // used to parse alphabet entries (like "a, b" in alphabet "{a, b}" or
+            // "" in "{}"). See key examples below:
+            //     Input                     | Output                         | Comments
+            //     ---------------------------------------------------------------------
+            //     "1,"                      | []                             | Failure: trailing comma
+            //     "1,20"                    | []                             | Failure: "20" contains more than 1 character
+            //     ---------------------------------------------------------------------
+            //     "   "                     | []                             | Success: whitespaces are trimmed
+            //     "1,2 , '3', ' ' "         | ["1", "2", "3", " "]           | Success: whitespaces are trimmed unless put in single quotes
+            //     "',', ';', ;, ''', ', \"" | [",", ";", ";", "'", "'", """] | Success: single quotes do not appear in output array
+            //                               |                                |          note that they are required for space and comma only
+            function splitString(str) {
+                var retVal = {
+                    'success': false,             // is string successfully splitted?
+                    'chars': [],                  // array of characters
+                    'charsObj': {},               // object with each character as property
+                                                  //     - you might need this in case you don't want
+                                                  //       to walk through array to find an entry
+                    'strIsWhitespaceOnly': false, // is string made of whitespace characters only?
+                    'strHasDuplicates': false,    // does string contain duplicates?
+                };
+
+                function pushCharFromStr(s) {
+                    var c = s.length === 3 ? s[1] : s[0]; // either '<char>' or <char>
+                    retVal.chars.push(c);
+                    if(retVal.charsObj[c]) {
+                        retVal.strHasDuplicates = true;
+                    }
+                    retVal.charsObj[c] = true;
+                }
 
-            function pushCharFromStr(s) {
-                var c = s.length === 3 ? s[1] : s[0]; // either '<char>' or <char>
-                retVal.chars.push(c);
-                if(retVal.charsObj[c]) {
-                    retVal.strHasDuplicates = true;
-                }
-                retVal.charsObj[c] = true;
-            }
-
-            var strIsWhitespaceOnly = false;
-            var matches = str.match(/^\s*$|^\s*('.'|[^,\s])\s*((?:,\s*(?:'.'|[^,\s])\s*)*)$/); // see (1) below
-            if(matches !== null) {
-                strIsWhitespaceOnly = true;
-                var match = matches[0]; // first complete match (unused and identical to input string)
-                var group1 = matches[1]; // first capturing group related to match
-                var group2 = matches[2]; // second capturing group related to match
-                if(group1) {
-                    pushCharFromStr(group1);
-                    strIsWhitespaceOnly = false;
-                }
-                if(group2) {
-                    matches = group2.match(/,\s*(?:'.'|[^,\s])\s*/g); // see (2) below
-                    for(var i = 0; i < matches.length; i++) {
-                        var s = matches[i].substring(1).trim();
-                        pushCharFromStr(s);
+                var strIsWhitespaceOnly = false;
+                var matches = str.match(/^\s*$|^\s*('.'|[^,\s])\s*((?:,\s*(?:'.'|[^,\s])\s*)*)$/); // see (1) below
+                if(matches !== null) {
+                    strIsWhitespaceOnly = true;
+                    var match = matches[0]; // first complete match (unused and identical to input string)
+                    var group1 = matches[1]; // first capturing group related to match
+                    var group2 = matches[2]; // second capturing group related to match
+                    if(group1) {
+                        pushCharFromStr(group1);
+                        strIsWhitespaceOnly = false;
+                    }
+                    if(group2) {
+                        matches = group2.match(/,\s*(?:'.'|[^,\s])\s*/g); // see (2) below
+                        for(var i = 0; i < matches.length; i++) {
+                            var s = matches[i].substring(1).trim();
+                            pushCharFromStr(s);
+                        }
                     }
                 }
-            }
 
-            retVal.success = (matches !== null);
-            retVal.strIsWhitespaceOnly = strIsWhitespaceOnly;
-
-            return retVal;
-
-            // (1) You can test the regex using online testers. It is built as follows.
-            //     Let S be the regex for a whitespace:\s
-            //     Let A be the regex denoting which parts of the input string we want to capture:'.'|[^,\s]
-            //         - Memento: letter A is for ACCEPT (i.e. what we want to accept).
-            //     Let C be the regex for comma:,
-            //     The final regex results from the following equations:
-            //         - R0 = S*R1?     -> skip whitespaces if any and possibly continue in R1
-            //         - R1 = AS*R2?    -> whitespaces have been read in R0 and now we can read something to
-            //                             accept, continue with possible whitespaces and proceed with a
-            //                             comma in R2 (if any)
-            //         - R2 = (CS*AS*)* -> whenever we read a comma we must also have something to accept
-            //                             (possibly surrounded by whitespaces)
-            //     Now lets write R0 using known regexes only (i.e. S, A and C).
-            //         - R0 = S*R1?
-            //              = S* | S*R1
-            //              = S* | S*AS*R2?
-            //              = S* | S*AS* | S*AS*R2
-            //              = S* | S*AS* | S*AS*(CS*AS*)*
-            //           R0 = S* | S*AS*(CS*AS*)*
-            //     But how do we implement this in a real application?
-            //         - Well, we only want to capture the strings mathed by A. So we can wrap A in
-            //           parentheses (regex_for_A). Thus we can easily capture A from the first S*AS* in R0.
-            //           For instance when given " 1 , 2,3" we can capture "1" and ignore ", 2,3" for the moment.
-            //         - As for the second part (CS*AS*)* the previous technique will no longer work because
-            //           repeating a capturing group will only capture the last iteration (e.g. for ", 2,3" we
-            //           only get ",3"). So here we will capture the repeated group instead (basically we will
-            //           capture the whole string starting at the comma). The captured string can then be matched
-            //           in (2) described below.
-            //
-            // (2) Assuming you have read (1), here we don't need to capture anything (reason why we use (?:). We
-            //     just match as many times as possible using the global modifier (g).
-        }
+                retVal.success = (matches !== null);
+                retVal.strIsWhitespaceOnly = strIsWhitespaceOnly;
+
+                return retVal;
+
+                // (1) You can test the regex using online testers. It is built as follows.
+                //     Let S be the regex for a whitespace:\s
+                //     Let A be the regex denoting which parts of the input string we want to capture:'.'|[^,\s]
+                //         - Memento: letter A is for ACCEPT (i.e. what we want to accept).
+                //     Let C be the regex for comma:,
+                //     The final regex results from the following equations:
+                //         - R0 = S*R1?     -> skip whitespaces if any and possibly continue in R1
+                //         - R1 = AS*R2?    -> whitespaces have been read in R0 and now we can read something to
+                //                             accept, continue with possible whitespaces and proceed with a
+                //                             comma in R2 (if any)
+                //         - R2 = (CS*AS*)* -> whenever we read a comma we must also have something to accept
+                //                             (possibly surrounded by whitespaces)
+                //     Now lets write R0 using known regexes only (i.e. S, A and C).
+                //         - R0 = S*R1?
+                //              = S* | S*R1
+                //              = S* | S*AS*R2?
+                //              = S* | S*AS* | S*AS*R2
+                //              = S* | S*AS* | S*AS*(CS*AS*)*
+                //           R0 = S* | S*AS*(CS*AS*)*
+                //     But how do we implement this in a real application?
+                //         - Well, we only want to capture the strings mathed by A. So we can wrap A in
+                //           parentheses (regex_for_A). Thus we can easily capture A from the first S*AS* in R0.
+                //           For instance when given " 1 , 2,3" we can capture "1" and ignore ", 2,3" for the moment.
+                //         - As for the second part (CS*AS*)* the previous technique will no longer work because
+                //           repeating a capturing group will only capture the last iteration (e.g. for ", 2,3" we
+                //           only get ",3"). So here we will capture the repeated group instead (basically we will
+                //           capture the whole string starting at the comma). The captured string can then be matched
+                //           in (2) described below.
+                //
+                // (2) Assuming you have read (1), here we don't need to capture anything (reason why we use (?:). We
+                //     just match as many times as possible using the global modifier (g).
+            }
 
-        // Returns an object with several properties, each described as per
-        // buildFsmModel().
-        function getEmptyFsmModel() {
-            return {
-                'errors': [],        // possibly empty array of errors
-
-                'alphabet': [],      // possibly empty array of inputs/letters
-                'states': {
-                    'all': [],       // possibly empty array of state ids
-                    'initial': [],   // possibly empty array of state ids
-                    'accepting': [], // possibly empty array of state ids
-                    'isAnyInitialIn': function(stateIds) {
-                        for(var i = 0; i < stateIds.length; i++) {
-                            if(this.initial.indexOf(stateIds[i]) !== -1) {
-                                return true;
+            // Returns an object with several properties, each described as per
+            // buildFsmModel().
+            function getEmptyFsmModel() {
+                return {
+                    'errors': [],        // possibly empty array of errors
+
+                    'alphabet': [],      // possibly empty array of inputs/letters
+                    'states': {
+                        'all': [],       // possibly empty array of state ids
+                        'initial': [],   // possibly empty array of state ids
+                        'accepting': [], // possibly empty array of state ids
+                        'isAnyInitialIn': function(stateIds) {
+                            for(var i = 0; i < stateIds.length; i++) {
+                                if(this.initial.indexOf(stateIds[i]) !== -1) {
+                                    return true;
+                                }
                             }
-                        }
-                        return false;
-                    },
-                    'isAnyAcceptingIn': function(stateIds) {
-                        for(var i = 0; i < stateIds.length; i++) {
-                            if(this.accepting.indexOf(stateIds[i]) !== -1) {
-                                return true;
+                            return false;
+                        },
+                        'isAnyAcceptingIn': function(stateIds) {
+                            for(var i = 0; i < stateIds.length; i++) {
+                                if(this.accepting.indexOf(stateIds[i]) !== -1) {
+                                    return true;
+                                }
                             }
-                        }
-                        return false;
-                    },
-                    'getMarkers': function(initial, accepting) {
-                        var markers = [];
-                        if(initial) markers.push('->');
-                        if(accepting) markers.push('*');
-                        return markers;
-                    },
-                },
-                'transitions': {
-                    'all': {},       // can be accessed as follows:
-                                     //     - all[<state_id>] returns a transition object
-                                     //                               (always defined when FSM is valid and state id known)
-                                     //     - all[<state_id>][<input>] returns undefined or a possibly emty array of state ids
-                    'get': function(fromStateId, input) { // this function is not used in buildFsmModel()
-                                                          // but can be used anywhere else
-                        var transitionObj = this.all[fromStateId];
-                        var arrayOrUndefined = transitionObj ? transitionObj[input] : [];
-                        return arrayOrUndefined === undefined ? [] : arrayOrUndefined;
-                    },
-                },
-                'canvas': {
-                    'nodes': {},     // key/value pairs:
-                                     //     - key is the id of a state
-                                     //     - value is a node object in canvas (always defined when FSM is valid)
-                    'links': {       // use the get() function to access any link supporting a transition
-                                     //     - the returned value might be undefined
-                        'get': function(fromStateId, input, toStateId) {
-                            return this._values[this._idOf(fromStateId, input, toStateId)];
+                            return false;
+                        },
+                        'getMarkers': function(initial, accepting) {
+                            var markers = [];
+                            if(initial) markers.push('->');
+                            if(accepting) markers.push('*');
+                            return markers;
                         },
-                        '_values': {},
-                        '_set': function(fromStateId, input, toStateId, linkObj) {
-                            this._values[this._idOf(fromStateId, input, toStateId)] = linkObj;
+                    },
+                    'transitions': {
+                        'all': {},       // can be accessed as follows:
+                                         //     - all[<state_id>] returns a transition object
+                                         //                               (always defined when FSM is valid and state id known)
+                                         //     - all[<state_id>][<input>] returns undefined or a possibly emty array of state ids
+                        'get': function(fromStateId, input) { // this function is not used in buildFsmModel()
+                                                              // but can be used anywhere else
+                            var transitionObj = this.all[fromStateId];
+                            var arrayOrUndefined = transitionObj ? transitionObj[input] : [];
+                            return arrayOrUndefined === undefined ? [] : arrayOrUndefined;
                         },
-                        '_idOf': function(fromStateId, input, toStateId) {
-                            return fromStateId + '-' + input + '-' + toStateId;
+                    },
+                    'canvas': {
+                        'nodes': {},     // key/value pairs:
+                                         //     - key is the id of a state
+                                         //     - value is a node object in canvas (always defined when FSM is valid)
+                        'links': {       // use the get() function to access any link supporting a transition
+                                         //     - the returned value might be undefined
+                            'get': function(fromStateId, input, toStateId) {
+                                return this._values[this._idOf(fromStateId, input, toStateId)];
+                            },
+                            '_values': {},
+                            '_set': function(fromStateId, input, toStateId, linkObj) {
+                                this._values[this._idOf(fromStateId, input, toStateId)] = linkObj;
+                            },
+                            '_idOf': function(fromStateId, input, toStateId) {
+                                return fromStateId + '-' + input + '-' + toStateId;
+                            },
                         },
                     },
-                },
-            };
-        }
+                };
+            }
 
-        // Builds and returns a FSM model from canvas content. The returned
-        // model might be invalid (see its 'errors' property). Besides here is
-        // what to know about the expected parameters.
-        //     - ensureInitialState: tells whether FSM must be considered invalid
-        //                           in case it doesn't contain any initial
-        //                           state. Defaults to true.
-        function buildFsmModel(ensureInitialState) {
-            var fsmObj = getEmptyFsmModel();
+            // Builds and returns a FSM model from canvas content. The returned
+            // model might be invalid (see its 'errors' property). Besides here is
+            // what to know about the expected parameters.
+            //     - ensureInitialState: tells whether FSM must be considered invalid
+            //                           in case it doesn't contain any initial
+            //                           state. Defaults to true.
+            function buildFsmModel(ensureInitialState) {
+                var fsmObj = getEmptyFsmModel();
 
-            var i = 0;
-            var invalidCommaSeparatedExplanation = "Here is a valid example using simple quotes when necessary: "
-                                                 + "a, 0, -, ', \", ' ', ','.";
+                var i = 0;
+                var invalidCommaSeparatedExplanation = "Here is a valid example using simple quotes when necessary: "
+                                                     + "a, 0, -, ', \", ' ', ','.";
 
-            var alphabetSplitted = splitString(getFsmAlphabetStr());
-            if(alphabetSplitted.success) {
-                if(alphabetSplitted.strHasDuplicates) {
-                    fsmObj.errors.push('Alphabet must not contain duplicates.');
+                var alphabetSplitted = splitString(getFsmAlphabetStr());
+                if(alphabetSplitted.success) {
+                    if(alphabetSplitted.strHasDuplicates) {
+                        fsmObj.errors.push('Alphabet must not contain duplicates.');
+                    }
+                    else {
+                        fsmObj.alphabet = alphabetSplitted.chars;
+                    }
                 }
                 else {
-                    fsmObj.alphabet = alphabetSplitted.chars;
+                    fsmObj.errors.push('Alphabet is not a valid comma-separated string. ' + invalidCommaSeparatedExplanation);
                 }
-            }
-            else {
-                fsmObj.errors.push('Alphabet is not a valid comma-separated string. ' + invalidCommaSeparatedExplanation);
-            }
 
-            for(i = 0; i < nodes.length; i++) {
-                var node = nodes[i];
-                var stateId = convertLatexShortcuts(node.text.trim());
-                if(stateId === '') {
-                    fsmObj.errors.push("The id of a state is empty.");
-                }
-                else {
-                    if(fsmObj.canvas.nodes[stateId] !== undefined) {
-                        fsmObj.errors.push("State '" + stateId + "' is declared more than once.");
+                for(i = 0; i < nodes.length; i++) {
+                    var node = nodes[i];
+                    var stateId = convertLatexShortcuts(node.text.trim());
+                    if(stateId === '') {
+                        fsmObj.errors.push("The id of a state is empty.");
                     }
                     else {
-                        fsmObj.canvas.nodes[stateId] = node;
-                        fsmObj.states.all.push(stateId);
-                        if(node.isInitialState) {
-                            fsmObj.states.initial.push(stateId);
+                        if(fsmObj.canvas.nodes[stateId] !== undefined) {
+                            fsmObj.errors.push("State '" + stateId + "' is declared more than once.");
                         }
-                        if(node.isAcceptState) {
-                            fsmObj.states.accepting.push(stateId);
+                        else {
+                            fsmObj.canvas.nodes[stateId] = node;
+                            fsmObj.states.all.push(stateId);
+                            if(node.isInitialState) {
+                                fsmObj.states.initial.push(stateId);
+                            }
+                            if(node.isAcceptState) {
+                                fsmObj.states.accepting.push(stateId);
+                            }
+                            fsmObj.transitions.all[stateId] = {}; // transition object
                         }
-                        fsmObj.transitions.all[stateId] = {}; // transition object
                     }
                 }
-            }
 
-            if(ensureInitialState === undefined || ensureInitialState) {
-                if(fsmObj.states.initial.length === 0) {
-                    fsmObj.errors.push("No state has been marked initial.");
+                if(ensureInitialState === undefined || ensureInitialState) {
+                    if(fsmObj.states.initial.length === 0) {
+                        fsmObj.errors.push("No state has been marked initial.");
+                    }
                 }
-            }
-
-            for(i = 0; i < links.length; i++) {
-                var link = links[i];
-                if(link instanceof Link || link instanceof SelfLink) {
-                    var linkText = convertLatexShortcuts(link.text.trim());
-                    var linkNodes = link.getTwoExtremityNodes();
-                    var transitionState1Id = convertLatexShortcuts(linkNodes[0].text.trim()); // so that state id can match with one previously saved
-                    var transitionState2Id = convertLatexShortcuts(linkNodes[1].text.trim()); // same here
-                    var transitionInputsSplitted = splitString(linkText);
-                    if(transitionInputsSplitted.success && !transitionInputsSplitted.strIsWhitespaceOnly) {
-                        var transitionObj = fsmObj.transitions.all[transitionState1Id];
-                        if(!transitionObj) continue; // check transition object because FSM might be invalid
-                        for(var j = 0; j < transitionInputsSplitted.chars.length; j++) {
-                            var input = transitionInputsSplitted.chars[j];
-                            if(transitionObj[input] === undefined) {
-                                transitionObj[input] = [];
-                            }
 
-                            if(alphabetSplitted.charsObj[input]) {
-                                transitionObj[input].push(transitionState2Id);
-                                fsmObj.canvas.links._set(transitionState1Id, input, transitionState2Id, link);
-                            }
-                            else {
-                                fsmObj.errors.push("Transition input '{0}' is not declared in alphabet.".format(input));
+                for(i = 0; i < links.length; i++) {
+                    var link = links[i];
+                    if(link instanceof Link || link instanceof SelfLink) {
+                        var linkText = convertLatexShortcuts(link.text.trim());
+                        var linkNodes = link.getTwoExtremityNodes();
+                        var transitionState1Id = convertLatexShortcuts(linkNodes[0].text.trim()); // so that state id can match with one previously saved
+                        var transitionState2Id = convertLatexShortcuts(linkNodes[1].text.trim()); // same here
+                        var transitionInputsSplitted = splitString(linkText);
+                        if(transitionInputsSplitted.success && !transitionInputsSplitted.strIsWhitespaceOnly) {
+                            var transitionObj = fsmObj.transitions.all[transitionState1Id];
+                            if(!transitionObj) continue; // check transition object because FSM might be invalid
+                            for(var j = 0; j < transitionInputsSplitted.chars.length; j++) {
+                                var input = transitionInputsSplitted.chars[j];
+                                if(transitionObj[input] === undefined) {
+                                    transitionObj[input] = [];
+                                }
+
+                                if(alphabetSplitted.charsObj[input]) {
+                                    transitionObj[input].push(transitionState2Id);
+                                    fsmObj.canvas.links._set(transitionState1Id, input, transitionState2Id, link);
+                                }
+                                else {
+                                    fsmObj.errors.push("Transition input '{0}' is not declared in alphabet.".format(input));
+                                }
                             }
                         }
-                    }
-                    else {
-                        fsmObj.errors.push(
-                            "Transition ('{0}', '{1}', '{2}') ".format(transitionState1Id, linkText, transitionState2Id)
-                          + "has an invalid comma-separated input string. " + invalidCommaSeparatedExplanation
-                        );
+                        else {
+                            fsmObj.errors.push(
+                                "Transition ('{0}', '{1}', '{2}') ".format(transitionState1Id, linkText, transitionState2Id)
+                              + "has an invalid comma-separated input string. " + invalidCommaSeparatedExplanation
+                            );
+                        }
                     }
                 }
-            }
 
-            return fsmObj;
-        }
+                return fsmObj;
+            }
 
-        // Builds the state-transition table of the given FSM model. Returns an
-        // object with two properties: an Html <table> element and a convenient
-        // CSS style (see source code).
-        //
-        // An optional htmlAttrs object might also be passed as parameter in
-        // order to add specific Html attributes (id, class, ...) to several
-        // table elements (see source code).
-        function buildFsmTransitionTable(model, htmlAttrs) {
-            var theadContent = [];
-            var tbodyContent = [];
-            var i = 0;
+            // Builds the state-transition table of the given FSM model. Returns an
+            // object with two properties: an Html <table> element and a convenient
+            // CSS style (see source code).
+            //
+            // An optional htmlAttrs object might also be passed as parameter in
+            // order to add specific Html attributes (id, class, ...) to several
+            // table elements (see source code).
+            function buildFsmTransitionTable(model, htmlAttrs) {
+                var theadContent = [];
+                var tbodyContent = [];
+                var i = 0;
 
-            if(model.errors.length === 0) {
-                // in <thead>: we use <td> instead of <th> so that CSS is less verbose
-                theadContent.push('<tr>');
-                theadContent.push('    <td></td>');
-                theadContent.push('    <td></td>');
-                for(i = 0; i < model.alphabet.length; i++) {
-                    theadContent.push('    <td>' + model.alphabet[i] + '</td>');
-                }
-                theadContent.push('</tr>');
-
-                var stateIds = model.states.all;
-                for(i = 0; i < stateIds.length; i++) {
-                    var sId = stateIds[i];
-                    var sIdInitial = (model.states.initial.indexOf(sId) !== -1);
-                    var sIdAccepting = (model.states.accepting.indexOf(sId) !== -1);
-                    var sIdMarkers = model.states.getMarkers(sIdInitial, sIdAccepting);
-                    tbodyContent.push('<tr>');
-                    tbodyContent.push('    <td>' + sIdMarkers.join(' ') + '</td>');
-                    tbodyContent.push('    <td>' + sId + '</td>');
-                    for(var j = 0; j < model.alphabet.length; j++) {
-                        var input = model.alphabet[j];
-                        tbodyContent.push('    <td>' + model.transitions.get(sId, input).join(', ') + '</td>');
+                if(model.errors.length === 0) {
+                    // in <thead>: we use <td> instead of <th> so that CSS is less verbose
+                    theadContent.push('<tr>');
+                    theadContent.push('    <td></td>');
+                    theadContent.push('    <td></td>');
+                    for(i = 0; i < model.alphabet.length; i++) {
+                        theadContent.push('    <td>' + model.alphabet[i] + '</td>');
+                    }
+                    theadContent.push('</tr>');
+
+                    var stateIds = model.states.all;
+                    for(i = 0; i < stateIds.length; i++) {
+                        var sId = stateIds[i];
+                        var sIdInitial = (model.states.initial.indexOf(sId) !== -1);
+                        var sIdAccepting = (model.states.accepting.indexOf(sId) !== -1);
+                        var sIdMarkers = model.states.getMarkers(sIdInitial, sIdAccepting);
+                        tbodyContent.push('<tr>');
+                        tbodyContent.push('    <td>' + sIdMarkers.join(' ') + '</td>');
+                        tbodyContent.push('    <td>' + sId + '</td>');
+                        for(var j = 0; j < model.alphabet.length; j++) {
+                            var input = model.alphabet[j];
+                            tbodyContent.push('    <td>' + model.transitions.get(sId, input).join(', ') + '</td>');
+                        }
+                        tbodyContent.push('</tr>');
                     }
-                    tbodyContent.push('</tr>');
-                }
-            }
-            else {
-                theadContent.push('<tr><td>Finite state machine is not valid</td></tr>');
-                tbodyContent.push('<tr><td>No content available</td></tr>');
-            }
-
-            var tAttrs = '';
-            var theadAttrs = '';
-            var tbodyAttrs = '';
-            if(htmlAttrs) {
-                if('table' in htmlAttrs && htmlAttrs.table !== '') tAttrs = ' ' + htmlAttrs.table;
-                if('thead' in htmlAttrs && htmlAttrs.thead !== '') theadAttrs = ' ' + htmlAttrs.thead;
-                if('tbody' in htmlAttrs && htmlAttrs.tbody !== '') tbodyAttrs = ' ' + htmlAttrs.tbody;
-            }
-
-            var tId = '';
-            var tIdMatch = tAttrs.match(/id="([^"]+)"/); // regex is quite permissive but very simple
-            // also note that the captured id (if any) is used as is in CSS: its characters are not escaped in any way
-            if(tIdMatch !== null) {
-                tId = tIdMatch[1];
-            }
-
-            var stateMarkers = model.states.getMarkers(true, true); // all possible markers
-            var tContent =
-                '<!-- FSM State-Transition Table - HTML\n'
-              + '         Can be saved to *.html file along with the CSS code\n'
-              + '         Can also be viewed using HTML online viewers with support for CSS -->\n'
-              + '<table{0}>\n'.format(tAttrs)
-              + '    <caption>{0}: initial state<br />{1}: accepting state</caption>\n'
-                .format(stateMarkers[0], stateMarkers[1]) // legend for markers used in table content
-              + '    <thead{0}>\n'.format(theadAttrs)
-              + '        ' + theadContent.join('\n        ') + '\n'
-              + '    </thead>\n'
-              + '    <tbody{0}>\n'.format(tbodyAttrs)
-              + '        ' + tbodyContent.join('\n        ') + '\n'
-              + '    </tbody>\n'
-              + '</table>'
-            ;
-
-            var tIdSelectorSpaced = tId === '' ? '' : '#{0} '.format(tId);
-            var tIdSelectorBracketed = tId === '' ? '' : '[id={0}]'.format(tId);
-            var tCssVar = model.errors.length === 0 ?
-                          ', {0}tr td:first-child, {0}tr td:nth-child(2)'.format(tIdSelectorSpaced) :
-                          ''
-            ;
-            var tCss =
-                '<!-- FSM State-Transition Table - Quick CSS -->\n'
-              + '<style type="text/css">\n'
-              + '    {0}caption {\n'.format(tIdSelectorSpaced)
-              + '        caption-side: bottom;\n'
-              + '    }\n'
-              + '    table{0}, {1}td {\n'.format(tIdSelectorBracketed, tIdSelectorSpaced)
-              + '        border: 1px solid grey;\n'
-              + '    }\n'
-              + '    {0}td {\n'.format(tIdSelectorSpaced)
-              + '        text-align: center;\n'
-              + '        color: #333;\n'
-              + '        width: {0}%;\n'.format(100/(2+model.alphabet.length))
-              + '    }\n'
-              + '    {0}thead td{1} {\n'.format(tIdSelectorSpaced, tCssVar)
-              + '        background-color: #333;\n'
-              + '        color: white;\n'
-              + '    }\n'
-              + '</style>'
-            ;
+                }
+                else {
+                    theadContent.push('<tr><td>Finite state machine is not valid</td></tr>');
+                    tbodyContent.push('<tr><td>No content available</td></tr>');
+                }
 
-            return {
-                'table': tContent,
-                'css': tCss,
-            };
-        }
+                var tAttrs = '';
+                var theadAttrs = '';
+                var tbodyAttrs = '';
+                if(htmlAttrs) {
+                    if('table' in htmlAttrs && htmlAttrs.table !== '') tAttrs = ' ' + htmlAttrs.table;
+                    if('thead' in htmlAttrs && htmlAttrs.thead !== '') theadAttrs = ' ' + htmlAttrs.thead;
+                    if('tbody' in htmlAttrs && htmlAttrs.tbody !== '') tbodyAttrs = ' ' + htmlAttrs.tbody;
+                }
 
-        return {
-            'setNodesProps': setNodesProps,
-            'setLinksProps': setLinksProps,
-            'splitString': splitString,
-            'getEmptyFsmModel': getEmptyFsmModel,
-            'buildFsmModel': buildFsmModel,
-            'buildFsmTransitionTable': buildFsmTransitionTable,
-        };
-    })();
+                var tId = '';
+                var tIdMatch = tAttrs.match(/id="([^"]+)"/); // regex is quite permissive but very simple
+                // also note that the captured id (if any) is used as is in CSS: its characters are not escaped in any way
+                if(tIdMatch !== null) {
+                    tId = tIdMatch[1];
+                }
 
-    var quickTestCanvasId = 'fsmvc_quickTest_canvasId';
-    var quickTestOutputId = 'fsmvc_quickTest_outputId';
-    var quickTest = (function() {
-        function defaultCallback(success, msg, sideNote) {
-            window.alert(msg + "\n\n" + sideNote);
-        }
+                var stateMarkers = model.states.getMarkers(true, true); // all possible markers
+                var tContent =
+                    '<!-- FSM State-Transition Table - HTML\n'
+                  + '         Can be saved to *.html file along with the CSS code\n'
+                  + '         Can also be viewed using HTML online viewers with support for CSS -->\n'
+                  + '<table{0}>\n'.format(tAttrs)
+                  + '    <caption>{0}: initial state<br />{1}: accepting state</caption>\n'
+                    .format(stateMarkers[0], stateMarkers[1]) // legend for markers used in table content
+                  + '    <thead{0}>\n'.format(theadAttrs)
+                  + '        ' + theadContent.join('\n        ') + '\n'
+                  + '    </thead>\n'
+                  + '    <tbody{0}>\n'.format(tbodyAttrs)
+                  + '        ' + tbodyContent.join('\n        ') + '\n'
+                  + '    </tbody>\n'
+                  + '</table>'
+                ;
+
+                var tIdSelectorSpaced = tId === '' ? '' : '#{0} '.format(tId);
+                var tIdSelectorBracketed = tId === '' ? '' : '[id={0}]'.format(tId);
+                var tCssVar = model.errors.length === 0 ?
+                              ', {0}tr td:first-child, {0}tr td:nth-child(2)'.format(tIdSelectorSpaced) :
+                              ''
+                ;
+                var tCss =
+                    '<!-- FSM State-Transition Table - Quick CSS -->\n'
+                  + '<style type="text/css">\n'
+                  + '    {0}caption {\n'.format(tIdSelectorSpaced)
+                  + '        caption-side: bottom;\n'
+                  + '    }\n'
+                  + '    table{0}, {1}td {\n'.format(tIdSelectorBracketed, tIdSelectorSpaced)
+                  + '        border: 1px solid grey;\n'
+                  + '    }\n'
+                  + '    {0}td {\n'.format(tIdSelectorSpaced)
+                  + '        text-align: center;\n'
+                  + '        color: #333;\n'
+                  + '        width: {0}%;\n'.format(100/(2+model.alphabet.length))
+                  + '    }\n'
+                  + '    {0}thead td{1} {\n'.format(tIdSelectorSpaced, tCssVar)
+                  + '        background-color: #333;\n'
+                  + '        color: white;\n'
+                  + '    }\n'
+                  + '</style>'
+                ;
+
+                return {
+                    'table': tContent,
+                    'css': tCss,
+                };
+            }
 
-        // The returned element can be an Html <textarea> element.
-        function getOutputElt() {
-            return document.getElementById(quickTestOutputId);
-        }
+            return {
+                'setNodesProps': setNodesProps,
+                'setLinksProps': setLinksProps,
+                'splitString': splitString,
+                'getEmptyFsmModel': getEmptyFsmModel,
+                'buildFsmModel': buildFsmModel,
+                'buildFsmTransitionTable': buildFsmTransitionTable,
+            };
+        })();
 
-        function isOutputEltVisible() {
-            var elt = getOutputElt();
-            return window.getComputedStyle(elt, null).display !== 'none'; // relies on the behaviour of outputText()
-            // note that getComputedStyle() is required for styles in external stylesheets to be inspected
-        }
+        var quickTest = (function() {
+            function defaultCallback(success, msg, sideNote) {
+                window.alert(msg + "\n\n" + sideNote);
+            }
 
-        function setOutputEltVisible(visible) {
-            var elt = getOutputElt();
-            elt.style.display = visible ? 'block' : 'none'; // relies on the behaviour of outputText()
-        }
+            // The returned element can be an Html <textarea> element.
+            function getOutputElt() {
+                return document.getElementById(quickTestOutputId);
+            }
 
-        function switchOutputEltVisibility() {
-            setOutputEltVisible(!isOutputEltVisible());
-        }
+            function isOutputEltVisible() {
+                var elt = getOutputElt();
+                return window.getComputedStyle(elt, null).display !== 'none'; // relies on the behaviour of outputText()
+                // note that getComputedStyle() is required for styles in external stylesheets to be inspected
+            }
 
-        function outputText(text) {
-            var elt = getOutputElt();
-            elt.style.display = 'block'; // assuming element first had CSS 'display: none;'
-            elt.value = text;
-        }
+            function setOutputEltVisible(visible) {
+                var elt = getOutputElt();
+                elt.style.display = visible ? 'block' : 'none'; // relies on the behaviour of outputText()
+            }
 
-        function outputJson() {
-            outputText(fetchJsonString(2));
-        }
+            function switchOutputEltVisibility() {
+                setOutputEltVisible(!isOutputEltVisible());
+            }
 
-        function outputPng() {
-            document.location.href = fetchPngDataString(); // will fail on Chrome
-            outputText("Please take a screenshot on your own.\n" +
-                       "Indeed if you are reading this, that most likely means image did not show up.");
-        }
+            function outputText(text) {
+                var elt = getOutputElt();
+                elt.style.display = 'block'; // assuming element first had CSS 'display: none;'
+                elt.value = text;
+            }
 
-        function outputSvg() {
-            var svgStr = fetchSvgString();
-            outputText(svgStr);
-            // Chrome isn't ready for this yet, the 'Save As' menu item is disabled
-            // document.location.href = 'data:image/svg+xml;base64,' + btoa(svgStr);
-        }
+            function outputJson() {
+                outputText(fetchJsonString(2));
+            }
 
-        function outputLatex() {
-            outputText(fetchLatexString());
-        }
+            function outputPng() {
+                document.location.href = fetchPngDataString(); // will fail on Chrome
+                outputText("Please take a screenshot on your own.\n" +
+                           "Indeed if you are reading this, that most likely means image did not show up.");
+            }
 
-        function loadJsonFromOutputElt(callback) {
-            if(!callback) { callback = defaultCallback; }
+            function outputSvg() {
+                var svgStr = fetchSvgString();
+                outputText(svgStr);
+                // Chrome isn't ready for this yet, the 'Save As' menu item is disabled
+                // document.location.href = 'data:image/svg+xml;base64,' + btoa(svgStr);
+            }
 
-            loadJsonString(
-                getOutputElt().value,
-                function(e) {
-                    callback(false,
-                             "JSON failed to parse with a " + e + ".",
-                             "Please perform a JSON-export and try again.");
-                },
-                function() {
-                    callback(true,
-                             "JSON loaded!",
-                             "Note that invalid nodes are ignored or adjusted when necessary. " +
-                             "The same goes for links.");
-                }
-            );
-        }
+            function outputLatex() {
+                outputText(fetchLatexString());
+            }
 
-        function clearContent() {
-            clear();
-            draw();
-        }
+            function loadJsonFromOutputElt(callback) {
+                if(!callback) { callback = defaultCallback; }
 
-        // The model parameter must originate from algorithms.buildFsmModel().
-        function checkFsm(model) {
-            if(model.errors.length === 0) {
-                outputText("Finite state machine is valid.");
-            }
-            else {
-                var text = "Finite state machine is not valid."
-                for(var i = 0; i < model.errors.length; i++) {
-                    text += "\n    - " + model.errors[i];
-                }
-                outputText(text);
+                loadJsonString(
+                    getOutputElt().value,
+                    function(e) {
+                        callback(false,
+                                 "JSON failed to parse with a " + e + ".",
+                                 "Please perform a JSON-export and try again.");
+                    },
+                    function(report) {
+                        var sideNote = "Everything was loaded as is.";
+                        var issues = report.dropped.concat(report.adjusted);
+                        if(issues.length !== 0) {
+                            sideNote = "Note that invalid items were ignored or adjusted:";
+                            for(var i = 0; i < issues.length; i++) {
+                                sideNote += "\n    - " + (issues[i].path || "document") + ": " + issues[i].reason;
+                            }
+                        }
+                        callback(report.success, report.success ? "JSON loaded!" : "JSON not loaded.", sideNote);
+                    }
+                );
             }
-        }
 
-        // The model parameter must originate from algorithms.buildFsmModel().
-        function outputFsmTransitionTable(model) {
-            var obj = algorithms.buildFsmTransitionTable(model);
-            outputText(obj.table + '\n\n' + obj.css);
-        }
+            function clearContent() {
+                clear();
+                draw();
+            }
 
-        function switchConfig(type) {
-            setConfigFor(type);
-            restoreBackup(config.global.autoBackupId);
-        }
+            // The model parameter must originate from algorithms.buildFsmModel().
+            function checkFsm(model) {
+                if(model.errors.length === 0) {
+                    outputText("Finite state machine is valid.");
+                }
+                else {
+                    var text = "Finite state machine is not valid."
+                    for(var i = 0; i < model.errors.length; i++) {
+                        text += "\n    - " + model.errors[i];
+                    }
+                    outputText(text);
+                }
+            }
 
-        return {
-            'isOutputEltVisible': isOutputEltVisible,
-            'setOutputEltVisible': setOutputEltVisible,
-            'switchOutputEltVisibility': switchOutputEltVisibility,
+            // The model parameter must originate from algorithms.buildFsmModel().
+            function outputFsmTransitionTable(model) {
+                var obj = algorithms.buildFsmTransitionTable(model);
+                outputText(obj.table + '\n\n' + obj.css);
+            }
 
-            'outputText': outputText,
-            'outputJson': outputJson,
-            'outputPng': outputPng,
-            'outputSvg': outputSvg,
-            'outputLatex': outputLatex,
+            function switchConfig(type) {
+                setConfigFor(type);
+                restoreBackup(config.global.autoBackupId);
+            }
 
-            'loadJsonFromOutputElt': loadJsonFromOutputElt,
+            // Shows or hides the grid, snapping to it only when it is shown.
+            function switchGrid() {
+                config.canvas.gridVisible = !config.canvas.gridVisible;
+                config.canvas.snapToGrid = config.canvas.gridVisible;
+                draw();
+            }
 
-            'clearContent': clearContent,
-            'checkFsm': checkFsm,
-            'outputFsmTransitionTable': outputFsmTransitionTable,
-            'switchConfig': switchConfig,
+            return {
+                'isOutputEltVisible': isOutputEltVisible,
+                'setOutputEltVisible': setOutputEltVisible,
+                'switchOutputEltVisibility': switchOutputEltVisibility,
+
+                'outputText': outputText,
+                'outputJson': outputJson,
+                'outputPng': outputPng,
+                'outputSvg': outputSvg,
+                'outputLatex': outputLatex,
+
+                'loadJsonFromOutputElt': loadJsonFromOutputElt,
+
+                'clearContent': clearContent,
+                'checkFsm': checkFsm,
+                'outputFsmTransitionTable': outputFsmTransitionTable,
+                'switchConfig': switchConfig,
+                'switchGrid': switchGrid,
+            };
+        })();
+
+        var controller = { // Expose functions and variables to the outside. For a how-to-use
+                           // notice please refer to the documentation (comments) of each
+                           // exposed element in source code. In case no documentation is
+                           // provided, that means understanding is pretty straightforward.
+
+            'config': config,
+            'setConfigFor': setConfigFor,
+            'getTheme': getTheme,
+            'getThemeNames': getThemeNames,
+            'setTheme': setTheme,
+            'initCanvas': initCanvas,
+            'tieFsmAlphabetContainerToCanvas': tieFsmAlphabetContainerToCanvas,
+            'setFsmAlphabetStr': setFsmAlphabetStr,
+
+            'setCanvas': setCanvas,
+            'setCanvasSize': setCanvasSize,
+            'moveNodesIntoCanvasVisibleArea': moveNodesIntoCanvasVisibleArea,
+            'draw': draw,
+            'startListeners': startListeners,
+            'stopListeners': stopListeners,
+
+            'fetchJsonObject': fetchJsonObject,
+            'fetchJsonString': fetchJsonString,
+            'fetchPngDataString': fetchPngDataString,
+            'fetchSvgString': fetchSvgString,
+            'fetchLatexString': fetchLatexString,
+
+            'clear': clear,
+            'loadJsonObject': loadJsonObject,
+            'loadJsonString': loadJsonString,
+            'validateJsonObject': validateJsonObject,
+
+            'on': on,
+            'off': off,
+
+            'getSelection': getSelection,
+            'setSelection': setSelection,
+            'selectAll': selectAll,
+            'setSelectionProps': setSelectionProps,
+
+            'fetchSelectionJsonObject': fetchSelectionJsonObject,
+            'copySelection': copySelection,
+            'cutSelection': cutSelection,
+            'paste': paste,
+
+            'undo': undo,
+            'redo': redo,
+            'canUndo': canUndo,
+            'canRedo': canRedo,
+            'clearHistory': clearHistory,
+
+            'getTypes': getTypes,
+            'getContent': getContent,
+            'getElementById': getElementById,
+            'addNode': addNode,
+            'addLink': addLink,
+            'addSelfLink': addSelfLink,
+            'setInitial': setInitial,
+            'removeElement': removeElement,
+            'updateElement': updateElement,
+            'updateElements': updateElements,
+            'openPropertyEditor': openPropertyEditor,
+            'closePropertyEditor': closePropertyEditor,
+            'convertLatexShortcuts': convertLatexShortcuts,
+            'getAccessibleDescription': getAccessibleDescription,
+
+            'getViewport': getViewport,
+            'setViewport': setViewport,
+            'zoomAt': zoomAt,
+            'zoomToFit': zoomToFit,
+            'resetViewport': resetViewport,
+
+            'saveBackup': saveBackup,
+            'restoreBackup': restoreBackup,
+            'saveViewportBackup': saveViewportBackup,
+            'restoreViewportBackup': restoreViewportBackup,
+
+            'algorithms': algorithms,
+
+            'quickTest': quickTest,
         };
-    })();
-
-    return { // Expose functions and variables to the outside. For a how-to-use
-             // notice please refer to the documentation (comments) of each
-             // exposed element in source code. In case no documentation is
-             // provided, that means understanding is pretty straightforward.
-
-        'config': config,
-        'setConfigFor': setConfigFor,
-        'initCanvas': initCanvas,
-        'tieFsmAlphabetContainerToCanvas': tieFsmAlphabetContainerToCanvas,
-
-        'setCanvas': setCanvas,
-        'setCanvasSize': setCanvasSize,
-        'moveNodesIntoCanvasVisibleArea': moveNodesIntoCanvasVisibleArea,
-        'draw': draw,
-        'startListeners': startListeners,
-        'stopListeners': stopListeners,
-
-        'fetchJsonObject': fetchJsonObject,
-        'fetchJsonString': fetchJsonString,
-        'fetchPngDataString': fetchPngDataString,
-        'fetchSvgString': fetchSvgString,
-        'fetchLatexString': fetchLatexString,
-
-        'clear': clear,
-        'loadJsonObject': loadJsonObject,
-        'loadJsonString': loadJsonString,
 
-        'getTypes': getTypes,
-        'getContent': getContent,
-        'convertLatexShortcuts': convertLatexShortcuts,
+        if(canvasOrId) {
+            initCanvas(canvasOrId, initOptions);
+        }
+        return controller;
+    }
 
-        'saveBackup': saveBackup,
-        'restoreBackup': restoreBackup,
+    // The default controller, i.e. the one used when the Fsmvc object is used
+    // directly. It is bound to the quick-test canvas element (if any) once the
+    // page is loaded.
+    var defaultController = createController();
+    if(typeof window !== 'undefined') {
+        window.addEventListener('load', function() {
+            defaultController.initCanvas(quickTestCanvasId); // use convenient canvas element if any
+        });
+    }
 
-        'algorithms': algorithms,
+    // Creates a new controller, independent from the default one and from any
+    // other controller created using this function. Parameters are as follows.
+    //     - canvasOrId: optional canvas element (or its id) that the controller
+    //                   is initialized with (see initCanvas()).
+    //     - configOverrides: optional object overriding the default config of
+    //                        the new controller (see applyConfigOverrides()).
+    //                        When 'global.autoBackupId' is not overridden, a
+    //                        backup id is derived from the canvas id so that
+    //                        controllers don't share the same backup. In that
+    //                        case auto-backup is disabled for canvases without
+    //                        id, whose backup would depend on the order in which
+    //                        controllers are created.
+    //     - initOptions: optional, passed to initCanvas() as is.
+    defaultController.create = function(canvasOrId, configOverrides, initOptions) {
+        return createController(canvasOrId, configOverrides, initOptions);
+    };
 
-        'quickTest': quickTest,
+    // Registers a theme available to all controllers (see registerTheme()).
+    defaultController.registerTheme = registerTheme;
+
+    // Creates a new controller that doesn't need any DOM, canvas or local
+    // storage (e.g. to be used in Node.js). Such a controller can load and
+    // export JSON content, be edited using the editing functions (addNode(),
+    // ...), build FSM models and run the other algorithms, and export SVG or
+    // LaTeX strings (text widths are estimated). Parameters are as follows.
+    //     - configOverrides: same as for create(), except that auto-backup is
+    //                        disabled unless enabled here.
+    //     - size: optional object with 'width' and 'height' properties, used
+    //             instead of the size of the canvas (see setCanvasSize()).
+    defaultController.createHeadless = function(configOverrides, size) {
+        var overrides = { 'global': { 'autoBackup': false }, 'canvas': {}, 'links': {}, 'nodes': {} };
+        applyConfigOverrides(overrides, configOverrides); // so that a theme applies as with create()
+        var controller = createController(null, overrides);
+        controller.setCanvasSize(size);
+        return controller;
     };
+
+    return defaultController;
 })();
 
+if(typeof module !== 'undefined' && module.exports) { // e.g. in Node.js, see Fsmvc.createHeadless()
+    module.exports = Fsmvc;
+}
+
 // (1) An exception might be raised when trying to access window.localStorage.
 //     So any access to that storage must be wrapped into a try-catch block.
 //     For instance we get the following error message when cookies are blocked